@@ -6,12 +6,18 @@ import {
   whitelistOperations,
   downloadOperations,
   rssOperations,
+  feedOperations,
+  notificationChannelOperations,
+  fansubGroupOperations,
   configOperations,
   anilistAccountOperations,
   anilistAutoListOperations,
+  listAccountOperations,
+  listAutoListOperations,
   anilistAnimeCacheOperations,
   processedFilesOperations,
   activityLogsOperations,
+  notificationOperations,
   processedGuidsOperations
 } from "./lib/database";
 import { createAppService } from "./services/app-service";
@@ -21,7 +27,16 @@ import { createNotificationService } from "./services/notification-service";
 import { createAniListService } from "./services/anilist-service";
 import { createAnimeRelationsManager } from "./services/anime-relations";
 import { createAniListSyncService } from "./services/anilist-sync";
+import { createAniListProgressService } from "./services/anilist-progress";
+import { createListProviders } from "./services/list-providers";
+import { createMalImporter } from "./services/mal-import";
+import { createAiringTracker } from "./services/airing-tracker";
 import { createActivityLogger } from "./services/activity-logger";
+import { createBandwidthScheduler } from "./services/bandwidth-scheduler";
+import { createApiServer } from "./services/api-server";
+import { createWebUIServer } from "./services/web-ui-server";
+import { createCalendarFeed } from "./services/calendar-feed";
+import { previewTemplate, TEMPLATE_VARIABLES } from "./lib/rename-template";
 
 let mainWindow: BrowserWindow;
 let loaderWindow: BrowserWindow;
@@ -33,8 +48,16 @@ let notificationService: any;
 let anilistService: any;
 let animeRelationsManager: any;
 let anilistSyncService: any;
+let anilistProgressService: any;
+let listProviders: any;
+let malImporter: any;
+let airingTracker: any;
 let activityLogger: any;
 let sharedTitleOverridesManager: any;
+let bandwidthScheduler: any;
+let apiServer: any;
+let webUIServer: any;
+let calendarFeed: any;
 
 // Set app name and AppUserModelID for notifications, Start menu, and process display
 app.setName('MoeDownloader');
@@ -106,14 +129,20 @@ async function main() {
   updateLoaderProgress('Creating services...', 20);
   activityLogger = createActivityLogger();
   notificationService = createNotificationService();
+  notificationService.start();
   anilistService = createAniListService();
   animeRelationsManager = createAnimeRelationsManager();
-  downloadManager = createDownloadManager(notificationService);
+  listProviders = createListProviders(anilistService);
+  malImporter = createMalImporter();
 
   // Create title overrides manager early so it can be shared
   const { createTitleOverridesManager } = require('./services/title-overrides');
   sharedTitleOverridesManager = createTitleOverridesManager();
 
+  downloadManager = createDownloadManager(notificationService, activityLogger, sharedTitleOverridesManager);
+  bandwidthScheduler = createBandwidthScheduler(downloadManager, () => updateTrayMenu());
+  bandwidthScheduler.start();
+
   // Create RSS processor with shared instances
   rssProcessor = createRSSProcessor(notificationService, anilistService, activityLogger, animeRelationsManager, sharedTitleOverridesManager);
 
@@ -128,11 +157,27 @@ async function main() {
   await appService.initialize();
   console.log('🔄 App service initialized');
 
+  // Local REST API is opt-in and shares the IPC handler implementations
+  apiServer = createApiServer(handlers, activityLogger);
+  await apiServer.apply();
+
+  // Remote web UI serves the built renderer to browsers on the LAN
+  webUIServer = createWebUIServer(handlers, join(__dirname, "../renderer"), activityLogger);
+  notificationService.addNotificationListener((notification) => webUIServer.broadcast('app-notification', notification));
+  await webUIServer.apply();
+
+  // Opt-in iCalendar feed of the airing schedule for calendar apps
+  calendarFeed = createCalendarFeed(activityLogger);
+  await calendarFeed.apply();
+
   // Log RSS processing configuration
-  const rssUrl = configOperations.get('rss_feed_url');
-  const rssInterval = configOperations.get('rss_check_interval') || 30;
-  console.log(`📡 RSS: Feed URL: ${rssUrl || 'Not configured'}`);
-  console.log(`⏰ RSS: Check interval: ${rssInterval} minutes`);
+  const feeds = feedOperations.getAll();
+  if (feeds.length === 0) {
+    console.log('📡 RSS: No feeds configured');
+  }
+  feeds.forEach(feed => {
+    console.log(`📡 RSS: Feed "${feed.name}" (${feed.enabled ? 'enabled' : 'disabled'}): ${feed.url}, every ${feed.check_interval_minutes} minutes`);
+  });
 
   // Initialize AniList services
   updateLoaderProgress('Configuring AniList...', 65);
@@ -147,6 +192,14 @@ async function main() {
     console.error('Failed to initialize AniList services:', error);
   }
 
+  // Watched episodes are written back to AniList, queued while offline
+  anilistProgressService = createAniListProgressService(anilistService, animeRelationsManager, activityLogger);
+  anilistProgressService.start();
+
+  // Aired episodes that haven't turned up in the feed are reported as overdue
+  airingTracker = createAiringTracker(rssProcessor, notificationService, activityLogger);
+  airingTracker.start();
+
   // Initialize title overrides manager (after database is ready)
   updateLoaderProgress('Loading title overrides...', 80);
   try {
@@ -314,6 +367,28 @@ function createTray() {
 
   tray = new Tray(resizedIcon);
 
+  updateTrayMenu();
+  tray.setToolTip('MoeDownloader - Anime Download Manager');
+
+  // Double-click to show/hide window
+  tray.on('double-click', () => {
+    if (mainWindow.isVisible()) {
+      mainWindow.hide();
+    } else {
+      mainWindow.show();
+      mainWindow.focus();
+    }
+  });
+}
+
+// (Re)build the tray menu so checkbox items reflect the current state
+function updateTrayMenu() {
+  if (!tray) {
+    return;
+  }
+
+  const bandwidthStatus = bandwidthScheduler ? bandwidthScheduler.getStatus() : null;
+
   const contextMenu = Menu.buildFromTemplate([
     {
       label: 'Show MoeDownloader',
@@ -372,7 +447,7 @@ function createTray() {
                 { silent: true }
               );
 
-              const result = await rssProcessor.processRSSFeed();
+              const result = await appService.processRSSFeed();
 
               // Close the checking notification
               if (checkingNotification) {
@@ -414,6 +489,14 @@ function createTray() {
         }
       ]
     },
+    {
+      label: 'Turtle Mode (alternative speed limits)',
+      type: 'checkbox',
+      checked: Boolean(bandwidthStatus?.turtleMode),
+      click: (menuItem) => {
+        bandwidthScheduler.setTurtleMode(menuItem.checked);
+      }
+    },
     { type: 'separator' },
     {
       label: 'Quit MoeDownloader',
@@ -425,25 +508,22 @@ function createTray() {
   ]);
 
   tray.setContextMenu(contextMenu);
-  tray.setToolTip('MoeDownloader - Anime Download Manager');
+}
 
-  // Double-click to show/hide window
-  tray.on('double-click', () => {
-    if (mainWindow.isVisible()) {
-      mainWindow.hide();
-    } else {
-      mainWindow.show();
-      mainWindow.focus();
-    }
-  });
+// Handler implementations shared by the IPC bridge and the local REST API
+const handlers: Record<string, (...args: any[]) => any> = {};
+
+function handle(channel: string, handler: (...args: any[]) => any) {
+  handlers[channel] = handler;
+  ipcMain.handle(channel, (_, ...args) => handler(...args));
 }
 
 // IPC Handlers
-ipcMain.handle("get-version", (_, key: "electron" | "node") => {
+handle("get-version", (key: "electron" | "node") => {
   return String(process.versions[key]);
 });
 
-ipcMain.handle("get-app-version", () => {
+handle("get-app-version", () => {
   try {
     // Use Electron's app.getVersion() which reads from package.json
     return app.getVersion();
@@ -453,16 +533,16 @@ ipcMain.handle("get-app-version", () => {
   }
 });
 
-ipcMain.handle("is-app-packaged", () => {
+handle("is-app-packaged", () => {
   return app.isPackaged;
 });
 
 // Window controls
-ipcMain.handle("window-minimize", () => {
+handle("window-minimize", () => {
   mainWindow?.minimize();
 });
 
-ipcMain.handle("window-maximize", () => {
+handle("window-maximize", () => {
   if (mainWindow?.isMaximized()) {
     mainWindow.unmaximize();
   } else {
@@ -470,33 +550,33 @@ ipcMain.handle("window-maximize", () => {
   }
 });
 
-ipcMain.handle("window-close", () => {
+handle("window-close", () => {
   mainWindow?.close();
 });
 
-ipcMain.handle("window-hide-to-tray", () => {
+handle("window-hide-to-tray", () => {
   mainWindow?.hide();
 });
 
-ipcMain.handle("window-show-from-tray", () => {
+handle("window-show-from-tray", () => {
   if (mainWindow) {
     mainWindow.show();
     mainWindow.focus();
   }
 });
 
-ipcMain.handle("window-is-maximized", () => {
+handle("window-is-maximized", () => {
   return mainWindow?.isMaximized() || false;
 });
 
-ipcMain.handle("window-show", () => {
+handle("window-show", () => {
   if (mainWindow && !mainWindow.isVisible()) {
     console.log('Renderer requested window show');
     mainWindow.show();
   }
 });
 
-ipcMain.handle("close-loader", () => {
+handle("close-loader", () => {
   if (loaderWindow && !loaderWindow.isDestroyed()) {
     console.log('Renderer requested loader close - closing loader window');
     loaderWindow.close();
@@ -519,7 +599,7 @@ function updateLoaderProgress(text: string, progress: number) {
 }
 
 // App initialization
-ipcMain.handle("initialize-app", async () => {
+handle("initialize-app", async () => {
   try {
     await appService.initialize();
     return { success: true };
@@ -530,32 +610,141 @@ ipcMain.handle("initialize-app", async () => {
 });
 
 // App status and stats
-ipcMain.handle("get-app-status", () => {
+handle("get-app-status", () => {
   return appService.getStatus();
 });
 
-ipcMain.handle("get-stats", () => {
+handle("get-stats", () => {
   return appService.getStats();
 });
 
-ipcMain.handle("get-recent-downloads", () => {
+handle("get-recent-downloads", () => {
   return downloadOperations.getAll().slice(0, 5);
 });
 
 // RSS operations
-ipcMain.handle("start-rss-monitoring", () => {
+handle("start-rss-monitoring", () => {
   return appService.startRSSMonitoring();
 });
 
-ipcMain.handle("stop-rss-monitoring", () => {
+handle("stop-rss-monitoring", () => {
   return appService.stopRSSMonitoring();
 });
 
-ipcMain.handle("process-rss-feed", () => {
+handle("process-rss-feed", () => {
   return appService.processRSSFeed();
 });
 
-ipcMain.handle("search-rss-feed", async (_, query) => {
+// Feed operations
+handle("get-feeds", () => {
+  return feedOperations.getAll();
+});
+
+handle("add-feed", (feed) => {
+  const result = feedOperations.add(feed);
+  appService.reloadFeedSchedules();
+  return result;
+});
+
+handle("update-feed", (id, feed) => {
+  const result = feedOperations.update(id, feed);
+  appService.reloadFeedSchedules();
+  return result;
+});
+
+handle("remove-feed", (id) => {
+  const result = feedOperations.delete(id);
+  appService.reloadFeedSchedules();
+  return result;
+});
+
+handle("toggle-feed", (id, enabled) => {
+  const result = feedOperations.toggle(id, enabled);
+  appService.reloadFeedSchedules();
+  return result;
+});
+
+handle("process-feed", (id) => {
+  return appService.processFeedById(id);
+});
+
+// Notification channel operations
+handle("get-notification-channels", () => {
+  return notificationChannelOperations.getAll();
+});
+
+handle("add-notification-channel", (channel) => {
+  return notificationChannelOperations.add(channel);
+});
+
+handle("update-notification-channel", (id, channel) => {
+  return notificationChannelOperations.update(id, channel);
+});
+
+handle("remove-notification-channel", (id) => {
+  return notificationChannelOperations.delete(id);
+});
+
+handle("toggle-notification-channel", (id, enabled) => {
+  return notificationChannelOperations.toggle(id, enabled);
+});
+
+handle("test-notification-channel", (channel) => {
+  return notificationService.testChannel(channel);
+});
+
+handle("send-notification-digest", () => {
+  const digest = notificationService.sendDigest({ force: true });
+  return { success: Boolean(digest), summary: digest?.data.summary };
+});
+
+// Notification inbox operations
+handle("get-notifications", (options) => {
+  return notificationOperations.getRecent(options || {});
+});
+
+handle("get-unread-notification-count", () => {
+  return notificationOperations.getUnreadCount();
+});
+
+handle("mark-notification-read", (id, read) => {
+  return notificationOperations.setRead(id, read !== false);
+});
+
+handle("mark-all-notifications-read", (type) => {
+  return notificationOperations.markAllRead(type || null);
+});
+
+handle("remove-notification", (id) => {
+  return notificationOperations.delete(id);
+});
+
+handle("clear-notifications", () => {
+  return notificationOperations.clear();
+});
+
+// Fansub group allowlist operations
+handle("get-fansub-groups", () => {
+  return fansubGroupOperations.getAll();
+});
+
+handle("add-fansub-group", (name) => {
+  return fansubGroupOperations.add(name);
+});
+
+handle("update-fansub-group", (id, group) => {
+  return fansubGroupOperations.update(id, group);
+});
+
+handle("remove-fansub-group", (id) => {
+  return fansubGroupOperations.delete(id);
+});
+
+handle("reorder-fansub-groups", (ids) => {
+  return fansubGroupOperations.reorder(ids);
+});
+
+handle("search-rss-feed", async (query) => {
   try {
     const result = await rssProcessor.searchFeed(query);
     return result;
@@ -566,7 +755,7 @@ ipcMain.handle("search-rss-feed", async (_, query) => {
 });
 
 // Whitelist operations
-ipcMain.handle("get-whitelist", () => {
+handle("get-whitelist", () => {
   const entries = whitelistOperations.getAll();
   // Map backend field names to frontend field names
   return entries.map(entry => ({
@@ -575,80 +764,193 @@ ipcMain.handle("get-whitelist", () => {
   }));
 });
 
-ipcMain.handle("add-whitelist-entry", (_, entry) => {
+handle("add-whitelist-entry", (entry) => {
   // Map frontend field names to backend field names
   const mappedEntry = {
     ...entry,
     preferred_group: entry.group || entry.preferred_group || 'any'
   };
-  return whitelistOperations.add(mappedEntry);
+  const result = whitelistOperations.add(mappedEntry);
+  whitelistOperations.updateOptions(result.lastInsertRowid, entry);
+  return result;
 });
 
-ipcMain.handle("update-whitelist-entry", (_, id, entry) => {
+handle("update-whitelist-entry", (id, entry) => {
   // Map frontend field names to backend field names
   const mappedEntry = {
     ...entry,
     preferred_group: entry.group || entry.preferred_group || 'any'
   };
-  return whitelistOperations.update(id, mappedEntry);
+  const result = whitelistOperations.update(id, mappedEntry);
+  whitelistOperations.updateOptions(id, entry);
+  return result;
+});
+
+// MyAnimeList export import (file contents are sent base64 encoded, gzipped or not)
+handle("mal-import-preview", async (data, statuses) => {
+  return await malImporter.preview(data, statuses);
+});
+
+handle("mal-import-commit", (items, options) => {
+  return malImporter.importEntries(items, options);
+});
+
+handle("get-missing-episodes", (id) => {
+  return appService.getMissingEpisodes(id);
 });
 
-ipcMain.handle("remove-whitelist-entry", (_, id) => {
+handle("backfill-whitelist-entry", (id) => {
+  return appService.backfillEntry(id);
+});
+
+handle("remove-whitelist-entry", (id) => {
   return whitelistOperations.delete(id);
 });
 
-ipcMain.handle("toggle-whitelist-entry", (_, id, enabled) => {
+handle("toggle-whitelist-entry", (id, enabled) => {
   return whitelistOperations.toggle(id, enabled);
 });
 
 // Download operations
-ipcMain.handle("get-all-downloads", () => {
+handle("get-all-downloads", () => {
   return downloadOperations.getAll();
 });
 
-ipcMain.handle("remove-download", (_, id) => {
+handle("remove-download", (id) => {
   return downloadManager.removeDownload(id);
 });
 
+handle("mark-download-watched", (id, watched) => {
+  return anilistProgressService.markWatched(id, watched !== false);
+});
+
+handle("open-download-file", async (id) => {
+  const download = downloadOperations.getById(id);
+  if (!download?.file_path) {
+    return { success: false, error: 'Download has no file yet' };
+  }
+
+  const error = await shell.openPath(download.file_path);
+  if (error) {
+    return { success: false, error };
+  }
+
+  // Opening an episode from the app counts as watching it
+  if (configOperations.get('mark_watched_on_open') !== 'false') {
+    anilistProgressService.markWatched(id, true);
+  }
+  return { success: true };
+});
+
 
 
-ipcMain.handle("add-manual-download", (_, magnetLink, title) => {
+handle("add-manual-download", (magnetLink, title) => {
   return downloadManager.addManualDownload(magnetLink, title);
 });
 
-ipcMain.handle("retry-download", (_, id) => {
+handle("retry-download", (id) => {
   return downloadManager.retryDownload(id);
 });
 
-ipcMain.handle("pause-download", (_, id) => {
+handle("pause-download", (id) => {
   return downloadManager.pauseDownload(id);
 });
 
-ipcMain.handle("resume-download", (_, id) => {
+handle("resume-download", (id) => {
   return downloadManager.resumeDownload(id);
 });
 
-ipcMain.handle("pause-all-downloads", () => {
+handle("stop-seeding", (id) => {
+  return downloadManager.stopSeeding(id);
+});
+
+handle("get-torrent-client-status", () => {
+  return downloadManager.getClientStatus();
+});
+
+handle("test-download-backend", (settings) => {
+  return downloadManager.testBackend(settings);
+});
+
+handle("get-bandwidth-status", () => {
+  return bandwidthScheduler.getStatus();
+});
+
+handle("set-turtle-mode", (enabled) => {
+  return bandwidthScheduler.setTurtleMode(Boolean(enabled));
+});
+
+// Local REST API
+handle("get-api-status", () => {
+  return apiServer.getStatus();
+});
+
+handle("get-api-key", () => {
+  return apiServer.getSettings().apiKey;
+});
+
+handle("regenerate-api-key", () => {
+  return apiServer.regenerateKey();
+});
+
+// Remote web UI
+handle("get-web-ui-status", () => {
+  return webUIServer.getStatus();
+});
+
+handle("set-web-ui-password", (password) => {
+  return webUIServer.setPassword(password);
+});
+
+// Airing schedule calendar
+handle("get-airing-calendar", () => {
+  return calendarFeed.generate();
+});
+
+handle("get-calendar-feed-status", () => {
+  return calendarFeed.getStatus();
+});
+
+handle("regenerate-calendar-feed-token", () => {
+  calendarFeed.regenerateToken();
+  return calendarFeed.getStatus();
+});
+
+handle("pause-all-downloads", () => {
   return downloadManager.pauseAllDownloads();
 });
 
-ipcMain.handle("cleanup-torrents", () => {
+handle("cleanup-torrents", () => {
   return downloadManager.cleanupOrphanedTorrents();
 });
 
 // Settings operations
-ipcMain.handle("get-settings", () => {
+handle("get-settings", () => {
   const config = configOperations.getAll();
 
   // Map database keys to UI keys
   const settingsMapping = {
-    'rss_feed_url': 'rssUrl',
-    'check_interval_minutes': 'checkInterval',
     'downloads_directory': 'downloadPath',
     'max_concurrent_downloads': 'maxConcurrentDownloads',
+    'series_folders_enabled': 'seriesFoldersEnabled',
+    'seeding_enabled': 'seedingEnabled',
+    'seed_ratio_limit': 'seedRatioLimit',
+    'seed_time_limit_minutes': 'seedTimeLimitMinutes',
+    'max_seeding_torrents': 'maxSeedingTorrents',
+    'download_backend': 'downloadBackend',
+    'qbittorrent_url': 'qbittorrentUrl',
+    'qbittorrent_username': 'qbittorrentUsername',
+    'qbittorrent_password': 'qbittorrentPassword',
+    'transmission_url': 'transmissionUrl',
+    'transmission_username': 'transmissionUsername',
+    'transmission_password': 'transmissionPassword',
+    'blackhole_directory': 'blackholeDirectory',
+    'blackhole_completed_directory': 'blackholeCompletedDirectory',
     'torrent_port': 'torrentPort',
     'enable_auto_start': 'enableAutoStart',
     'disabled_fansub_groups': 'disabledFansubGroups',
+    'min_seeders': 'minSeeders',
+    'max_release_size_mb': 'maxReleaseSizeMb',
     'enable_os_notifications': 'enableNotifications',
     'notification_sound': 'notificationSound',
     'enable_notification_download-started': 'notifyDownloadStart',
@@ -656,15 +958,43 @@ ipcMain.handle("get-settings", () => {
     'enable_notification_download-failed': 'notifyDownloadError',
     'enable_notification_rss-processed': 'notifyRSSNewItems',
     'enable_notification_rss-error': 'notifyRSSError',
+    'notification_quiet_hours_enabled': 'quietHoursEnabled',
+    'notification_quiet_hours_start': 'quietHoursStart',
+    'notification_quiet_hours_end': 'quietHoursEnd',
+    'notification_batching_enabled': 'notificationBatchingEnabled',
+    'notification_batch_window_seconds': 'notificationBatchWindowSeconds',
+    'airing_alerts_enabled': 'airingAlertsEnabled',
+    'airing_overdue_hours': 'airingOverdueHours',
+    'notification_digest_enabled': 'notificationDigestEnabled',
+    'notification_digest_time': 'notificationDigestTime',
     'anilist_access_token': 'anilistAccessToken',
     'anilist_username': 'anilistUsername',
     'anilist_user_id': 'anilistUserId',
+    'anilist_progress_sync_enabled': 'anilistProgressSyncEnabled',
+    'mark_watched_on_open': 'markWatchedOnOpen',
+    'mal_client_id': 'malClientId',
     'hide_to_tray_on_close': 'hideToTrayOnClose',
     'start_minimized_to_tray': 'startMinimizedToTray',
     'show_advanced_tabs_in_sidebar': 'showAdvancedTabsInSidebar',
     'enable_dht': 'enableDHT',
     'enable_pex': 'enablePEX',
-    'enable_lsd': 'enableLSD'
+    'enable_lsd': 'enableLSD',
+    'download_limit_kbps': 'downloadLimitKbps',
+    'upload_limit_kbps': 'uploadLimitKbps',
+    'alt_download_limit_kbps': 'altDownloadLimitKbps',
+    'alt_upload_limit_kbps': 'altUploadLimitKbps',
+    'alt_speed_schedule_enabled': 'altSpeedScheduleEnabled',
+    'alt_speed_schedule': 'altSpeedSchedule',
+    'organizer_enabled': 'organizerEnabled',
+    'organizer_mode': 'organizerMode',
+    'organizer_template': 'organizerTemplate',
+    'organizer_directory': 'organizerDirectory',
+    'api_enabled': 'apiEnabled',
+    'api_port': 'apiPort',
+    'web_ui_enabled': 'webUIEnabled',
+    'web_ui_port': 'webUIPort',
+    'calendar_feed_enabled': 'calendarFeedEnabled',
+    'calendar_feed_port': 'calendarFeedPort'
   };
 
   // Convert database config to UI settings format
@@ -685,16 +1015,30 @@ ipcMain.handle("get-settings", () => {
   return uiSettings;
 });
 
-ipcMain.handle("save-settings", (_, settings) => {
+handle("save-settings", async (settings) => {
   // Map UI keys to database keys
   const settingsMapping = {
-    'rssUrl': 'rss_feed_url',
-    'checkInterval': 'check_interval_minutes',
     'downloadPath': 'downloads_directory',
     'maxConcurrentDownloads': 'max_concurrent_downloads',
+    'seriesFoldersEnabled': 'series_folders_enabled',
+    'seedingEnabled': 'seeding_enabled',
+    'seedRatioLimit': 'seed_ratio_limit',
+    'seedTimeLimitMinutes': 'seed_time_limit_minutes',
+    'maxSeedingTorrents': 'max_seeding_torrents',
+    'downloadBackend': 'download_backend',
+    'qbittorrentUrl': 'qbittorrent_url',
+    'qbittorrentUsername': 'qbittorrent_username',
+    'qbittorrentPassword': 'qbittorrent_password',
+    'transmissionUrl': 'transmission_url',
+    'transmissionUsername': 'transmission_username',
+    'transmissionPassword': 'transmission_password',
+    'blackholeDirectory': 'blackhole_directory',
+    'blackholeCompletedDirectory': 'blackhole_completed_directory',
     'torrentPort': 'torrent_port',
     'enableAutoStart': 'enable_auto_start',
     'disabledFansubGroups': 'disabled_fansub_groups',
+    'minSeeders': 'min_seeders',
+    'maxReleaseSizeMb': 'max_release_size_mb',
     'enableNotifications': 'enable_os_notifications',
     'notificationSound': 'notification_sound',
     'notifyDownloadStart': 'enable_notification_download-started',
@@ -702,34 +1046,96 @@ ipcMain.handle("save-settings", (_, settings) => {
     'notifyDownloadError': 'enable_notification_download-failed',
     'notifyRSSNewItems': 'enable_notification_rss-processed',
     'notifyRSSError': 'enable_notification_rss-error',
+    'quietHoursEnabled': 'notification_quiet_hours_enabled',
+    'quietHoursStart': 'notification_quiet_hours_start',
+    'quietHoursEnd': 'notification_quiet_hours_end',
+    'notificationBatchingEnabled': 'notification_batching_enabled',
+    'notificationBatchWindowSeconds': 'notification_batch_window_seconds',
+    'airingAlertsEnabled': 'airing_alerts_enabled',
+    'airingOverdueHours': 'airing_overdue_hours',
+    'notificationDigestEnabled': 'notification_digest_enabled',
+    'notificationDigestTime': 'notification_digest_time',
     'anilistAccessToken': 'anilist_access_token',
     'anilistUsername': 'anilist_username',
     'anilistUserId': 'anilist_user_id',
+    'anilistProgressSyncEnabled': 'anilist_progress_sync_enabled',
+    'markWatchedOnOpen': 'mark_watched_on_open',
+    'malClientId': 'mal_client_id',
     'hideToTrayOnClose': 'hide_to_tray_on_close',
     'startMinimizedToTray': 'start_minimized_to_tray',
     'showAdvancedTabsInSidebar': 'show_advanced_tabs_in_sidebar',
     'enableDHT': 'enable_dht',
     'enablePEX': 'enable_pex',
-    'enableLSD': 'enable_lsd'
+    'enableLSD': 'enable_lsd',
+    'downloadLimitKbps': 'download_limit_kbps',
+    'uploadLimitKbps': 'upload_limit_kbps',
+    'altDownloadLimitKbps': 'alt_download_limit_kbps',
+    'altUploadLimitKbps': 'alt_upload_limit_kbps',
+    'altSpeedScheduleEnabled': 'alt_speed_schedule_enabled',
+    'altSpeedSchedule': 'alt_speed_schedule',
+    'organizerEnabled': 'organizer_enabled',
+    'organizerMode': 'organizer_mode',
+    'organizerTemplate': 'organizer_template',
+    'organizerDirectory': 'organizer_directory',
+    'apiEnabled': 'api_enabled',
+    'apiPort': 'api_port',
+    'webUIEnabled': 'web_ui_enabled',
+    'webUIPort': 'web_ui_port',
+    'calendarFeedEnabled': 'calendar_feed_enabled',
+    'calendarFeedPort': 'calendar_feed_port'
   };
 
+  // Settings the download backend only reads when it is created
+  const networkKeys = [
+    'torrent_port', 'enable_dht', 'enable_pex', 'enable_lsd',
+    'download_backend', 'qbittorrent_url', 'qbittorrent_username', 'qbittorrent_password',
+    'transmission_url', 'transmission_username', 'transmission_password',
+    'blackhole_directory', 'blackhole_completed_directory'
+  ];
+  let networkChanged = false;
+
   const promises = Object.entries(settings).map(([uiKey, value]) => {
     const dbKey = settingsMapping[uiKey] || uiKey; // Use original key if no mapping found
+    if (networkKeys.includes(dbKey) && configOperations.get(dbKey) !== String(value)) {
+      networkChanged = true;
+    }
     return configOperations.set(dbKey, String(value));
   });
 
-  return Promise.all(promises);
+  const results = await Promise.all(promises);
+
+  if (networkChanged && downloadManager) {
+    await downloadManager.restartClient();
+  }
+
+  // Limits or schedule may have changed
+  if (bandwidthScheduler) {
+    bandwidthScheduler.apply();
+  }
+
+  // Servers may have been enabled, disabled or moved to another port
+  if (apiServer) {
+    await apiServer.apply();
+  }
+  if (webUIServer) {
+    await webUIServer.apply();
+  }
+  if (calendarFeed) {
+    await calendarFeed.apply();
+  }
+
+  return results;
 });
 
 // File system operations
-ipcMain.handle("select-directory", async () => {
+handle("select-directory", async () => {
   const result = await dialog.showOpenDialog(mainWindow, {
     properties: ['openDirectory']
   });
   return result.canceled ? null : result.filePaths[0];
 });
 
-ipcMain.handle("open-folder", async (_, filePath) => {
+handle("open-folder", async (filePath) => {
   try {
     if (filePath) {
       // Show the file in the folder
@@ -744,15 +1150,32 @@ ipcMain.handle("open-folder", async (_, filePath) => {
   }
 });
 
-ipcMain.handle("get-download-directory", () => {
+handle("preview-organizer-template", (template) => {
+  return previewTemplate(template);
+});
+
+handle("get-organizer-template-variables", () => {
+  return TEMPLATE_VARIABLES;
+});
+
+handle("get-series-folders", () => {
+  // Effective download subfolder of every whitelist entry
+  const folders = {};
+  for (const entry of whitelistOperations.getAll()) {
+    folders[entry.id] = downloadManager.getSeriesFolder(entry);
+  }
+  return folders;
+});
+
+handle("get-download-directory", () => {
   return downloadManager.getDownloadPath();
 });
 
 // RSS feed testing
-ipcMain.handle("test-rss-feed", async (_, url) => {
+handle("test-rss-feed", async (url, feed) => {
   try {
     console.log('🧪 TEST: Starting RSS feed test for:', url);
-    const result = await rssProcessor.testFeed(url);
+    const result = await rssProcessor.testFeed(url, feed);
     console.log('🧪 TEST: RSS feed test completed:', result);
     return result;
   } catch (error) {
@@ -763,7 +1186,7 @@ ipcMain.handle("test-rss-feed", async (_, url) => {
 
 
 // Test RSS feed with continuous numeration
-ipcMain.handle("test-rss-continuous-numeration", async (_, url) => {
+handle("test-rss-continuous-numeration", async (url) => {
   try {
     console.log('🧪 TEST: Starting RSS continuous numeration test');
     const result = await rssProcessor.testRSSContinuousNumeration(url);
@@ -789,7 +1212,7 @@ ipcMain.handle("test-rss-continuous-numeration", async (_, url) => {
 });
 
 // Test RSS feed with actual download functionality
-ipcMain.handle("test-rss-download", async (_, url, options = {}) => {
+handle("test-rss-download", async (url, options = {}) => {
   try {
     console.log('🧪 TEST: Starting RSS download test for:', url);
     console.log('🧪 TEST: Options:', options);
@@ -824,116 +1247,176 @@ ipcMain.handle("test-rss-download", async (_, url, options = {}) => {
 
 
 // AniList operations
-ipcMain.handle("anilist-get-auth-url", () => {
+handle("anilist-get-auth-url", () => {
   return anilistService.getAuthUrl();
 });
 
-ipcMain.handle("anilist-store-token", async (_, token) => {
+handle("anilist-store-token", async (token) => {
   return await anilistService.storeAccessToken(token);
 });
 
-ipcMain.handle("anilist-is-authenticated", () => {
+handle("anilist-is-authenticated", () => {
   return anilistService.isAuthenticated();
 });
 
-ipcMain.handle("anilist-get-current-user", async () => {
+handle("anilist-get-current-user", async () => {
   return await anilistService.getCurrentUser();
 });
 
-ipcMain.handle("anilist-get-user-anime-list", async (_, userId, status) => {
+handle("anilist-get-user-anime-list", async (userId, status) => {
   return await anilistService.getUserAnimeList(userId, status);
 });
 
-ipcMain.handle("anilist-get-lists-by-status", async (_, statuses, userId) => {
+handle("anilist-get-lists-by-status", async (statuses, userId) => {
   return await anilistService.getAnimeListsByStatus(statuses, userId);
 });
 
-ipcMain.handle("anilist-search-anime", async (_, search, page, perPage) => {
+handle("anilist-search-anime", async (search, page, perPage) => {
   return await anilistService.searchAnime(search, page, perPage);
 });
 
-ipcMain.handle("anilist-logout", () => {
+handle("anilist-logout", () => {
   return anilistService.logout();
 });
 
+handle("anilist-get-progress-queue", () => {
+  return anilistProgressService.getQueue();
+});
+
+handle("anilist-process-progress-queue", () => {
+  return anilistProgressService.processQueue();
+});
+
+handle("get-airing-timeline", (days) => {
+  return airingTracker.getTimeline(days);
+});
+
+handle("check-airing-schedule", () => {
+  return airingTracker.check();
+});
+
 // AniList account operations
-ipcMain.handle("anilist-accounts-get-all", () => {
+handle("anilist-accounts-get-all", () => {
   return anilistAccountOperations.getAll();
 });
 
-ipcMain.handle("anilist-accounts-get-active", () => {
+handle("anilist-accounts-get-active", () => {
   return anilistAccountOperations.getActive();
 });
 
-ipcMain.handle("anilist-accounts-set-active", (_, id) => {
+handle("anilist-accounts-set-active", (id) => {
   return anilistAccountOperations.setActive(id);
 });
 
-ipcMain.handle("anilist-accounts-upsert", (_, account) => {
+handle("anilist-accounts-upsert", (account) => {
   return anilistAccountOperations.upsert(account);
 });
 
-ipcMain.handle("anilist-accounts-delete", (_, id) => {
+handle("anilist-accounts-delete", (id) => {
   return anilistAccountOperations.delete(id);
 });
 
 // AniList auto-download lists operations
-ipcMain.handle("anilist-auto-lists-get-by-account", (_, accountId) => {
+handle("anilist-auto-lists-get-by-account", (accountId) => {
   return anilistAutoListOperations.getByAccountId(accountId);
 });
 
-ipcMain.handle("anilist-auto-lists-upsert", (_, config) => {
+handle("anilist-auto-lists-upsert", (config) => {
   return anilistAutoListOperations.upsert(config);
 });
 
-ipcMain.handle("anilist-auto-lists-get-enabled", () => {
+handle("anilist-auto-lists-get-enabled", () => {
   return anilistAutoListOperations.getEnabled();
 });
 
-ipcMain.handle("anilist-auto-lists-toggle", (_, id, enabled) => {
+handle("anilist-auto-lists-toggle", (id, enabled) => {
   return anilistAutoListOperations.toggle(id, enabled);
 });
 
-ipcMain.handle("anilist-auto-lists-delete", (_, id) => {
+handle("anilist-auto-lists-delete", (id) => {
   return anilistAutoListOperations.delete(id);
 });
 
+// MyAnimeList / Kitsu list operations
+handle("list-providers-get-all", () => {
+  return listProviders.getProviders();
+});
+
+handle("list-accounts-get-all", () => {
+  return listAccountOperations.getAll();
+});
+
+handle("list-accounts-add", async (provider, username) => {
+  const name = (username || '').trim();
+  if (!name) {
+    throw new Error('Username is required');
+  }
+  if (listAccountOperations.getAll().some(account => account.provider === provider && account.username.toLowerCase() === name.toLowerCase())) {
+    throw new Error(`${name} is already added`);
+  }
+
+  // Fails when the user doesn't exist or their list can't be read
+  const userId = await listProviders.resolveUser(provider, name);
+  const result = listAccountOperations.add({ provider, username: name, user_id: userId });
+  return listAccountOperations.getById(result.lastInsertRowid);
+});
+
+handle("list-accounts-delete", (id) => {
+  return listAccountOperations.delete(id);
+});
+
+handle("list-auto-lists-get-by-account", (accountId) => {
+  return listAutoListOperations.getByAccountId(accountId);
+});
+
+handle("list-auto-lists-upsert", (config) => {
+  return listAutoListOperations.upsert(config);
+});
+
+handle("list-auto-lists-toggle", (id, enabled) => {
+  return listAutoListOperations.toggle(id, enabled);
+});
+
+handle("list-auto-lists-delete", (id) => {
+  return listAutoListOperations.delete(id);
+});
+
 // Anime relations operations
-ipcMain.handle("anime-relations-get-episode-mapping", (_, anilistId, episodeNumber) => {
+handle("anime-relations-get-episode-mapping", (anilistId, episodeNumber) => {
   return animeRelationsManager.getEpisodeMapping(anilistId, episodeNumber);
 });
 
-ipcMain.handle("anime-relations-force-refresh", async () => {
+handle("anime-relations-force-refresh", async () => {
   return await animeRelationsManager.forceRefresh();
 });
 
-ipcMain.handle("anime-relations-get-data", () => {
+handle("anime-relations-get-data", () => {
   return animeRelationsManager.getRelationsData();
 });
 
 // AniList sync operations
-ipcMain.handle("anilist-sync-force-all", async () => {
+handle("anilist-sync-force-all", async () => {
   if (!anilistSyncService) {
     throw new Error('AniList sync service not initialized');
   }
   return await anilistSyncService.forceSyncAll();
 });
 
-ipcMain.handle("anilist-sync-get-status", () => {
+handle("anilist-sync-get-status", () => {
   if (!anilistSyncService) {
     return { isRunning: false, hasPeriodicSync: false, intervalHours: 4 };
   }
   return anilistSyncService.getSyncStatus();
 });
 
-ipcMain.handle("anilist-sync-start-periodic", () => {
+handle("anilist-sync-start-periodic", () => {
   if (!anilistSyncService) {
     throw new Error('AniList sync service not initialized');
   }
   return anilistSyncService.startPeriodicSync();
 });
 
-ipcMain.handle("anilist-sync-stop-periodic", () => {
+handle("anilist-sync-stop-periodic", () => {
   if (!anilistSyncService) {
     throw new Error('AniList sync service not initialized');
   }
@@ -941,43 +1424,43 @@ ipcMain.handle("anilist-sync-stop-periodic", () => {
 });
 
 // Config operations
-ipcMain.handle("get-config", (_, key) => {
+handle("get-config", (key) => {
   return configOperations.get(key);
 });
 
-ipcMain.handle("set-config", (_, key, value) => {
+handle("set-config", (key, value) => {
   return configOperations.set(key, value);
 });
 
-ipcMain.handle("get-all-config", () => {
+handle("get-all-config", () => {
   return configOperations.getAll();
 });
 
 // External operations
-ipcMain.handle("open-external", async (_, url) => {
+handle("open-external", async (url) => {
   const { shell } = await import('electron');
   return shell.openExternal(url);
 });
 
 // Processed files operations
-ipcMain.handle("get-processed-files", () => {
+handle("get-processed-files", () => {
   return processedFilesOperations.getAll();
 });
 
-ipcMain.handle("delete-processed-file", (_, id) => {
+handle("delete-processed-file", (id) => {
   return processedFilesOperations.delete(id);
 });
 
-ipcMain.handle("clear-all-processed-files", () => {
+handle("clear-all-processed-files", () => {
   return processedFilesOperations.clear();
 });
 
-ipcMain.handle("clear-processed-files-by-whitelist-entry", (_, whitelistEntryId) => {
+handle("clear-processed-files-by-whitelist-entry", (whitelistEntryId) => {
   return processedFilesOperations.deleteByWhitelistEntry(whitelistEntryId);
 });
 
 // Debug operations
-ipcMain.handle("debug-processed-files", () => {
+handle("debug-processed-files", () => {
   try {
     const allFiles = processedFilesOperations.getAll();
     console.log(`🐛 DEBUG: Found ${allFiles.length} processed files in database`);
@@ -1001,7 +1484,7 @@ ipcMain.handle("debug-processed-files", () => {
 // Filename parsing operations
 const { filenameParser } = require('./lib/filename-parser');
 
-ipcMain.handle("parse-filename", (_, filename) => {
+handle("parse-filename", (filename) => {
   try {
     return filenameParser.parse(filename);
   } catch (error) {
@@ -1010,7 +1493,7 @@ ipcMain.handle("parse-filename", (_, filename) => {
   }
 });
 
-ipcMain.handle("parse-multiple-filenames", (_, filenames) => {
+handle("parse-multiple-filenames", (filenames) => {
   try {
     return filenameParser.parseMultiple(filenames);
   } catch (error) {
@@ -1020,27 +1503,27 @@ ipcMain.handle("parse-multiple-filenames", (_, filenames) => {
 });
 
 // Activity logs operations
-ipcMain.handle("get-activity-logs", (_, limit, type) => {
+handle("get-activity-logs", (limit, type) => {
   return activityLogsOperations.getRecent(limit, type);
 });
 
-ipcMain.handle("clear-activity-logs", () => {
+handle("clear-activity-logs", () => {
   return activityLogsOperations.clear();
 });
 
 // Processed GUIDs operations
-ipcMain.handle("clear-processed-guids", () => {
+handle("clear-processed-guids", () => {
   return processedGuidsOperations.clear();
 });
 
-ipcMain.handle("get-processed-guids-count", () => {
+handle("get-processed-guids-count", () => {
   const guids = processedGuidsOperations.getAll();
   return guids.length;
 });
 
 // Title overrides operations - use the shared instance created during initialization
 
-ipcMain.handle("get-user-title-overrides", async () => {
+handle("get-user-title-overrides", async () => {
   try {
     return sharedTitleOverridesManager.getUserOverridesData();
   } catch (error) {
@@ -1049,7 +1532,7 @@ ipcMain.handle("get-user-title-overrides", async () => {
   }
 });
 
-ipcMain.handle("save-user-title-overrides", async (_, overrides) => {
+handle("save-user-title-overrides", async (overrides) => {
   try {
     const fs = require('fs');
     const USER_OVERRIDES_FILE = 'user-title-overrides.json';
@@ -1076,7 +1559,7 @@ ipcMain.handle("save-user-title-overrides", async (_, overrides) => {
   }
 });
 
-ipcMain.handle("refresh-title-overrides", async () => {
+handle("refresh-title-overrides", async () => {
   try {
     await sharedTitleOverridesManager.forceRefresh();
     return { success: true };
@@ -1108,6 +1591,37 @@ app.on('before-quit', async () => {
     }
   }
 
+  // Stop bandwidth schedule checks
+  if (bandwidthScheduler) {
+    bandwidthScheduler.stop();
+  }
+
+  // Stop retrying queued AniList progress updates
+  if (anilistProgressService) {
+    anilistProgressService.stop();
+  }
+
+  // Stop overdue episode checks
+  if (airingTracker) {
+    airingTracker.stop();
+  }
+
+  // Stop the daily digest timer and drop held notification bursts
+  if (notificationService) {
+    notificationService.stop();
+  }
+
+  // Stop the local API, web UI and calendar feed
+  if (apiServer) {
+    apiServer.stop();
+  }
+  if (webUIServer) {
+    webUIServer.stop();
+  }
+  if (calendarFeed) {
+    calendarFeed.stop();
+  }
+
   // Stop download manager
   if (downloadManager) {
     try {
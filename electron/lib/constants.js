@@ -2,14 +2,19 @@
  * Shared constants for MoeDownloader
  */
 
-// Allowed fansub groups - only torrents from these groups will be considered
-const ALLOWED_FANSUB_GROUPS = [
+// Default allowed fansub groups - seeded into the fansub_groups table on first run,
+// after which the list is managed from Settings
+const DEFAULT_FANSUB_GROUPS = [
   'Erai-raws',
   'SubsPlease',
   'New-raws',
   'ASW'
 ];
 
+// Feed added on first run, after which feeds are managed from Settings
+const DEFAULT_FEED_URL = 'https://www.tokyotosho.info/rss.php?filter=1&entries=750';
+
 module.exports = {
-  ALLOWED_FANSUB_GROUPS
+  DEFAULT_FANSUB_GROUPS,
+  DEFAULT_FEED_URL
 };
@@ -2,6 +2,8 @@ const Database = require('better-sqlite3');
 const { join } = require('path');
 const { app } = require('electron');
 const { mkdirSync } = require('fs');
+const { DEFAULT_FANSUB_GROUPS, DEFAULT_FEED_URL } = require('./constants');
+const { DEFAULT_ORGANIZER_TEMPLATE } = require('./rename-template');
 
 let db = null;
 
@@ -159,6 +161,52 @@ async function createTables() {
 		)
 	`);
 
+	// MyAnimeList / Kitsu accounts whose public lists are synced (provider is "myanimelist" or "kitsu")
+	db.exec(`
+		CREATE TABLE IF NOT EXISTS list_accounts (
+			id INTEGER PRIMARY KEY AUTOINCREMENT,
+			provider TEXT NOT NULL,
+			username TEXT NOT NULL,
+			user_id TEXT,
+			last_synced_at DATETIME,
+			last_error TEXT,
+			created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+			updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+			UNIQUE(provider, username)
+		)
+	`);
+
+	// Auto-download lists of those accounts, same shape as anilist_auto_lists (statuses use AniList names)
+	db.exec(`
+		CREATE TABLE IF NOT EXISTS list_auto_lists (
+			id INTEGER PRIMARY KEY AUTOINCREMENT,
+			account_id INTEGER NOT NULL,
+			list_status TEXT NOT NULL,
+			enabled INTEGER DEFAULT 1,
+			quality TEXT DEFAULT '1080p',
+			preferred_group TEXT DEFAULT 'any',
+			created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+			updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+			FOREIGN KEY (account_id) REFERENCES list_accounts (id) ON DELETE CASCADE,
+			UNIQUE(account_id, list_status)
+		)
+	`);
+
+	// Episode air times of tracked shows, from AniList (airing_at is a unix timestamp in seconds)
+	db.exec(`
+		CREATE TABLE IF NOT EXISTS airing_schedule (
+			id INTEGER PRIMARY KEY AUTOINCREMENT,
+			anilist_id INTEGER NOT NULL,
+			episode INTEGER NOT NULL,
+			airing_at INTEGER NOT NULL,
+			status TEXT DEFAULT 'pending',
+			checked_at DATETIME,
+			created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+			updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+			UNIQUE(anilist_id, episode)
+		)
+	`);
+
 	// AniList anime cache table
 	db.exec(`
 		CREATE TABLE IF NOT EXISTS anilist_anime_cache (
@@ -246,8 +294,93 @@ async function createTables() {
 		)
 	`);
 
+	// RSS feeds table (each feed is polled on its own schedule)
+	db.exec(`
+		CREATE TABLE IF NOT EXISTS feeds (
+			id INTEGER PRIMARY KEY AUTOINCREMENT,
+			name TEXT NOT NULL,
+			url TEXT NOT NULL UNIQUE,
+			type TEXT DEFAULT 'rss',
+			api_key TEXT,
+			categories TEXT,
+			search_query TEXT,
+			check_interval_minutes INTEGER DEFAULT 5,
+			enabled INTEGER DEFAULT 1,
+			last_checked_at DATETIME,
+			last_success_at DATETIME,
+			last_item_count INTEGER DEFAULT 0,
+			last_error TEXT,
+			last_error_at DATETIME,
+			created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+			updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+		)
+	`);
+
+	// Create fansub_groups table (global allowlist, lower priority value = preferred)
+	db.exec(`
+		CREATE TABLE IF NOT EXISTS fansub_groups (
+			id INTEGER PRIMARY KEY AUTOINCREMENT,
+			name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+			priority INTEGER NOT NULL DEFAULT 0,
+			enabled INTEGER DEFAULT 1,
+			created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+			updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+		)
+	`);
+
+	// AniList progress updates waiting to be sent (one row per anime, retried while offline)
+	db.exec(`
+		CREATE TABLE IF NOT EXISTS anilist_progress_queue (
+			id INTEGER PRIMARY KEY AUTOINCREMENT,
+			media_id INTEGER NOT NULL UNIQUE,
+			progress INTEGER NOT NULL,
+			download_id INTEGER,
+			attempts INTEGER DEFAULT 0,
+			last_error TEXT,
+			created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+			updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+		)
+	`);
+
+	// Create notification_channels table (outbound alerts; config holds the type-specific settings as JSON)
+	db.exec(`
+		CREATE TABLE IF NOT EXISTS notification_channels (
+			id INTEGER PRIMARY KEY AUTOINCREMENT,
+			name TEXT NOT NULL,
+			type TEXT NOT NULL,
+			config TEXT NOT NULL DEFAULT '{}',
+			events TEXT NOT NULL DEFAULT '',
+			title_template TEXT,
+			body_template TEXT,
+			enabled INTEGER DEFAULT 1,
+			last_sent_at DATETIME,
+			last_error TEXT,
+			last_error_at DATETIME,
+			created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+			updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+		)
+	`);
+
+	// Create notifications table (inbox of everything sent to the renderer)
+	db.exec(`
+		CREATE TABLE IF NOT EXISTS notifications (
+			id INTEGER PRIMARY KEY AUTOINCREMENT,
+			type TEXT NOT NULL,
+			title TEXT NOT NULL,
+			body TEXT,
+			data TEXT,
+			download_id INTEGER,
+			whitelist_entry_id INTEGER,
+			read INTEGER DEFAULT 0,
+			created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+		)
+	`);
+
 	// Create indexes for better performance
 	db.exec(`
+		CREATE INDEX IF NOT EXISTS idx_feeds_enabled ON feeds (enabled);
+		CREATE INDEX IF NOT EXISTS idx_notifications_read ON notifications (read);
+		CREATE INDEX IF NOT EXISTS idx_fansub_groups_priority ON fansub_groups (priority);
 		CREATE INDEX IF NOT EXISTS idx_rss_entries_guid ON rss_entries (guid);
 		CREATE INDEX IF NOT EXISTS idx_rss_entries_status ON rss_entries (status);
 		CREATE INDEX IF NOT EXISTS idx_downloads_status ON downloads (status);
@@ -264,6 +397,7 @@ async function createTables() {
 		CREATE INDEX IF NOT EXISTS idx_activity_logs_type ON activity_logs (type);
 		CREATE INDEX IF NOT EXISTS idx_activity_logs_created_at ON activity_logs (created_at);
 		CREATE INDEX IF NOT EXISTS idx_processed_guids_guid ON processed_guids (guid);
+		CREATE INDEX IF NOT EXISTS idx_airing_schedule_airing_at ON airing_schedule (airing_at);
 	`);
 
 	// Migrate existing anime_relations table to add anime title columns
@@ -286,16 +420,76 @@ async function createTables() {
 		console.error('Error migrating anime_relations table:', error);
 	}
 
+	// MyAnimeList IDs of cached anime, used to match MyAnimeList imports offline
+	try {
+		const cacheInfo = db.prepare("PRAGMA table_info(anilist_anime_cache)").all();
+		if (!cacheInfo.some(col => col.name === 'mal_id')) {
+			console.log('Adding mal_id column to anilist_anime_cache table');
+			db.exec('ALTER TABLE anilist_anime_cache ADD COLUMN mal_id INTEGER');
+		}
+		db.exec('CREATE INDEX IF NOT EXISTS idx_anilist_anime_cache_mal_id ON anilist_anime_cache (mal_id)');
+	} catch (error) {
+		console.error('Error migrating anilist_anime_cache table:', error);
+	}
+
 	// Insert default configuration
 	const defaultConfig = [
-		['rss_feed_url', 'https://www.tokyotosho.info/rss.php?filter=1&entries=750'],
-		['check_interval_minutes', '5'],
 		['downloads_directory', 'downloads'],
 		['max_concurrent_downloads', '3'],
+		['series_folders_enabled', 'true'],
+		// Download backend: webtorrent, qbittorrent, transmission or blackhole
+		['download_backend', 'webtorrent'],
+		['qbittorrent_url', 'http://localhost:8080'],
+		['qbittorrent_username', 'admin'],
+		['qbittorrent_password', ''],
+		['transmission_url', 'http://localhost:9091/transmission/rpc'],
+		['transmission_username', ''],
+		['transmission_password', ''],
+		// Blackhole mode: torrents go to a watch folder, finished files are looked up in the completed folder
+		['blackhole_directory', ''],
+		['blackhole_completed_directory', ''],
+		// Torrent network settings
+		['torrent_port', '6881'],
+		['enable_dht', 'true'],
+		['enable_pex', 'true'],
+		['enable_lsd', 'true'],
+		// Bandwidth settings (KiB/s, 0 = unlimited)
+		['download_limit_kbps', '0'],
+		['upload_limit_kbps', '0'],
+		['alt_download_limit_kbps', '1024'],
+		['alt_upload_limit_kbps', '256'],
+		['alt_speed_schedule_enabled', 'false'],
+		['alt_speed_schedule', '[]'],
+		['turtle_mode', 'false'],
+		// File organizer settings
+		['organizer_enabled', 'false'],
+		['organizer_mode', 'move'],
+		['organizer_template', DEFAULT_ORGANIZER_TEMPLATE],
+		['organizer_directory', ''],
+		// Seeding settings
+		['seeding_enabled', 'false'],
+		['seed_ratio_limit', '1'],
+		['seed_time_limit_minutes', '1440'],
+		['max_seeding_torrents', '5'],
+		// Local REST API settings (the key is generated on first start)
+		['api_enabled', 'false'],
+		['api_port', '8686'],
+		['api_key', ''],
+		// Remote web UI settings
+		['web_ui_enabled', 'false'],
+		['web_ui_port', '8687'],
+		['web_ui_password_hash', ''],
+		// iCalendar feed of the airing schedule (the token is generated on first start)
+		['calendar_feed_enabled', 'false'],
+		['calendar_feed_port', '8688'],
+		['calendar_feed_token', ''],
 		['last_processed_id', '0'],
 		['theme', 'dark'],
 		// Download filtering settings
 		['disabled_fansub_groups', ''],
+		// Release filters using feed/indexer metadata, 0 = off
+		['min_seeders', '0'],
+		['max_release_size_mb', '0'],
 		// OS Notifications settings
 		['enable_os_notifications', 'true'],
 		['enable_notification_download-completed', 'true'],
@@ -304,6 +498,23 @@ async function createTables() {
 		['enable_notification_rss-processed', 'true'],
 		['enable_notification_new-episode-found', 'true'],
 		['enable_notification_anilist-sync-failed', 'true'],
+		// Notification policies (times are local HH:MM)
+		['notification_quiet_hours_enabled', 'false'],
+		['notification_quiet_hours_start', '22:00'],
+		['notification_quiet_hours_end', '08:00'],
+		['notification_batching_enabled', 'true'],
+		['notification_batch_window_seconds', '30'],
+		['notification_digest_enabled', 'false'],
+		['notification_digest_time', '09:00'],
+		['notification_digest_last_sent', ''],
+		// AniList progress write-back
+		['anilist_progress_sync_enabled', 'true'],
+		['mark_watched_on_open', 'true'],
+		// Airing schedule: alert when an aired episode hasn't been downloaded after this many hours
+		['airing_alerts_enabled', 'true'],
+		['airing_overdue_hours', '6'],
+		// MyAnimeList API client ID (public lists are read with it, no login needed)
+		['mal_client_id', ''],
 		// Tray settings
 		['hide_to_tray_on_close', 'true'],
 		['start_minimized_to_tray', 'false'],
@@ -341,6 +552,18 @@ async function closeDatabase() {
 	}
 }
 
+// Per-entry policy columns that can be updated independently of the entry itself
+const WHITELIST_OPTION_COLUMNS = [
+	'upgrade_enabled',
+	'upgrade_action',
+	'backfill_enabled',
+	'backfill_start_episode',
+	'seed_mode',
+	'seed_ratio_limit',
+	'seed_time_limit_minutes',
+	'series_folder'
+];
+
 // Whitelist operations
 const whitelistOperations = {
 	/**
@@ -359,8 +582,8 @@ const whitelistOperations = {
 	add(entry) {
 		try {
 			const stmt = db.prepare(`
-				INSERT INTO whitelist (title, keywords, exclude_keywords, quality, enabled, preferred_group, source_type, anilist_id, anilist_account_id, auto_sync, title_romaji, title_english, title_synonyms, allowed_groups, allowed_qualities)
-				VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+				INSERT INTO whitelist (title, keywords, exclude_keywords, quality, enabled, preferred_group, source_type, anilist_id, anilist_account_id, list_account_id, external_id, auto_sync, title_romaji, title_english, title_synonyms, allowed_groups, allowed_qualities)
+				VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
 			`);
 
 			// Handle multi-select fields
@@ -377,6 +600,8 @@ const whitelistOperations = {
 				entry.source_type || 'manual',
 				entry.anilist_id || null,
 				entry.anilist_account_id || null,
+				entry.list_account_id || null,
+				entry.external_id || null,
 				entry.auto_sync ? 1 : 0,
 				entry.title_romaji || null,
 				entry.title_english || null,
@@ -466,6 +691,41 @@ const whitelistOperations = {
 	findByTitle(title) {
 		const stmt = db.prepare('SELECT * FROM whitelist WHERE LOWER(title) = LOWER(?) AND enabled = 1');
 		return stmt.get(title);
+	},
+
+	/**
+	 * Get whitelist entry by ID
+	 * @param {number} id
+	 * @returns {Object|undefined}
+	 */
+	getById(id) {
+		const stmt = db.prepare('SELECT * FROM whitelist WHERE id = ?');
+		return stmt.get(id);
+	},
+
+	/**
+	 * Update per-entry policy options; only the keys present in options are written,
+	 * so callers that don't know about a policy (e.g. AniList sync) leave it untouched
+	 * @param {number} id
+	 * @param {Object} options
+	 */
+	updateOptions(id, options = {}) {
+		const fields = [];
+		const values = [];
+
+		for (const column of WHITELIST_OPTION_COLUMNS) {
+			if (options[column] !== undefined) {
+				fields.push(`${column} = ?`);
+				values.push(typeof options[column] === 'boolean' ? (options[column] ? 1 : 0) : options[column]);
+			}
+		}
+
+		if (fields.length > 0) {
+			values.push(id);
+			const stmt = db.prepare(`UPDATE whitelist SET ${fields.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`);
+			return stmt.run(...values);
+		}
+		return { changes: 0 };
 	}
 };
 
@@ -544,15 +804,18 @@ const downloadOperations = {
 			});
 
 			const stmt = db.prepare(`
-				INSERT INTO downloads (rss_entry_id, torrent_link, torrent_title, final_title, status)
-				VALUES (?, ?, ?, ?, ?)
+				INSERT INTO downloads (rss_entry_id, torrent_link, torrent_title, final_title, status, replaces_download_id, replace_action, whitelist_entry_id)
+				VALUES (?, ?, ?, ?, ?, ?, ?, ?)
 			`);
 			const result = stmt.run(
 				downloadData.rssEntryId,
 				downloadData.torrentLink,
 				downloadData.torrentTitle,
 				downloadData.finalTitle,
-				downloadData.status || 'queued'
+				downloadData.status || 'queued',
+				downloadData.replacesDownloadId || null,
+				downloadData.replaceAction || null,
+				downloadData.whitelistEntryId || null
 			);
 
 			console.log(`✅ DB: Successfully added download:`, {
@@ -680,6 +943,22 @@ const downloadOperations = {
 			fields.push('last_retry_at = ?');
 			values.push(updateData.last_retry_at);
 		}
+		if (updateData.ratio !== undefined) {
+			fields.push('ratio = ?');
+			values.push(updateData.ratio);
+		}
+		if (updateData.seedingStartedAt !== undefined) {
+			fields.push('seeding_started_at = ?');
+			values.push(updateData.seedingStartedAt);
+		}
+		if (updateData.organized !== undefined) {
+			fields.push('organized = ?');
+			values.push(updateData.organized);
+		}
+		if (updateData.savePath !== undefined) {
+			fields.push('save_path = ?');
+			values.push(updateData.savePath);
+		}
 
 		if (updateData.status === 'downloading' && !updateData.startedAt) {
 			fields.push('started_at = CURRENT_TIMESTAMP');
@@ -705,6 +984,26 @@ const downloadOperations = {
 		return stmt.all();
 	},
 
+	/**
+	 * Get download by ID
+	 * @param {number} id
+	 * @returns {Object|undefined}
+	 */
+	getById(id) {
+		const stmt = db.prepare('SELECT * FROM downloads WHERE id = ?');
+		return stmt.get(id);
+	},
+
+	/**
+	 * Get the most recent download for a torrent link
+	 * @param {string} torrentLink
+	 * @returns {Object|undefined}
+	 */
+	findByTorrentLink(torrentLink) {
+		const stmt = db.prepare('SELECT * FROM downloads WHERE torrent_link = ? ORDER BY id DESC LIMIT 1');
+		return stmt.get(torrentLink);
+	},
+
 	/**
 	 * Get active downloads
 	 * @returns {Array}
@@ -714,6 +1013,28 @@ const downloadOperations = {
 		return stmt.all();
 	},
 
+	/**
+	 * Get downloads that are seeding, oldest first
+	 * @returns {Array}
+	 */
+	getSeeding() {
+		const stmt = db.prepare("SELECT * FROM downloads WHERE status = 'seeding' ORDER BY seeding_started_at, id");
+		return stmt.all();
+	},
+
+	/**
+	 * Mark a download as watched or unwatched
+	 * @param {number} id
+	 * @param {boolean} watched
+	 * @returns {Object}
+	 */
+	setWatched(id, watched = true) {
+		const stmt = watched
+			? db.prepare('UPDATE downloads SET watched_at = COALESCE(watched_at, CURRENT_TIMESTAMP) WHERE id = ?')
+			: db.prepare('UPDATE downloads SET watched_at = NULL WHERE id = ?');
+		return stmt.run(id);
+	},
+
 	/**
 	 * Delete a download
 	 * @param {number} id
@@ -946,6 +1267,140 @@ const anilistAutoListOperations = {
 	}
 };
 
+/**
+ * MyAnimeList / Kitsu list account operations
+ */
+const listAccountOperations = {
+	/**
+	 * Add a list account
+	 * @param {Object} account - { provider, username, user_id }
+	 */
+	add(account) {
+		const stmt = db.prepare(`
+			INSERT INTO list_accounts (provider, username, user_id)
+			VALUES (?, ?, ?)
+		`);
+		return stmt.run(account.provider, account.username, account.user_id || null);
+	},
+
+	/**
+	 * Get all list accounts
+	 */
+	getAll() {
+		const stmt = db.prepare('SELECT * FROM list_accounts ORDER BY provider, username');
+		return stmt.all();
+	},
+
+	/**
+	 * Get list account by ID
+	 * @param {number} id
+	 */
+	getById(id) {
+		const stmt = db.prepare('SELECT * FROM list_accounts WHERE id = ?');
+		return stmt.get(id);
+	},
+
+	/**
+	 * Store the provider's internal user ID once it has been looked up
+	 * @param {number} id
+	 * @param {string} userId
+	 */
+	setUserId(id, userId) {
+		const stmt = db.prepare('UPDATE list_accounts SET user_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?');
+		return stmt.run(userId, id);
+	},
+
+	/**
+	 * Record the outcome of a sync
+	 * @param {number} id
+	 * @param {string|null} error - null when the sync succeeded
+	 */
+	recordSync(id, error = null) {
+		const stmt = error
+			? db.prepare('UPDATE list_accounts SET last_error = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?')
+			: db.prepare('UPDATE list_accounts SET last_error = ?, last_synced_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ?');
+		return stmt.run(error, id);
+	},
+
+	/**
+	 * Delete a list account together with its auto-download lists and synced whitelist entries
+	 * @param {number} id
+	 */
+	delete(id) {
+		const transaction = db.transaction(() => {
+			db.prepare('DELETE FROM list_auto_lists WHERE account_id = ?').run(id);
+			db.prepare('DELETE FROM whitelist WHERE list_account_id = ? AND auto_sync = 1').run(id);
+			return db.prepare('DELETE FROM list_accounts WHERE id = ?').run(id);
+		});
+		return transaction();
+	}
+};
+
+/**
+ * MyAnimeList / Kitsu auto-download lists operations
+ */
+const listAutoListOperations = {
+	/**
+	 * Add or update auto-download list configuration
+	 * @param {Object} config
+	 */
+	upsert(config) {
+		const stmt = db.prepare(`
+			INSERT OR REPLACE INTO list_auto_lists
+			(account_id, list_status, enabled, quality, preferred_group, updated_at)
+			VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+		`);
+		return stmt.run(
+			config.account_id,
+			config.list_status,
+			config.enabled ? 1 : 0,
+			config.quality || '1080p',
+			config.preferred_group || 'any'
+		);
+	},
+
+	/**
+	 * Get auto-download lists for account
+	 * @param {number} accountId
+	 */
+	getByAccountId(accountId) {
+		const stmt = db.prepare('SELECT * FROM list_auto_lists WHERE account_id = ?');
+		return stmt.all(accountId);
+	},
+
+	/**
+	 * Get enabled auto-download lists
+	 */
+	getEnabled() {
+		const stmt = db.prepare(`
+			SELECT ll.*, la.provider, la.user_id, la.username
+			FROM list_auto_lists ll
+			JOIN list_accounts la ON ll.account_id = la.id
+			WHERE ll.enabled = 1
+		`);
+		return stmt.all();
+	},
+
+	/**
+	 * Delete auto-download list
+	 * @param {number} id
+	 */
+	delete(id) {
+		const stmt = db.prepare('DELETE FROM list_auto_lists WHERE id = ?');
+		return stmt.run(id);
+	},
+
+	/**
+	 * Toggle auto-download list
+	 * @param {number} id
+	 * @param {boolean} enabled
+	 */
+	toggle(id, enabled) {
+		const stmt = db.prepare('UPDATE list_auto_lists SET enabled = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?');
+		return stmt.run(enabled ? 1 : 0, id);
+	}
+};
+
 /**
  * Run database migrations
  */
@@ -964,7 +1419,15 @@ async function runMigrations() {
 			{ name: 'total_size', type: 'INTEGER DEFAULT 0' },
 			{ name: 'retry_count', type: 'INTEGER DEFAULT 0' },
 			{ name: 'max_retries', type: 'INTEGER DEFAULT 3' },
-			{ name: 'last_retry_at', type: 'DATETIME' }
+			{ name: 'last_retry_at', type: 'DATETIME' },
+			{ name: 'replaces_download_id', type: 'INTEGER' }, // Download superseded by this one (upgrade mode)
+			{ name: 'replace_action', type: 'TEXT' }, // 'delete' or 'archive' the superseded file
+			{ name: 'whitelist_entry_id', type: 'INTEGER' }, // Entry that matched this release (per-entry policies)
+			{ name: 'ratio', type: 'REAL DEFAULT 0' },
+			{ name: 'seeding_started_at', type: 'DATETIME' },
+			{ name: 'organized', type: 'INTEGER DEFAULT 0' }, // Moved/linked by the file organizer
+			{ name: 'save_path', type: 'TEXT' }, // Directory the torrent was saved to (per-series folder)
+			{ name: 'watched_at', type: 'DATETIME' } // Set when the episode was marked watched
 		];
 
 		for (const column of columnsToAdd) {
@@ -1007,6 +1470,19 @@ async function runMigrations() {
 			}
 		}
 
+		// Entries synced from MyAnimeList / Kitsu lists
+		const listSourceColumns = [
+			{ name: 'list_account_id', type: 'INTEGER' }, // list_accounts row
+			{ name: 'external_id', type: 'INTEGER' } // Anime ID on that site
+		];
+
+		for (const column of listSourceColumns) {
+			if (!whitelistColumns.includes(column.name)) {
+				db.exec(`ALTER TABLE whitelist ADD COLUMN ${column.name} ${column.type}`);
+				console.log(`Added column ${column.name} to whitelist table`);
+			}
+		}
+
 		// Add alternative title columns for enhanced matching
 		const alternativeTitleColumns = [
 			{ name: 'title_romaji', type: 'TEXT' },
@@ -1034,6 +1510,25 @@ async function runMigrations() {
 			}
 		}
 
+		// Add per-entry policy columns
+		const policyColumns = [
+			{ name: 'upgrade_enabled', type: 'INTEGER DEFAULT 0' }, // Replace episodes with better releases
+			{ name: 'upgrade_action', type: "TEXT DEFAULT 'delete'" }, // 'delete' or 'archive' superseded files
+			{ name: 'backfill_enabled', type: 'INTEGER DEFAULT 0' }, // Queue every missing episode, not just the latest
+			{ name: 'backfill_start_episode', type: 'INTEGER DEFAULT 1' },
+			{ name: 'seed_mode', type: "TEXT DEFAULT 'global'" }, // 'global', 'custom' or 'off'
+			{ name: 'seed_ratio_limit', type: 'REAL' },
+			{ name: 'seed_time_limit_minutes', type: 'INTEGER' },
+			{ name: 'series_folder', type: 'TEXT' } // Custom download subfolder, empty = derived from the title
+		];
+
+		for (const column of policyColumns) {
+			if (!whitelistColumns.includes(column.name)) {
+				db.exec(`ALTER TABLE whitelist ADD COLUMN ${column.name} ${column.type}`);
+				console.log(`Added column ${column.name} to whitelist table`);
+			}
+		}
+
 		// Migrate existing single-value data to multi-select format
 		const existingEntries = db.prepare('SELECT id, quality, preferred_group FROM whitelist WHERE allowed_groups IS NULL OR allowed_qualities IS NULL').all();
 
@@ -1152,6 +1647,65 @@ async function runMigrations() {
 			console.log('Could not normalize anime titles:', error.message);
 		}
 
+		// Add Torznab indexer columns to feeds table
+		const feedColumns = db.prepare("PRAGMA table_info(feeds)").all().map(col => col.name);
+		const torznabColumns = [
+			{ name: 'type', type: "TEXT DEFAULT 'rss'" }, // 'rss' (RSS/Atom/JSON Feed) or 'torznab'
+			{ name: 'api_key', type: 'TEXT' },
+			{ name: 'categories', type: 'TEXT' }, // Comma-separated Torznab category IDs
+			{ name: 'search_query', type: 'TEXT' } // Query used when polling, empty = latest releases
+		];
+
+		for (const column of torznabColumns) {
+			if (!feedColumns.includes(column.name)) {
+				db.exec(`ALTER TABLE feeds ADD COLUMN ${column.name} ${column.type}`);
+				console.log(`Added column ${column.name} to feeds table`);
+			}
+		}
+
+		// One-time migrations are recorded in the config table, so data the user
+		// removed afterwards (all feeds, all fansub groups) isn't seeded again
+		const isMigrationDone = (key) => db.prepare('SELECT value FROM config WHERE key = ?').get(key)?.value === 'true';
+		const markMigrationDone = (key) => db.prepare("INSERT OR REPLACE INTO config (key, value, updated_at) VALUES (?, 'true', CURRENT_TIMESTAMP)").run(key);
+
+		// Seed the feeds table from the legacy single rss_feed_url setting, or with the default feed
+		try {
+			if (!isMigrationDone('migration_feeds_seeded')) {
+				const feedCount = db.prepare('SELECT COUNT(*) as count FROM feeds').get().count;
+				const legacyUrl = db.prepare("SELECT value FROM config WHERE key = 'rss_feed_url'").get()?.value;
+
+				if (feedCount === 0) {
+					const url = legacyUrl || DEFAULT_FEED_URL;
+					const legacyInterval = parseInt(db.prepare("SELECT value FROM config WHERE key = 'check_interval_minutes'").get()?.value || '5');
+					const name = url.includes('nyaa.si') ? 'Nyaa.si' : url.includes('tokyotosho.info') ? 'Tokyo Toshokan' : 'RSS Feed';
+
+					db.prepare('INSERT INTO feeds (name, url, check_interval_minutes) VALUES (?, ?, ?)')
+						.run(name, url, legacyInterval || 5);
+					console.log(`Seeded feeds table with ${legacyUrl ? 'the legacy RSS feed URL' : 'the default feed'}: ${url}`);
+				}
+				markMigrationDone('migration_feeds_seeded');
+			}
+		} catch (error) {
+			console.log('Could not migrate legacy RSS feed URL:', error.message);
+		}
+
+		// Seed the fansub_groups table with the previously hardcoded allowlist
+		try {
+			if (!isMigrationDone('migration_fansub_groups_seeded')) {
+				const groupCount = db.prepare('SELECT COUNT(*) as count FROM fansub_groups').get().count;
+
+				if (groupCount === 0) {
+					const insertGroup = db.prepare('INSERT OR IGNORE INTO fansub_groups (name, priority) VALUES (?, ?)');
+					DEFAULT_FANSUB_GROUPS.forEach((name, index) => insertGroup.run(name, index));
+					console.log(`Seeded fansub_groups table with ${DEFAULT_FANSUB_GROUPS.length} default groups`);
+				}
+				// An empty list allows every group from now on
+				markMigrationDone('migration_fansub_groups_seeded');
+			}
+		} catch (error) {
+			console.log('Could not seed fansub groups:', error.message);
+		}
+
 	} catch (error) {
 		console.error('Error running migrations:', error);
 		// Don't throw error, let table creation continue
@@ -1169,11 +1723,12 @@ const anilistAnimeCacheOperations = {
 	upsert(anime) {
 		const stmt = db.prepare(`
 			INSERT OR REPLACE INTO anilist_anime_cache
-			(anilist_id, title_romaji, title_english, title_native, synonyms, format, status, episodes, season, season_year, average_score, genres, cover_image_url, banner_image_url, updated_at)
-			VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+			(anilist_id, mal_id, title_romaji, title_english, title_native, synonyms, format, status, episodes, season, season_year, average_score, genres, cover_image_url, banner_image_url, updated_at)
+			VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
 		`);
 		return stmt.run(
 			anime.anilist_id,
+			anime.mal_id || null,
 			anime.title_romaji,
 			anime.title_english,
 			anime.title_native,
@@ -1218,12 +1773,37 @@ const anilistAnimeCacheOperations = {
 	},
 
 	/**
-	 * Search anime in cache
-	 * @param {string} query
+	 * Get anime by MyAnimeList ID
+	 * @param {number} malId
 	 */
-	search(query) {
-		const stmt = db.prepare(`
-			SELECT * FROM anilist_anime_cache
+	getByMalId(malId) {
+		const stmt = db.prepare('SELECT anilist_id FROM anilist_anime_cache WHERE mal_id = ?');
+		const result = stmt.get(malId);
+		return result ? this.getByAnilistId(result.anilist_id) : undefined;
+	},
+
+	/**
+	 * Get all cached anime, with synonyms parsed
+	 */
+	getAll() {
+		const stmt = db.prepare('SELECT * FROM anilist_anime_cache ORDER BY title_romaji');
+		return stmt.all().map(anime => {
+			try {
+				anime.synonyms = anime.synonyms ? JSON.parse(anime.synonyms) : [];
+			} catch (e) {
+				anime.synonyms = [];
+			}
+			return anime;
+		});
+	},
+
+	/**
+	 * Search anime in cache
+	 * @param {string} query
+	 */
+	search(query) {
+		const stmt = db.prepare(`
+			SELECT * FROM anilist_anime_cache
 			WHERE title_romaji LIKE ? OR title_english LIKE ? OR title_native LIKE ?
 			ORDER BY title_romaji
 		`);
@@ -1300,6 +1880,23 @@ const animeRelationsOperations = {
 		return stmt.run();
 	},
 
+	/**
+	 * Find the AniList ID of a MyAnimeList or Kitsu anime through the relations data
+	 * @param {'mal'|'kitsu'} site
+	 * @param {number} id
+	 * @returns {number|null}
+	 */
+	findAniListId(site, id) {
+		const column = site === 'kitsu' ? 'kitsu_id' : 'mal_id';
+		const row = db.prepare(`
+			SELECT source_anilist_id AS anilist_id FROM anime_relations WHERE source_${column} = ?
+			UNION ALL
+			SELECT dest_anilist_id AS anilist_id FROM anime_relations WHERE dest_${column} = ?
+			LIMIT 1
+		`).get(id, id);
+		return row ? row.anilist_id : null;
+	},
+
 	/**
 	 * Get episode mapping
 	 * @param {number} anilistId
@@ -1385,6 +1982,48 @@ const processedFilesOperations = {
 		}
 	},
 
+	/**
+	 * Get the processed file record for an episode
+	 * @param {string} episodeNumber
+	 * @param {string} animeTitle - Should be normalized title
+	 * @returns {Object|undefined}
+	 */
+	findByEpisode(episodeNumber, animeTitle) {
+		const stmt = db.prepare(`
+			SELECT * FROM processed_files
+			WHERE episode_number = ? AND anime_title = ?
+		`);
+		return stmt.get(episodeNumber, animeTitle);
+	},
+
+	/**
+	 * Get the processed file record for a torrent link
+	 * @param {string} torrentLink
+	 * @returns {Object|undefined}
+	 */
+	findByTorrentLink(torrentLink) {
+		const stmt = db.prepare('SELECT * FROM processed_files WHERE torrent_link = ? ORDER BY id DESC LIMIT 1');
+		return stmt.get(torrentLink);
+	},
+
+	/**
+	 * Point a processed file record at a replacement release
+	 * @param {number} id
+	 * @param {Object} data
+	 */
+	replaceRelease(id, data) {
+		const stmt = db.prepare(`
+			UPDATE processed_files
+			SET original_filename = ?, final_title = ?, release_group = ?, video_resolution = ?,
+				file_checksum = ?, torrent_link = ?, download_status = ?, processed_at = CURRENT_TIMESTAMP
+			WHERE id = ?
+		`);
+		return stmt.run(
+			data.original_filename, data.final_title, data.release_group, data.video_resolution,
+			data.file_checksum, data.torrent_link, data.download_status || 'queued', id
+		);
+	},
+
 	/**
 	 * Check if file was already processed for specific whitelist entry (legacy method)
 	 * @param {number} whitelistEntryId
@@ -1572,6 +2211,286 @@ const activityLogsOperations = {
 	}
 };
 
+/**
+ * Notification inbox operations
+ */
+const notificationOperations = {
+	/**
+	 * Store a notification
+	 * @param {Object} notification - { type, title, body, data, downloadId, whitelistEntryId }
+	 * @returns {number} - ID of the new row
+	 */
+	add(notification) {
+		const stmt = db.prepare(`
+			INSERT INTO notifications (type, title, body, data, download_id, whitelist_entry_id)
+			VALUES (?, ?, ?, ?, ?, ?)
+		`);
+		const result = stmt.run(
+			notification.type,
+			notification.title,
+			notification.body || null,
+			notification.data ? JSON.stringify(notification.data) : null,
+			notification.downloadId || null,
+			notification.whitelistEntryId || null
+		);
+		return Number(result.lastInsertRowid);
+	},
+
+	/**
+	 * Get recent notifications, newest first
+	 * @param {Object} options - { limit, type, unreadOnly, since (Date) }
+	 * @returns {Array}
+	 */
+	getRecent(options = {}) {
+		const conditions = [];
+		const params = [];
+
+		if (options.type) {
+			conditions.push('type = ?');
+			params.push(options.type);
+		}
+		if (options.unreadOnly) {
+			conditions.push('read = 0');
+		}
+		if (options.since) {
+			// created_at is stored as UTC "YYYY-MM-DD HH:MM:SS"
+			conditions.push('created_at >= ?');
+			params.push(options.since.toISOString().slice(0, 19).replace('T', ' '));
+		}
+
+		const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+		const stmt = db.prepare(`SELECT * FROM notifications ${where} ORDER BY id DESC LIMIT ?`);
+		params.push(options.limit || 200);
+
+		return stmt.all(...params).map(row => ({
+			...row,
+			read: Boolean(row.read),
+			data: row.data ? JSON.parse(row.data) : null
+		}));
+	},
+
+	/**
+	 * Number of unread notifications
+	 * @returns {number}
+	 */
+	getUnreadCount() {
+		const stmt = db.prepare('SELECT COUNT(*) AS count FROM notifications WHERE read = 0');
+		return stmt.get().count;
+	},
+
+	/**
+	 * Mark one notification as read or unread
+	 * @param {number} id
+	 * @param {boolean} read
+	 */
+	setRead(id, read = true) {
+		const stmt = db.prepare('UPDATE notifications SET read = ? WHERE id = ?');
+		return stmt.run(read ? 1 : 0, id);
+	},
+
+	/**
+	 * Mark all notifications as read
+	 * @param {string} type - Only this type when given
+	 */
+	markAllRead(type = null) {
+		const stmt = type
+			? db.prepare('UPDATE notifications SET read = 1 WHERE read = 0 AND type = ?')
+			: db.prepare('UPDATE notifications SET read = 1 WHERE read = 0');
+		return type ? stmt.run(type) : stmt.run();
+	},
+
+	/**
+	 * Delete a notification
+	 * @param {number} id
+	 */
+	delete(id) {
+		const stmt = db.prepare('DELETE FROM notifications WHERE id = ?');
+		return stmt.run(id);
+	},
+
+	/**
+	 * Delete all notifications
+	 */
+	clear() {
+		const stmt = db.prepare('DELETE FROM notifications');
+		return stmt.run();
+	},
+
+	/**
+	 * Keep only the most recent notifications
+	 * @param {number} keepCount
+	 */
+	cleanup(keepCount = 1000) {
+		const stmt = db.prepare(`
+			DELETE FROM notifications
+			WHERE id NOT IN (SELECT id FROM notifications ORDER BY id DESC LIMIT ?)
+		`);
+		return stmt.run(keepCount);
+	}
+};
+
+/**
+ * AniList progress queue operations
+ */
+const anilistProgressQueueOperations = {
+	/**
+	 * Queue a progress update; an update already waiting for the same anime keeps the higher progress
+	 * @param {number} mediaId - AniList ID
+	 * @param {number} progress - Watched episodes
+	 * @param {number|null} downloadId - Download that triggered the update
+	 */
+	enqueue(mediaId, progress, downloadId = null) {
+		const stmt = db.prepare(`
+			INSERT INTO anilist_progress_queue (media_id, progress, download_id)
+			VALUES (?, ?, ?)
+			ON CONFLICT(media_id) DO UPDATE SET
+				progress = MAX(progress, excluded.progress),
+				download_id = CASE WHEN excluded.progress > progress THEN excluded.download_id ELSE download_id END,
+				attempts = 0,
+				last_error = NULL,
+				updated_at = CURRENT_TIMESTAMP
+		`);
+		return stmt.run(mediaId, progress, downloadId);
+	},
+
+	/**
+	 * Get queued updates, oldest first
+	 * @returns {Array}
+	 */
+	getAll() {
+		const stmt = db.prepare('SELECT * FROM anilist_progress_queue ORDER BY created_at, id');
+		return stmt.all();
+	},
+
+	/**
+	 * Remove a sent update, unless a newer progress was queued while it was being sent
+	 * @param {number} id
+	 * @param {number} progress - Progress that was sent
+	 */
+	complete(id, progress) {
+		const stmt = db.prepare('DELETE FROM anilist_progress_queue WHERE id = ? AND progress <= ?');
+		return stmt.run(id, progress);
+	},
+
+	/**
+	 * Delete a queued update
+	 * @param {number} id
+	 */
+	delete(id) {
+		const stmt = db.prepare('DELETE FROM anilist_progress_queue WHERE id = ?');
+		return stmt.run(id);
+	},
+
+	/**
+	 * Remember why sending an update failed
+	 * @param {number} id
+	 * @param {string} error
+	 */
+	recordError(id, error) {
+		const stmt = db.prepare(`
+			UPDATE anilist_progress_queue
+			SET attempts = attempts + 1, last_error = ?, updated_at = CURRENT_TIMESTAMP
+			WHERE id = ?
+		`);
+		return stmt.run(error, id);
+	}
+};
+
+/**
+ * Airing schedule operations
+ * Status is 'pending' until the episode is found ('found'), reported late ('overdue'),
+ * or aired before the show was added to the whitelist ('skipped').
+ */
+const airingScheduleOperations = {
+	/**
+	 * Add or update the air time of an episode. An overdue episode whose air time
+	 * moved later (a delay) becomes pending again.
+	 * @param {number} anilistId
+	 * @param {number} episode
+	 * @param {number} airingAt - Unix timestamp in seconds
+	 */
+	upsert(anilistId, episode, airingAt) {
+		const stmt = db.prepare(`
+			INSERT INTO airing_schedule (anilist_id, episode, airing_at)
+			VALUES (?, ?, ?)
+			ON CONFLICT(anilist_id, episode) DO UPDATE SET
+				status = CASE
+					WHEN airing_schedule.status = 'overdue' AND excluded.airing_at > airing_schedule.airing_at THEN 'pending'
+					ELSE airing_schedule.status
+				END,
+				airing_at = excluded.airing_at,
+				updated_at = CURRENT_TIMESTAMP
+		`);
+		return stmt.run(anilistId, episode, airingAt);
+	},
+
+	/**
+	 * Episodes airing in a time range, with the cached anime and whitelist entry
+	 * @param {number} from - Unix timestamp in seconds
+	 * @param {number} to - Unix timestamp in seconds
+	 */
+	getRange(from, to) {
+		const stmt = db.prepare(`
+			SELECT s.*, c.title_romaji, c.title_english, c.cover_image_url, c.episodes AS total_episodes,
+				w.id AS whitelist_entry_id, w.title AS whitelist_title, w.enabled AS whitelist_enabled
+			FROM airing_schedule s
+			LEFT JOIN anilist_anime_cache c ON c.anilist_id = s.anilist_id
+			LEFT JOIN whitelist w ON w.id = (
+				SELECT id FROM whitelist WHERE anilist_id = s.anilist_id ORDER BY enabled DESC, id LIMIT 1
+			)
+			WHERE s.airing_at BETWEEN ? AND ?
+			ORDER BY s.airing_at, s.episode
+		`);
+		return stmt.all(from, to);
+	},
+
+	/**
+	 * Aired episodes that haven't been found yet (pending or overdue).
+	 * Overdue episodes are left out once the next episode of the show has aired.
+	 * @param {number} now - Unix timestamp in seconds
+	 */
+	getAiredUnfound(now) {
+		const stmt = db.prepare(`
+			SELECT * FROM airing_schedule s
+			WHERE s.airing_at <= ? AND (
+				s.status = 'pending' OR (s.status = 'overdue' AND NOT EXISTS (
+					SELECT 1 FROM airing_schedule later
+					WHERE later.anilist_id = s.anilist_id AND later.episode > s.episode AND later.airing_at <= ?
+				))
+			)
+			ORDER BY s.airing_at
+		`);
+		return stmt.all(now, now);
+	},
+
+	/**
+	 * @param {number} id
+	 * @param {string} status
+	 */
+	setStatus(id, status) {
+		const stmt = db.prepare('UPDATE airing_schedule SET status = ?, checked_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ?');
+		return stmt.run(status, id);
+	},
+
+	/**
+	 * Remove the schedule of shows that are no longer tracked
+	 * @param {Array<number>} anilistIds - Shows to keep
+	 */
+	retainOnly(anilistIds) {
+		const stmt = db.prepare('DELETE FROM airing_schedule WHERE anilist_id NOT IN (SELECT value FROM json_each(?))');
+		return stmt.run(JSON.stringify(anilistIds));
+	},
+
+	/**
+	 * Remove episodes that aired before a time
+	 * @param {number} before - Unix timestamp in seconds
+	 */
+	deleteOlderThan(before) {
+		const stmt = db.prepare('DELETE FROM airing_schedule WHERE airing_at < ?');
+		return stmt.run(before);
+	}
+};
+
 /**
  * Processed GUIDs operations (for RSS GUID tracking)
  */
@@ -1631,6 +2550,381 @@ const processedGuidsOperations = {
 	}
 };
 
+/**
+ * RSS feeds operations (multiple feeds with independent schedules)
+ */
+const feedOperations = {
+	/**
+	 * Get all feeds
+	 * @returns {Array}
+	 */
+	getAll() {
+		const stmt = db.prepare('SELECT * FROM feeds ORDER BY id');
+		return stmt.all();
+	},
+
+	/**
+	 * Get enabled feeds
+	 * @returns {Array}
+	 */
+	getEnabled() {
+		const stmt = db.prepare('SELECT * FROM feeds WHERE enabled = 1 ORDER BY id');
+		return stmt.all();
+	},
+
+	/**
+	 * Get feed by ID
+	 * @param {number} id
+	 * @returns {Object|undefined}
+	 */
+	getById(id) {
+		const stmt = db.prepare('SELECT * FROM feeds WHERE id = ?');
+		return stmt.get(id);
+	},
+
+	/**
+	 * Add a feed
+	 * @param {Object} feed
+	 */
+	add(feed) {
+		try {
+			const stmt = db.prepare(`
+				INSERT INTO feeds (name, url, type, api_key, categories, search_query, check_interval_minutes, enabled)
+				VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+			`);
+			return stmt.run(
+				feed.name || feed.url,
+				feed.url,
+				feed.type === 'torznab' ? 'torznab' : 'rss',
+				feed.api_key || null,
+				feed.categories || null,
+				feed.search_query || null,
+				parseInt(feed.check_interval_minutes) || 5,
+				feed.enabled === undefined || feed.enabled ? 1 : 0
+			);
+		} catch (error) {
+			if (error.message.includes('UNIQUE constraint failed')) {
+				throw new Error('A feed with this URL already exists');
+			}
+			throw error;
+		}
+	},
+
+	/**
+	 * Update a feed
+	 * @param {number} id
+	 * @param {Object} feed
+	 */
+	update(id, feed) {
+		try {
+			const stmt = db.prepare(`
+				UPDATE feeds
+				SET name = ?, url = ?, type = ?, api_key = ?, categories = ?, search_query = ?,
+					check_interval_minutes = ?, enabled = ?, updated_at = CURRENT_TIMESTAMP
+				WHERE id = ?
+			`);
+			return stmt.run(
+				feed.name || feed.url,
+				feed.url,
+				feed.type === 'torznab' ? 'torznab' : 'rss',
+				feed.api_key || null,
+				feed.categories || null,
+				feed.search_query || null,
+				parseInt(feed.check_interval_minutes) || 5,
+				feed.enabled ? 1 : 0,
+				id
+			);
+		} catch (error) {
+			if (error.message.includes('UNIQUE constraint failed')) {
+				throw new Error('A feed with this URL already exists');
+			}
+			throw error;
+		}
+	},
+
+	/**
+	 * Delete a feed
+	 * @param {number} id
+	 */
+	delete(id) {
+		const stmt = db.prepare('DELETE FROM feeds WHERE id = ?');
+		return stmt.run(id);
+	},
+
+	/**
+	 * Toggle enabled status
+	 * @param {number} id
+	 * @param {boolean} enabled
+	 */
+	toggle(id, enabled) {
+		const stmt = db.prepare('UPDATE feeds SET enabled = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?');
+		return stmt.run(enabled ? 1 : 0, id);
+	},
+
+	/**
+	 * Record a successful feed check
+	 * @param {number} id
+	 * @param {number} itemCount
+	 */
+	recordSuccess(id, itemCount) {
+		const stmt = db.prepare(`
+			UPDATE feeds
+			SET last_checked_at = CURRENT_TIMESTAMP, last_success_at = CURRENT_TIMESTAMP, last_item_count = ?, last_error = NULL
+			WHERE id = ?
+		`);
+		return stmt.run(itemCount || 0, id);
+	},
+
+	/**
+	 * Record a failed feed check
+	 * @param {number} id
+	 * @param {string} errorMessage
+	 */
+	recordError(id, errorMessage) {
+		const stmt = db.prepare(`
+			UPDATE feeds
+			SET last_checked_at = CURRENT_TIMESTAMP, last_error = ?, last_error_at = CURRENT_TIMESTAMP
+			WHERE id = ?
+		`);
+		return stmt.run(errorMessage, id);
+	}
+};
+
+/**
+ * Notification channel operations
+ * Rows are returned with `config` parsed and `events` split into an array
+ */
+const notificationChannelOperations = {
+	/**
+	 * Convert a row for use outside the database layer
+	 * @param {Object} row
+	 * @returns {Object|undefined}
+	 */
+	fromRow(row) {
+		if (!row) return row;
+
+		let config = {};
+		try {
+			config = JSON.parse(row.config || '{}');
+		} catch (error) {
+			console.error(`Invalid config for notification channel ${row.id}:`, error);
+		}
+
+		return {
+			...row,
+			config,
+			events: (row.events || '').split(',').filter(event => event)
+		};
+	},
+
+	/**
+	 * Get all channels
+	 * @returns {Array}
+	 */
+	getAll() {
+		const stmt = db.prepare('SELECT * FROM notification_channels ORDER BY id');
+		return stmt.all().map(row => this.fromRow(row));
+	},
+
+	/**
+	 * Get enabled channels
+	 * @returns {Array}
+	 */
+	getEnabled() {
+		const stmt = db.prepare('SELECT * FROM notification_channels WHERE enabled = 1 ORDER BY id');
+		return stmt.all().map(row => this.fromRow(row));
+	},
+
+	/**
+	 * Get channel by ID
+	 * @param {number} id
+	 * @returns {Object|undefined}
+	 */
+	getById(id) {
+		const stmt = db.prepare('SELECT * FROM notification_channels WHERE id = ?');
+		return this.fromRow(stmt.get(id));
+	},
+
+	/**
+	 * Add a channel
+	 * @param {Object} channel - { name, type, config, events, title_template, body_template, enabled }
+	 */
+	add(channel) {
+		const stmt = db.prepare(`
+			INSERT INTO notification_channels (name, type, config, events, title_template, body_template, enabled)
+			VALUES (?, ?, ?, ?, ?, ?, ?)
+		`);
+		return stmt.run(
+			channel.name || channel.type,
+			channel.type,
+			JSON.stringify(channel.config || {}),
+			(channel.events || []).join(','),
+			channel.title_template || null,
+			channel.body_template || null,
+			channel.enabled === undefined || channel.enabled ? 1 : 0
+		);
+	},
+
+	/**
+	 * Update a channel
+	 * @param {number} id
+	 * @param {Object} channel
+	 */
+	update(id, channel) {
+		const stmt = db.prepare(`
+			UPDATE notification_channels
+			SET name = ?, type = ?, config = ?, events = ?, title_template = ?, body_template = ?,
+				enabled = ?, updated_at = CURRENT_TIMESTAMP
+			WHERE id = ?
+		`);
+		return stmt.run(
+			channel.name || channel.type,
+			channel.type,
+			JSON.stringify(channel.config || {}),
+			(channel.events || []).join(','),
+			channel.title_template || null,
+			channel.body_template || null,
+			channel.enabled ? 1 : 0,
+			id
+		);
+	},
+
+	/**
+	 * Delete a channel
+	 * @param {number} id
+	 */
+	delete(id) {
+		const stmt = db.prepare('DELETE FROM notification_channels WHERE id = ?');
+		return stmt.run(id);
+	},
+
+	/**
+	 * Toggle enabled status
+	 * @param {number} id
+	 * @param {boolean} enabled
+	 */
+	toggle(id, enabled) {
+		const stmt = db.prepare('UPDATE notification_channels SET enabled = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?');
+		return stmt.run(enabled ? 1 : 0, id);
+	},
+
+	/**
+	 * Record a delivered notification
+	 * @param {number} id
+	 */
+	recordSuccess(id) {
+		const stmt = db.prepare('UPDATE notification_channels SET last_sent_at = CURRENT_TIMESTAMP, last_error = NULL WHERE id = ?');
+		return stmt.run(id);
+	},
+
+	/**
+	 * Record a failed delivery
+	 * @param {number} id
+	 * @param {string} errorMessage
+	 */
+	recordError(id, errorMessage) {
+		const stmt = db.prepare('UPDATE notification_channels SET last_error = ?, last_error_at = CURRENT_TIMESTAMP WHERE id = ?');
+		return stmt.run(errorMessage, id);
+	}
+};
+
+/**
+ * Fansub group allowlist operations
+ */
+const fansubGroupOperations = {
+	/**
+	 * Get all groups ordered by priority
+	 * @returns {Array}
+	 */
+	getAll() {
+		const stmt = db.prepare('SELECT * FROM fansub_groups ORDER BY priority, name');
+		return stmt.all();
+	},
+
+	/**
+	 * Get enabled groups ordered by priority
+	 * @returns {Array}
+	 */
+	getEnabled() {
+		const stmt = db.prepare('SELECT * FROM fansub_groups WHERE enabled = 1 ORDER BY priority, name');
+		return stmt.all();
+	},
+
+	/**
+	 * Get a group by name (case-insensitive)
+	 * @param {string} name
+	 * @returns {Object|undefined}
+	 */
+	getByName(name) {
+		const stmt = db.prepare('SELECT * FROM fansub_groups WHERE name = ?');
+		return stmt.get(name);
+	},
+
+	/**
+	 * Add a group at the lowest priority
+	 * @param {string} name
+	 */
+	add(name) {
+		const trimmed = (name || '').trim();
+		if (!trimmed) {
+			throw new Error('Group name is required');
+		}
+
+		try {
+			const maxPriority = db.prepare('SELECT MAX(priority) as max FROM fansub_groups').get().max;
+			const stmt = db.prepare('INSERT INTO fansub_groups (name, priority) VALUES (?, ?)');
+			return stmt.run(trimmed, maxPriority === null ? 0 : maxPriority + 1);
+		} catch (error) {
+			if (error.message.includes('UNIQUE constraint failed')) {
+				throw new Error(`Group "${trimmed}" is already in the list`);
+			}
+			throw error;
+		}
+	},
+
+	/**
+	 * Update a group
+	 * @param {number} id
+	 * @param {Object} group
+	 */
+	update(id, group) {
+		try {
+			const stmt = db.prepare(`
+				UPDATE fansub_groups
+				SET name = ?, enabled = ?, updated_at = CURRENT_TIMESTAMP
+				WHERE id = ?
+			`);
+			return stmt.run((group.name || '').trim(), group.enabled ? 1 : 0, id);
+		} catch (error) {
+			if (error.message.includes('UNIQUE constraint failed')) {
+				throw new Error(`Group "${group.name}" is already in the list`);
+			}
+			throw error;
+		}
+	},
+
+	/**
+	 * Delete a group
+	 * @param {number} id
+	 */
+	delete(id) {
+		const stmt = db.prepare('DELETE FROM fansub_groups WHERE id = ?');
+		return stmt.run(id);
+	},
+
+	/**
+	 * Reorder groups; the first ID gets the highest priority
+	 * @param {Array<number>} ids
+	 */
+	reorder(ids) {
+		const stmt = db.prepare('UPDATE fansub_groups SET priority = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?');
+		const transaction = db.transaction((orderedIds) => {
+			orderedIds.forEach((id, index) => stmt.run(index, id));
+		});
+		return transaction(ids);
+	}
+};
+
 // Export all functions and operations
 module.exports = {
 	initDatabase,
@@ -1638,14 +2932,22 @@ module.exports = {
 	closeDatabase,
 	whitelistOperations,
 	rssOperations,
+	feedOperations,
+	notificationChannelOperations,
+	fansubGroupOperations,
 	downloadOperations,
 	configOperations,
 	seasonMappingOperations,
 	anilistAccountOperations,
 	anilistAutoListOperations,
+	listAccountOperations,
+	listAutoListOperations,
 	anilistAnimeCacheOperations,
 	animeRelationsOperations,
 	processedFilesOperations,
 	activityLogsOperations,
-	processedGuidsOperations
+	notificationOperations,
+	anilistProgressQueueOperations,
+	processedGuidsOperations,
+	airingScheduleOperations
 };
@@ -0,0 +1,291 @@
+const xml2js = require('xml2js');
+
+/**
+ * Feed Parser
+ * Normalizes RSS 2.0, Atom and JSON Feed documents into one item shape:
+ *   { guid, title, link, enclosure, magnet, pubDate, size, seeders, leechers, downloads,
+ *     infoHash, category, trusted, remake }
+ * `link` is what gets downloaded: the enclosure or magnet when the feed has one, the item link otherwise.
+ * Torrent metadata is read from namespaced elements (nyaa:seeders, torrent:infoHash, ...) regardless
+ * of the prefix, from Torznab/Newznab <torznab:attr name="..." value="..."/> elements, and from a
+ * `_torrent` extension object in JSON Feeds. Tracker-specific fields come from the feed provider's
+ * extractItem hook, see feed-providers.js.
+ */
+
+const SIZE_UNITS = {
+  b: 1,
+  kb: 1000, mb: 1000 ** 2, gb: 1000 ** 3, tb: 1000 ** 4,
+  kib: 1024, mib: 1024 ** 2, gib: 1024 ** 3, tib: 1024 ** 4
+};
+
+/**
+ * Text content of an xml2js value (array, { _: text } object or string)
+ * @param {*} value
+ * @returns {string}
+ */
+function text(value) {
+  if (Array.isArray(value)) return text(value[0]);
+  if (value && typeof value === 'object') return typeof value._ === 'string' ? value._.trim() : '';
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+/**
+ * Value of a namespaced element by its local name, e.g. "seeders" finds "nyaa:seeders"
+ * @param {Object} node - xml2js element
+ * @param {string} localName
+ * @returns {string}
+ */
+function namespaced(node, localName) {
+  const wanted = localName.toLowerCase();
+  const key = Object.keys(node).find(name => name.includes(':') && name.split(':').pop().toLowerCase() === wanted);
+  return key ? text(node[key]) : '';
+}
+
+/**
+ * Torznab/Newznab attributes of an item as a lowercase name -> value map
+ * @param {Object} node - xml2js element
+ * @returns {Object}
+ */
+function indexerAttributes(node) {
+  const attributes = {};
+
+  for (const key of Object.keys(node)) {
+    if (!key.includes(':') || key.split(':').pop() !== 'attr') continue;
+
+    for (const element of node[key]) {
+      const name = element?.$?.name?.toLowerCase();
+      // Repeated attributes (e.g. category) keep their first value
+      if (name && attributes[name] === undefined) {
+        attributes[name] = element.$.value;
+      }
+    }
+  }
+
+  return attributes;
+}
+
+/**
+ * Torznab reports "peers" as seeders plus leechers
+ * @param {Object} attributes - Result of indexerAttributes()
+ * @returns {number|null}
+ */
+function leechersFromAttributes(attributes) {
+  if (attributes.leechers !== undefined) return parseCount(attributes.leechers);
+
+  const peers = parseCount(attributes.peers);
+  const seeders = parseCount(attributes.seeders);
+  return peers !== null && seeders !== null ? Math.max(0, peers - seeders) : null;
+}
+
+/**
+ * Convert "1.4 GiB" or a byte count to bytes
+ * @param {string|number} value
+ * @returns {number|null}
+ */
+function parseSize(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+
+  const match = /^([\d.,]+)\s*([kmgt]i?b|b)?$/i.exec(String(value || '').trim());
+  if (!match) return null;
+
+  const amount = parseFloat(match[1].replace(/,/g, ''));
+  const unit = SIZE_UNITS[(match[2] || 'b').toLowerCase()];
+  return Number.isFinite(amount) ? Math.round(amount * unit) : null;
+}
+
+/**
+ * Format bytes the way Nyaa shows sizes, e.g. "1.4 GiB"
+ * @param {number|null} bytes
+ * @returns {string}
+ */
+function formatSize(bytes) {
+  if (!bytes) return '';
+
+  const units = ['B', 'KiB', 'MiB', 'GiB', 'TiB'];
+  const exponent = Math.min(units.length - 1, Math.floor(Math.log(bytes) / Math.log(1024)));
+  return `${(bytes / 1024 ** exponent).toFixed(exponent === 0 ? 0 : 1)} ${units[exponent]}`;
+}
+
+function parseCount(value) {
+  const count = parseInt(value, 10);
+  return Number.isNaN(count) ? null : count;
+}
+
+function infoHashFromMagnet(magnet) {
+  const match = /xt=urn:btih:([a-f0-9]{40})/i.exec(magnet || '');
+  return match ? match[1].toLowerCase() : '';
+}
+
+/**
+ * Fill in the fields shared by all formats
+ * @param {Object} item - Partially normalized item
+ * @returns {Object}
+ */
+function finishItem(item) {
+  const magnet = item.magnet || [item.link, item.enclosure].find(url => url && url.startsWith('magnet:')) || '';
+
+  return {
+    guid: item.guid || item.link || item.enclosure || magnet,
+    title: item.title || '',
+    link: item.enclosure || magnet || item.link || '',
+    enclosure: item.enclosure || '',
+    magnet,
+    pubDate: item.pubDate || '',
+    size: item.size ?? null,
+    seeders: item.seeders ?? null,
+    leechers: item.leechers ?? null,
+    downloads: item.downloads ?? null,
+    infoHash: (item.infoHash || infoHashFromMagnet(magnet)).toLowerCase(),
+    category: item.category || '',
+    trusted: Boolean(item.trusted),
+    remake: Boolean(item.remake)
+  };
+}
+
+function parseRssItem(item) {
+  const enclosure = item.enclosure?.[0]?.$ || {};
+  const link = text(item.link);
+  const attributes = indexerAttributes(item);
+
+  return finishItem({
+    guid: text(item.guid),
+    title: text(item.title),
+    // Nyaa-style feeds link the .torrent directly and carry no enclosure
+    link,
+    enclosure: enclosure.url && enclosure.url !== link ? enclosure.url : '',
+    magnet: attributes.magneturl || namespaced(item, 'magnetURI'),
+    pubDate: text(item.pubDate),
+    size: parseSize(attributes.size || namespaced(item, 'size') || namespaced(item, 'contentLength') || text(item.size) || enclosure.length),
+    seeders: parseCount(attributes.seeders ?? (namespaced(item, 'seeders') || namespaced(item, 'seeds'))),
+    leechers: leechersFromAttributes(attributes) ?? parseCount(namespaced(item, 'leechers') || namespaced(item, 'peers')),
+    downloads: parseCount(attributes.grabs ?? namespaced(item, 'downloads')),
+    infoHash: attributes.infohash || namespaced(item, 'infoHash'),
+    category: namespaced(item, 'category') || text(item.category) || attributes.category || ''
+  });
+}
+
+function parseAtomEntry(entry) {
+  const links = (entry.link || []).map(link => link.$ || {});
+  const enclosure = links.find(link => link.rel === 'enclosure') || {};
+  const alternate = links.find(link => !link.rel || link.rel === 'alternate') || {};
+
+  return finishItem({
+    guid: text(entry.id),
+    title: text(entry.title),
+    link: alternate.href,
+    enclosure: enclosure.href,
+    magnet: namespaced(entry, 'magnetURI'),
+    pubDate: text(entry.published) || text(entry.updated),
+    size: parseSize(namespaced(entry, 'size') || namespaced(entry, 'contentLength') || enclosure.length),
+    seeders: parseCount(namespaced(entry, 'seeders') || namespaced(entry, 'seeds')),
+    leechers: parseCount(namespaced(entry, 'leechers') || namespaced(entry, 'peers')),
+    downloads: parseCount(namespaced(entry, 'downloads')),
+    infoHash: namespaced(entry, 'infoHash'),
+    category: namespaced(entry, 'category') || entry.category?.[0]?.$?.term || ''
+  });
+}
+
+function parseJsonFeedItem(item) {
+  const attachment = (item.attachments || [])
+    .find(file => file.mime_type === 'application/x-bittorrent' || /^magnet:|\.torrent(\?|$)/i.test(file.url || ''))
+    || {};
+  const torrent = item._torrent || {};
+
+  return finishItem({
+    guid: item.id !== undefined ? String(item.id) : '',
+    title: item.title || '',
+    link: item.url || item.external_url,
+    enclosure: attachment.url,
+    magnet: torrent.magnet,
+    pubDate: item.date_published || item.date_modified || '',
+    size: parseSize(torrent.size ?? attachment.size_in_bytes),
+    seeders: parseCount(torrent.seeders),
+    leechers: parseCount(torrent.leechers),
+    downloads: parseCount(torrent.downloads),
+    infoHash: torrent.infohash || torrent.infoHash || '',
+    category: torrent.category || (item.tags || [])[0] || '',
+    trusted: torrent.trusted,
+    remake: torrent.remake
+  });
+}
+
+/**
+ * Normalize raw items and let the provider add its own fields
+ * @param {Array} rawItems
+ * @param {Function} parseItem - Format-specific normalizer
+ * @param {Function} extractItem - Provider hook (raw, item) => extra fields, optional
+ * @returns {Array}
+ */
+function parseItems(rawItems, parseItem, extractItem) {
+  return rawItems.map(raw => {
+    const item = parseItem(raw);
+    return extractItem ? { ...item, ...extractItem(raw, item) } : item;
+  });
+}
+
+/**
+ * Parse a feed document
+ * @param {string|Object} data - Response body; axios already decodes JSON responses
+ * @param {Object} options - { extractItem } of the feed provider
+ * @returns {Promise<{format: string, title: string, description: string, items: Array}>}
+ */
+async function parseFeed(data, options = {}) {
+  let document = data;
+
+  if (Buffer.isBuffer(document)) {
+    document = document.toString('utf8');
+  }
+
+  if (typeof document === 'string' && /^\s*\{/.test(document)) {
+    document = JSON.parse(document);
+  }
+
+  if (document && typeof document === 'object') {
+    if (!Array.isArray(document.items) || !String(document.version || '').includes('jsonfeed.org')) {
+      throw new Error('Invalid JSON Feed: expected a "version" and an "items" array');
+    }
+
+    return {
+      format: 'json',
+      title: document.title || '',
+      description: document.description || '',
+      items: parseItems(document.items, parseJsonFeedItem, options.extractItem)
+    };
+  }
+
+  const parsed = await new xml2js.Parser().parseStringPromise(document || '');
+
+  // Torznab/Newznab indexers answer failed requests with <error code="100" description="..."/>
+  if (parsed?.error?.$) {
+    throw new Error(`Indexer error ${parsed.error.$.code}: ${parsed.error.$.description || 'unknown error'}`);
+  }
+
+  if (parsed?.rss?.channel) {
+    const channel = parsed.rss.channel[0];
+    return {
+      format: 'rss',
+      title: text(channel.title),
+      description: text(channel.description),
+      items: parseItems(channel.item || [], parseRssItem, options.extractItem)
+    };
+  }
+
+  if (parsed?.feed) {
+    return {
+      format: 'atom',
+      title: text(parsed.feed.title),
+      description: text(parsed.feed.subtitle),
+      items: parseItems(parsed.feed.entry || [], parseAtomEntry, options.extractItem)
+    };
+  }
+
+  throw new Error('Invalid feed format: expected RSS 2.0, Atom or JSON Feed');
+}
+
+module.exports = {
+  parseFeed,
+  parseSize,
+  formatSize,
+  text,
+  namespaced
+};
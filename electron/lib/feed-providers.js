@@ -0,0 +1,250 @@
+const { text, namespaced, parseSize } = require('./feed-parser');
+const { buildTorznabUrl } = require('./torznab');
+
+/**
+ * Feed Providers
+ * Adapters for the trackers and indexers releases are read from. Each provider declares:
+ *   id, name                    - Identifier and display name
+ *   hasSearchApi                - true when searches go to a real search API instead of an RSS search URL
+ *   matches(feed)               - Whether a feed record ({ url, type, ... }) belongs to this provider
+ *   getFeedUrl(feed)            - URL to poll
+ *   buildSearchUrl(feed, query) - Search URL, or null when the provider can't search
+ *   extractItem(raw, item)      - Tracker-specific fields read from the raw xml2js / JSON Feed item,
+ *                                 merged over the normalized item of feed-parser.js
+ *   getInfoUrl(item)            - Torrent info page opened by the Search view, or null
+ *
+ * Adding a tracker means adding an adapter here, or calling registerFeedProvider() at startup.
+ */
+
+// Used for searches when no enabled feed can search
+const DEFAULT_SEARCH_FEED = { url: 'https://nyaa.si/?page=rss&c=1_2&f=0' };
+
+/**
+ * Guid of an item when it points to a web page rather than the download itself
+ * @param {Object} item - Normalized item
+ * @param {RegExp} pattern - Expected shape of the page URL
+ * @returns {string|null}
+ */
+function pageFromGuid(item, pattern) {
+  return item.guid && pattern.test(item.guid) && item.guid !== item.link ? item.guid : null;
+}
+
+function hostMatches(feed, pattern) {
+  try {
+    return pattern.test(new URL(feed.url).hostname);
+  } catch {
+    return false;
+  }
+}
+
+const torznabProvider = {
+  id: 'torznab',
+  name: 'Torznab',
+  hasSearchApi: true,
+
+  matches(feed) {
+    return feed.type === 'torznab' || /[?&]t=search\b/.test(feed.url) || feed.url.includes('/torznab');
+  },
+
+  getFeedUrl(feed) {
+    if (feed.type !== 'torznab') {
+      return feed.url;
+    }
+
+    return buildTorznabUrl(feed.url, {
+      apiKey: feed.api_key,
+      categories: feed.categories,
+      query: feed.search_query
+    });
+  },
+
+  buildSearchUrl(feed, query) {
+    // Feeds added as plain URLs already carry their parameters
+    if (feed.type !== 'torznab') {
+      const url = new URL(feed.url);
+      url.searchParams.set('q', query);
+      return url.toString();
+    }
+
+    return buildTorznabUrl(feed.url, {
+      apiKey: feed.api_key,
+      categories: feed.categories,
+      query
+    });
+  },
+
+  extractItem(raw) {
+    // Jackett and Prowlarr put the tracker's details page into <comments>
+    return { infoUrl: text(raw.comments) || null };
+  },
+
+  getInfoUrl(item) {
+    return item.infoUrl || pageFromGuid(item, /^https?:\/\//);
+  }
+};
+
+const nyaaProvider = {
+  id: 'nyaa',
+  name: 'Nyaa.si',
+
+  matches(feed) {
+    return hostMatches(feed, /(^|\.)nyaa\.(si|land)$/i);
+  },
+
+  getFeedUrl(feed) {
+    return feed.url;
+  },
+
+  /**
+   * Search on the host of the feed, keeping its category and filter
+   */
+  buildSearchUrl(feed, query) {
+    const feedUrl = new URL(feed.url);
+    const url = new URL('/', feedUrl.origin);
+    url.searchParams.set('page', 'rss');
+    url.searchParams.set('c', feedUrl.searchParams.get('c') || '1_2');
+    url.searchParams.set('f', feedUrl.searchParams.get('f') || '0');
+    url.searchParams.set('q', query);
+    return url.toString();
+  },
+
+  extractItem(raw) {
+    return {
+      trusted: namespaced(raw, 'trusted') === 'Yes',
+      remake: namespaced(raw, 'remake') === 'Yes'
+    };
+  },
+
+  getInfoUrl(item) {
+    return pageFromGuid(item, /\/view\/\d+/);
+  }
+};
+
+const tokyoToshoProvider = {
+  id: 'tokyotosho',
+  name: 'Tokyo Toshokan',
+
+  matches(feed) {
+    return hostMatches(feed, /(^|\.)tokyotosho\.info$/i);
+  },
+
+  getFeedUrl(feed) {
+    return feed.url;
+  },
+
+  buildSearchUrl(feed, query) {
+    const url = new URL('/rss.php', new URL(feed.url).origin);
+    url.searchParams.set('filter', new URL(feed.url).searchParams.get('filter') || '1');
+    url.searchParams.set('entries', '750');
+    url.searchParams.set('terms', query);
+    return url.toString();
+  },
+
+  extractItem(raw, item) {
+    // Sizes only appear in the description, e.g. "Size: 354.3MB"
+    const size = /Size:\s*([\d.,]+\s*[KMGT]i?B)/i.exec(text(raw.description));
+    return { size: item.size ?? (size ? parseSize(size[1]) : null) };
+  },
+
+  getInfoUrl(item) {
+    return pageFromGuid(item, /details\.php\?id=\d+/);
+  }
+};
+
+// Any other RSS, Atom or JSON feed; polling works, searching doesn't
+const genericProvider = {
+  id: 'generic',
+  name: 'Unknown',
+
+  matches() {
+    return true;
+  },
+
+  getFeedUrl(feed) {
+    return feed.url;
+  },
+
+  buildSearchUrl() {
+    return null;
+  },
+
+  extractItem: null,
+
+  getInfoUrl(item) {
+    return pageFromGuid(item, /^https?:\/\//);
+  }
+};
+
+const providers = [torznabProvider, nyaaProvider, tokyoToshoProvider];
+
+/**
+ * Add a provider; it is checked before the built-in ones
+ * @param {Object} provider - Adapter with the fields listed above
+ */
+function registerFeedProvider(provider) {
+  if (!provider?.id || typeof provider.matches !== 'function') {
+    throw new Error('Feed providers need an id and a matches() function');
+  }
+
+  const existing = providers.findIndex(p => p.id === provider.id);
+  if (existing !== -1) {
+    providers.splice(existing, 1);
+  }
+
+  providers.unshift({
+    getFeedUrl: feed => feed.url,
+    buildSearchUrl: () => null,
+    extractItem: null,
+    getInfoUrl: () => null,
+    ...provider
+  });
+}
+
+/**
+ * Provider of a feed
+ * @param {Object|string} feed - Row of the feeds table, or a bare URL
+ * @returns {Object}
+ */
+function getFeedProvider(feed) {
+  const record = typeof feed === 'string' ? { url: feed } : { ...feed, url: feed?.url || '' };
+  return providers.find(provider => provider.matches(record)) || genericProvider;
+}
+
+function canSearch(feed, provider) {
+  try {
+    return Boolean(provider.buildSearchUrl(feed, ''));
+  } catch {
+    // Malformed feed URL
+    return false;
+  }
+}
+
+/**
+ * Pick the feed searches go to: a search API first, then any feed with an RSS search URL
+ * @param {Array} feeds - Enabled feeds
+ * @returns {{ feed: Object, provider: Object }}
+ */
+function getSearchProvider(feeds) {
+  const searchable = feeds
+    .map(feed => ({ feed, provider: getFeedProvider(feed) }))
+    .filter(({ feed, provider }) => canSearch(feed, provider));
+
+  return searchable.find(({ provider }) => provider.hasSearchApi)
+    || searchable[0]
+    || { feed: DEFAULT_SEARCH_FEED, provider: getFeedProvider(DEFAULT_SEARCH_FEED) };
+}
+
+/**
+ * Registered providers, without the generic fallback
+ * @returns {Array<{id: string, name: string}>}
+ */
+function getFeedProviders() {
+  return providers.map(({ id, name }) => ({ id, name }));
+}
+
+module.exports = {
+  registerFeedProvider,
+  getFeedProvider,
+  getSearchProvider,
+  getFeedProviders
+};
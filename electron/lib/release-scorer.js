@@ -0,0 +1,207 @@
+/**
+ * Release Scorer
+ * Ranks competing releases of the same episode using the fields parsed by Anitomy
+ */
+
+// Points awarded per factor; higher total wins
+const SCORE_WEIGHTS = {
+  groupRank: 10,       // Per position above the bottom of the allowed group list
+  resolution: {
+    '2160p': 40,
+    '1080p': 30,
+    '720p': 20,
+    '480p': 10
+  },
+  source: {
+    bd: 15,
+    web: 10,
+    tv: 5
+  },
+  videoCodec: {
+    av1: 6,
+    hevc: 5,
+    avc: 3
+  },
+  audioCodec: {
+    flac: 4,
+    opus: 3,
+    aac: 2,
+    ac3: 2
+  },
+  version: 5,          // Per revision above v1
+  subtitles: {
+    english: 5,
+    multi: 3
+  },
+  trusted: 10,
+  seeders: 1           // Per order of magnitude (1, 10, 100+ seeders), only a tie-breaker
+};
+
+const SOURCE_PATTERNS = [
+  { key: 'bd', label: 'BD', pattern: /\b(bd|bdrip|blu-?ray|bdremux)\b/i },
+  { key: 'web', label: 'WEB', pattern: /\b(web|web-?dl|web-?rip|cr|amzn|nf|dsnp|hidive|adn)\b/i },
+  { key: 'tv', label: 'TV', pattern: /\b(tv|hdtv|tvrip|dtv)\b/i }
+];
+
+const VIDEO_CODEC_PATTERNS = [
+  { key: 'av1', label: 'AV1', pattern: /\bav1\b/i },
+  { key: 'hevc', label: 'HEVC', pattern: /\b(hevc|x265|h\.?265)\b/i },
+  { key: 'avc', label: 'AVC', pattern: /\b(avc|x264|h\.?264)\b/i }
+];
+
+const AUDIO_CODEC_PATTERNS = [
+  { key: 'flac', label: 'FLAC', pattern: /\bflac\b/i },
+  { key: 'opus', label: 'Opus', pattern: /\bopus\b/i },
+  { key: 'aac', label: 'AAC', pattern: /\baac(2\.0)?\b/i },
+  { key: 'ac3', label: 'AC3/EAC3', pattern: /\b(e?ac-?3|ddp?(5\.1|2\.0)?)\b/i }
+];
+
+/**
+ * Find the first pattern matching any of the given texts
+ * @param {Array} patterns - Pattern definitions
+ * @param {Array<string>} texts - Texts to search
+ * @returns {Object|null} - Matching pattern definition
+ */
+function matchPattern(patterns, texts) {
+  const haystack = texts.filter(t => t).join(' ');
+  return patterns.find(p => p.pattern.test(haystack)) || null;
+}
+
+/**
+ * Normalize a resolution string (e.g. "1920x1080", "1080P") to the "1080p" form
+ * @param {string} resolution
+ * @returns {string}
+ */
+function normalizeResolution(resolution) {
+  if (!resolution) return '';
+
+  const match = resolution.match(/(\d{3,4})[pP]?$/);
+  if (!match) return resolution.toLowerCase();
+
+  const height = match[1] === '3840' ? '2160' : match[1] === '1920' ? '1080' : match[1];
+  return `${height}p`;
+}
+
+/**
+ * Score a release
+ * @param {Object} parsedData - Result of parseFilename()
+ * @param {Object} context - Extra information not contained in the filename
+ * @param {string} context.title - Original release title
+ * @param {number} context.groupRank - Position of the release group in the allowlist (0 = best), -1 when not listed
+ * @param {number} context.groupCount - Number of groups in the allowlist
+ * @param {boolean} context.trusted - Whether the uploader is trusted on the tracker
+ * @param {number|null} context.seeders - Seeder count reported by the feed or indexer, null when unknown
+ * @returns {{total: number, breakdown: Array<{factor: string, value: string, points: number}>}}
+ */
+function scoreRelease(parsedData, context = {}) {
+  const breakdown = [];
+  const title = context.title || parsedData?.filename || '';
+  const texts = [
+    title,
+    parsedData?.source,
+    parsedData?.videoTerm,
+    parsedData?.audioTerm,
+    parsedData?.releaseInformation
+  ];
+
+  // Group rank
+  const groupRank = typeof context.groupRank === 'number' ? context.groupRank : -1;
+  const groupCount = context.groupCount || 0;
+  breakdown.push({
+    factor: 'group',
+    value: parsedData?.releaseGroup || 'Unknown',
+    points: groupRank >= 0 ? (groupCount - groupRank) * SCORE_WEIGHTS.groupRank : 0
+  });
+
+  // Resolution
+  const resolution = normalizeResolution(parsedData?.videoResolution);
+  breakdown.push({
+    factor: 'resolution',
+    value: resolution || 'Unknown',
+    points: SCORE_WEIGHTS.resolution[resolution] || 0
+  });
+
+  // Source
+  const source = matchPattern(SOURCE_PATTERNS, texts);
+  breakdown.push({
+    factor: 'source',
+    value: source ? source.label : 'Unknown',
+    points: source ? SCORE_WEIGHTS.source[source.key] : 0
+  });
+
+  // Video codec
+  const videoCodec = matchPattern(VIDEO_CODEC_PATTERNS, texts);
+  breakdown.push({
+    factor: 'videoCodec',
+    value: videoCodec ? videoCodec.label : 'Unknown',
+    points: videoCodec ? SCORE_WEIGHTS.videoCodec[videoCodec.key] : 0
+  });
+
+  // Audio codec
+  const audioCodec = matchPattern(AUDIO_CODEC_PATTERNS, texts);
+  breakdown.push({
+    factor: 'audioCodec',
+    value: audioCodec ? audioCodec.label : 'Unknown',
+    points: audioCodec ? SCORE_WEIGHTS.audioCodec[audioCodec.key] : 0
+  });
+
+  // Release version (v2 fixes beat the original)
+  const version = parseInt(parsedData?.releaseVersion) || 1;
+  breakdown.push({
+    factor: 'version',
+    value: `v${version}`,
+    points: Math.max(0, version - 1) * SCORE_WEIGHTS.version
+  });
+
+  // Subtitle language
+  const subtitleText = [parsedData?.subtitles, parsedData?.language, title].filter(t => t).join(' ');
+  let subtitles = null;
+  if (/\b(multi-?subs?|multiple subtitle)\b/i.test(subtitleText)) {
+    subtitles = 'multi';
+  } else if (/\b(eng(lish)?|esubs?|eng-?subs?)\b/i.test(subtitleText)) {
+    subtitles = 'english';
+  }
+  breakdown.push({
+    factor: 'subtitles',
+    value: subtitles === 'multi' ? 'Multi' : subtitles === 'english' ? 'English' : 'Unknown',
+    points: subtitles ? SCORE_WEIGHTS.subtitles[subtitles] : 0
+  });
+
+  // Trusted uploader
+  breakdown.push({
+    factor: 'trusted',
+    value: context.trusted ? 'Yes' : 'No',
+    points: context.trusted ? SCORE_WEIGHTS.trusted : 0
+  });
+
+  // Swarm health
+  const seeders = typeof context.seeders === 'number' ? context.seeders : null;
+  breakdown.push({
+    factor: 'seeders',
+    value: seeders === null ? 'Unknown' : String(seeders),
+    points: seeders > 0 ? Math.min(3, Math.floor(Math.log10(seeders)) + 1) * SCORE_WEIGHTS.seeders : 0
+  });
+
+  const total = breakdown.reduce((sum, item) => sum + item.points, 0);
+  return { total, breakdown };
+}
+
+/**
+ * Format a score breakdown for logging
+ * @param {Object} score - Result of scoreRelease()
+ * @returns {string}
+ */
+function formatScore(score) {
+  if (!score) return 'n/a';
+  const parts = score.breakdown
+    .filter(item => item.points > 0)
+    .map(item => `${item.factor}=${item.value}(+${item.points})`);
+  return `${score.total} [${parts.join(', ')}]`;
+}
+
+module.exports = {
+  SCORE_WEIGHTS,
+  scoreRelease,
+  formatScore,
+  normalizeResolution
+};
@@ -0,0 +1,103 @@
+/**
+ * Rename Templates
+ * Renders organizer paths such as "{anilist_title}/Season {season}/{title} - S{season:02}E{episode:02}.{ext}"
+ */
+
+const DEFAULT_ORGANIZER_TEMPLATE = '{anilist_title}/Season {season}/{title} - S{season:02}E{episode:02} [{group}][{resolution}].{ext}';
+
+const TEMPLATE_VARIABLES = [
+  { name: 'anilist_title', description: 'AniList romaji title, falls back to the whitelist title' },
+  { name: 'english_title', description: 'AniList English title, falls back to the romaji title' },
+  { name: 'title', description: 'Whitelist entry title' },
+  { name: 'season', description: 'Season number (1 when the release has none)' },
+  { name: 'episode', description: 'Episode number after anime-relations mapping' },
+  { name: 'episode_title', description: 'Episode title, if the release has one' },
+  { name: 'group', description: 'Release group' },
+  { name: 'resolution', description: 'Video resolution, e.g. 1080p' },
+  { name: 'year', description: 'Year from the release name' },
+  { name: 'original_name', description: 'Original file name without extension' },
+  { name: 'ext', description: 'File extension' }
+];
+
+// Values used for the live preview in Settings
+const SAMPLE_VALUES = {
+  anilist_title: 'Sousou no Frieren',
+  english_title: "Frieren: Beyond Journey's End",
+  title: 'Frieren',
+  season: 1,
+  episode: 5,
+  episode_title: 'Phantoms of the Dead',
+  group: 'SubsPlease',
+  resolution: '1080p',
+  year: 2023,
+  original_name: '[SubsPlease] Sousou no Frieren - 05 (1080p) [D1F8A2B3]',
+  ext: 'mkv'
+};
+
+// Characters that are not allowed in file names on Windows, macOS or Linux
+const INVALID_FILENAME_CHARS = /[<>:"/\\|?*\x00-\x1f]/g;
+
+/**
+ * Make a template value safe to use inside a single path segment
+ * @param {*} value
+ * @returns {string}
+ */
+function sanitizeValue(value) {
+  return String(value).replace(INVALID_FILENAME_CHARS, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Render a template into a relative path using "/" as separator
+ * @param {string} template - Template with {variable} or {variable:02} placeholders
+ * @param {Object} values - Variable values
+ * @returns {string}
+ */
+function renderTemplate(template, values) {
+  const rendered = (template || DEFAULT_ORGANIZER_TEMPLATE).replace(/\{(\w+)(?::(\d+))?\}/g, (match, name, width) => {
+    const value = values[name];
+    if (value === undefined || value === null || value === '') return '';
+
+    const text = sanitizeValue(value);
+    return width && /^\d+$/.test(text) ? text.padStart(parseInt(width), '0') : text;
+  });
+
+  const segments = rendered
+    .split(/[\\/]+/)
+    .map(segment => segment
+      .replace(/\[\s*\]|\(\s*\)/g, '')  // Brackets left empty by missing values
+      .replace(/\s+/g, ' ')
+      .replace(/^[\s-]+|[\s.-]+$/g, '')) // Dangling separators and trailing dots (invalid on Windows)
+    .filter(segment => segment && segment !== '.' && segment !== '..');
+
+  // Always keep the original extension
+  if (values.ext && segments.length > 0) {
+    const last = segments.length - 1;
+    if (!segments[last].toLowerCase().endsWith(`.${String(values.ext).toLowerCase()}`)) {
+      segments[last] = `${segments[last]}.${values.ext}`;
+    }
+  }
+
+  return segments.join('/');
+}
+
+/**
+ * Render a template with sample values
+ * @param {string} template
+ * @returns {{path: string, error: string|null}}
+ */
+function previewTemplate(template) {
+  try {
+    const path = renderTemplate(template, SAMPLE_VALUES);
+    return { path, error: path ? null : 'Template produces an empty path' };
+  } catch (error) {
+    return { path: '', error: error.message };
+  }
+}
+
+module.exports = {
+  DEFAULT_ORGANIZER_TEMPLATE,
+  TEMPLATE_VARIABLES,
+  renderTemplate,
+  previewTemplate,
+  sanitizeValue
+};
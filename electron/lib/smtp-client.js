@@ -0,0 +1,196 @@
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+
+/**
+ * SMTP Client
+ * Sends plain-text mails for notification channels. Supports implicit TLS (port 465), STARTTLS
+ * (port 587) and unencrypted connections, with AUTH PLAIN when a username is set.
+ */
+
+const SMTP_TIMEOUT_MS = 30000;
+
+/**
+ * Read SMTP replies from a socket, one complete (possibly multi-line) reply at a time
+ * @param {net.Socket} socket
+ * @returns {{ read: Function, attach: Function }}
+ */
+function createReplyReader(socket) {
+  let buffer = '';
+  let lines = [];
+  let waiting = null;
+  let failure = null;
+
+  const flush = () => {
+    // The last line of a reply has a space after the code, e.g. "250 OK" after "250-SIZE"
+    const end = lines.findIndex(line => /^\d{3}(?: |$)/.test(line));
+    if (end === -1 || !waiting) return;
+
+    const reply = lines.slice(0, end + 1);
+    lines = lines.slice(end + 1);
+    const resolve = waiting.resolve;
+    waiting = null;
+    resolve({ code: parseInt(reply[end].slice(0, 3), 10), text: reply.map(line => line.slice(4)).join('\n') });
+  };
+
+  const onData = (chunk) => {
+    buffer += chunk.toString('utf8');
+    const parts = buffer.split('\r\n');
+    buffer = parts.pop();
+    lines.push(...parts);
+    flush();
+  };
+
+  const onError = (error) => {
+    failure = error;
+    if (waiting) {
+      const reject = waiting.reject;
+      waiting = null;
+      reject(error);
+    }
+  };
+
+  const reader = {
+    attach(target) {
+      target.on('data', onData);
+      target.on('error', onError);
+      target.on('close', () => onError(new Error('SMTP server closed the connection')));
+    },
+
+    read() {
+      if (failure) return Promise.reject(failure);
+      return new Promise((resolve, reject) => {
+        waiting = { resolve, reject };
+        flush();
+      });
+    }
+  };
+
+  reader.attach(socket);
+  return reader;
+}
+
+/**
+ * Encode a header value as RFC 2047 when it isn't plain ASCII
+ * @param {string} value
+ * @returns {string}
+ */
+function encodeHeader(value) {
+  const text = String(value || '').replace(/[\r\n]+/g, ' ');
+  return /^[\x20-\x7e]*$/.test(text) ? text : `=?UTF-8?B?${Buffer.from(text, 'utf8').toString('base64')}?=`;
+}
+
+/**
+ * Extract the bare address from "Name <user@example.com>"
+ * @param {string} address
+ * @returns {string}
+ */
+function bareAddress(address) {
+  const match = /<([^>]+)>/.exec(address);
+  return (match ? match[1] : address).trim();
+}
+
+/**
+ * Build the RFC 5322 message
+ * @param {Object} mail - { from, to, subject, text }
+ * @returns {string}
+ */
+function buildMessage(mail) {
+  const body = Buffer.from(mail.text || '', 'utf8').toString('base64').replace(/.{76}/g, '$&\r\n');
+  const domain = bareAddress(mail.from).split('@')[1] || 'localhost';
+
+  return [
+    `From: ${mail.from}`,
+    `To: ${mail.to.join(', ')}`,
+    `Subject: ${encodeHeader(mail.subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    body
+  ].join('\r\n');
+}
+
+/**
+ * Send a mail
+ * @param {Object} options - { host, port, security: 'tls' | 'starttls' | 'none', username, password }
+ * @param {Object} mail - { from, to (string or array), subject, text }
+ * @returns {Promise<void>}
+ */
+async function sendMail(options, mail) {
+  const security = options.security || 'starttls';
+  const port = parseInt(options.port) || (security === 'tls' ? 465 : 587);
+  const recipients = (Array.isArray(mail.to) ? mail.to : String(mail.to || '').split(','))
+    .map(address => address.trim())
+    .filter(address => address);
+
+  if (!options.host) throw new Error('No SMTP server configured');
+  if (!mail.from) throw new Error('No sender address configured');
+  if (recipients.length === 0) throw new Error('No recipient address configured');
+
+  let socket = await new Promise((resolve, reject) => {
+    const connected = security === 'tls'
+      ? tls.connect({ host: options.host, port, servername: options.host }, () => resolve(connected))
+      : net.connect({ host: options.host, port }, () => resolve(connected));
+    connected.once('error', reject);
+  });
+  socket.setTimeout(SMTP_TIMEOUT_MS, () => socket.destroy(new Error('SMTP server timed out')));
+
+  let reader = createReplyReader(socket);
+
+  const command = async (line, expected) => {
+    if (line !== null) socket.write(`${line}\r\n`);
+    const reply = await reader.read();
+    if (!expected.includes(reply.code)) {
+      // Don't echo credentials back in the error
+      const sent = line && line.startsWith('AUTH') ? 'AUTH' : line;
+      throw new Error(`SMTP ${sent ? `"${sent}"` : 'greeting'} failed: ${reply.code} ${reply.text}`);
+    }
+    return reply;
+  };
+
+  try {
+    await command(null, [220]);
+    let features = await command(`EHLO ${os.hostname() || 'localhost'}`, [250]);
+
+    if (security === 'starttls') {
+      if (!/^STARTTLS$/mi.test(features.text)) {
+        throw new Error('SMTP server does not support STARTTLS');
+      }
+      await command('STARTTLS', [220]);
+
+      socket.removeAllListeners('data');
+      socket = await new Promise((resolve, reject) => {
+        const secured = tls.connect({ socket, servername: options.host }, () => resolve(secured));
+        secured.once('error', reject);
+      });
+      socket.setTimeout(SMTP_TIMEOUT_MS, () => socket.destroy(new Error('SMTP server timed out')));
+      reader = createReplyReader(socket);
+      features = await command(`EHLO ${os.hostname() || 'localhost'}`, [250]);
+    }
+
+    if (options.username) {
+      const credentials = Buffer.from(`\0${options.username}\0${options.password || ''}`, 'utf8').toString('base64');
+      await command(`AUTH PLAIN ${credentials}`, [235]);
+    }
+
+    await command(`MAIL FROM:<${bareAddress(mail.from)}>`, [250]);
+    for (const recipient of recipients) {
+      await command(`RCPT TO:<${bareAddress(recipient)}>`, [250, 251]);
+    }
+    await command('DATA', [354]);
+
+    // Lines starting with a dot are escaped by doubling it
+    const message = buildMessage({ ...mail, to: recipients }).replace(/^\./gm, '..');
+    await command(`${message}\r\n.`, [250]);
+
+    socket.write('QUIT\r\n');
+  } finally {
+    socket.end();
+  }
+}
+
+module.exports = { sendMail };
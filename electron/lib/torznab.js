@@ -0,0 +1,52 @@
+/**
+ * Torznab Helpers
+ * Builds request URLs for Torznab/Newznab indexers such as Jackett and Prowlarr.
+ * Feeds of type 'torznab' store the indexer endpoint in `url` and the request parameters separately.
+ */
+
+// TV/Anime in the Newznab category scheme
+const DEFAULT_TORZNAB_CATEGORIES = '5070';
+
+/**
+ * Build a t=search request for an indexer
+ * @param {string} endpoint - e.g. "http://localhost:9117/api/v2.0/indexers/nyaasi/results/torznab/"
+ * @param {Object} options - { apiKey, categories, query }; an empty query returns the latest releases
+ * @returns {string}
+ */
+function buildTorznabUrl(endpoint, options = {}) {
+  const url = new URL(endpoint);
+  url.searchParams.set('t', 'search');
+
+  if (options.apiKey) {
+    url.searchParams.set('apikey', options.apiKey);
+  }
+
+  const categories = String(options.categories ?? DEFAULT_TORZNAB_CATEGORIES)
+    .split(',')
+    .map(category => category.trim())
+    .filter(category => category);
+  if (categories.length > 0) {
+    url.searchParams.set('cat', categories.join(','));
+  }
+
+  if (options.query) {
+    url.searchParams.set('q', options.query);
+  }
+
+  return url.toString();
+}
+
+/**
+ * Hide the API key of a Torznab URL before logging it
+ * @param {string} url
+ * @returns {string}
+ */
+function redactApiKey(url) {
+  return String(url || '').replace(/([?&]apikey=)[^&]*/i, '$1***');
+}
+
+module.exports = {
+  DEFAULT_TORZNAB_CATEGORIES,
+  buildTorznabUrl,
+  redactApiKey
+};
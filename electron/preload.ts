@@ -85,6 +85,106 @@ export const CONTEXT_BRIDGE = {
     return await ipcRenderer.invoke('process-rss-feed');
   },
 
+  // Feed operations
+  getFeeds: async (): Promise<any[]> => {
+    return await ipcRenderer.invoke('get-feeds');
+  },
+
+  addFeed: async (feed: any): Promise<any> => {
+    return await ipcRenderer.invoke('add-feed', feed);
+  },
+
+  updateFeed: async (id: number, feed: any): Promise<any> => {
+    return await ipcRenderer.invoke('update-feed', id, feed);
+  },
+
+  removeFeed: async (id: number): Promise<any> => {
+    return await ipcRenderer.invoke('remove-feed', id);
+  },
+
+  toggleFeed: async (id: number, enabled: boolean): Promise<any> => {
+    return await ipcRenderer.invoke('toggle-feed', id, enabled);
+  },
+
+  processFeed: async (id: number): Promise<any> => {
+    return await ipcRenderer.invoke('process-feed', id);
+  },
+
+  // Notification channel operations
+  getNotificationChannels: async (): Promise<any[]> => {
+    return await ipcRenderer.invoke('get-notification-channels');
+  },
+
+  addNotificationChannel: async (channel: any): Promise<any> => {
+    return await ipcRenderer.invoke('add-notification-channel', channel);
+  },
+
+  updateNotificationChannel: async (id: number, channel: any): Promise<any> => {
+    return await ipcRenderer.invoke('update-notification-channel', id, channel);
+  },
+
+  removeNotificationChannel: async (id: number): Promise<any> => {
+    return await ipcRenderer.invoke('remove-notification-channel', id);
+  },
+
+  toggleNotificationChannel: async (id: number, enabled: boolean): Promise<any> => {
+    return await ipcRenderer.invoke('toggle-notification-channel', id, enabled);
+  },
+
+  testNotificationChannel: async (channel: any): Promise<any> => {
+    return await ipcRenderer.invoke('test-notification-channel', channel);
+  },
+
+  sendNotificationDigest: async (): Promise<any> => {
+    return await ipcRenderer.invoke('send-notification-digest');
+  },
+
+  // Notification inbox operations
+  getNotifications: async (options?: { limit?: number; type?: string; unreadOnly?: boolean }): Promise<any[]> => {
+    return await ipcRenderer.invoke('get-notifications', options);
+  },
+
+  getUnreadNotificationCount: async (): Promise<number> => {
+    return await ipcRenderer.invoke('get-unread-notification-count');
+  },
+
+  markNotificationRead: async (id: number, read: boolean = true): Promise<any> => {
+    return await ipcRenderer.invoke('mark-notification-read', id, read);
+  },
+
+  markAllNotificationsRead: async (type?: string): Promise<any> => {
+    return await ipcRenderer.invoke('mark-all-notifications-read', type);
+  },
+
+  removeNotification: async (id: number): Promise<any> => {
+    return await ipcRenderer.invoke('remove-notification', id);
+  },
+
+  clearNotifications: async (): Promise<any> => {
+    return await ipcRenderer.invoke('clear-notifications');
+  },
+
+  // Fansub group allowlist operations
+  getFansubGroups: async (): Promise<any[]> => {
+    return await ipcRenderer.invoke('get-fansub-groups');
+  },
+
+  addFansubGroup: async (name: string): Promise<any> => {
+    return await ipcRenderer.invoke('add-fansub-group', name);
+  },
+
+  updateFansubGroup: async (id: number, group: any): Promise<any> => {
+    return await ipcRenderer.invoke('update-fansub-group', id, group);
+  },
+
+  removeFansubGroup: async (id: number): Promise<any> => {
+    return await ipcRenderer.invoke('remove-fansub-group', id);
+  },
+
+  reorderFansubGroups: async (ids: number[]): Promise<any> => {
+    return await ipcRenderer.invoke('reorder-fansub-groups', ids);
+  },
+
   searchRSSFeed: async (query: string): Promise<any> => {
     return await ipcRenderer.invoke('search-rss-feed', query);
   },
@@ -102,6 +202,22 @@ export const CONTEXT_BRIDGE = {
     return await ipcRenderer.invoke('update-whitelist-entry', id, entry);
   },
 
+  malImportPreview: async (data: string, statuses: string[]): Promise<any> => {
+    return await ipcRenderer.invoke('mal-import-preview', data, statuses);
+  },
+
+  malImportCommit: async (items: any[], options: any): Promise<any> => {
+    return await ipcRenderer.invoke('mal-import-commit', items, options);
+  },
+
+  getMissingEpisodes: async (id: number): Promise<any> => {
+    return await ipcRenderer.invoke('get-missing-episodes', id);
+  },
+
+  backfillWhitelistEntry: async (id: number): Promise<any> => {
+    return await ipcRenderer.invoke('backfill-whitelist-entry', id);
+  },
+
   removeWhitelistEntry: async (id: number): Promise<any> => {
     return await ipcRenderer.invoke('remove-whitelist-entry', id);
   },
@@ -119,6 +235,14 @@ export const CONTEXT_BRIDGE = {
     return await ipcRenderer.invoke('remove-download', id);
   },
 
+  markDownloadWatched: async (id: number, watched: boolean): Promise<any> => {
+    return await ipcRenderer.invoke('mark-download-watched', id, watched);
+  },
+
+  openDownloadFile: async (id: number): Promise<any> => {
+    return await ipcRenderer.invoke('open-download-file', id);
+  },
+
   retryDownload: async (id: number): Promise<any> => {
     return await ipcRenderer.invoke('retry-download', id);
   },
@@ -131,6 +255,61 @@ export const CONTEXT_BRIDGE = {
     return await ipcRenderer.invoke('resume-download', id);
   },
 
+  stopSeeding: async (id: number): Promise<any> => {
+    return await ipcRenderer.invoke('stop-seeding', id);
+  },
+
+  getTorrentClientStatus: async (): Promise<any> => {
+    return await ipcRenderer.invoke('get-torrent-client-status');
+  },
+
+  testDownloadBackend: async (settings: any): Promise<any> => {
+    return await ipcRenderer.invoke('test-download-backend', settings);
+  },
+
+  getBandwidthStatus: async (): Promise<any> => {
+    return await ipcRenderer.invoke('get-bandwidth-status');
+  },
+
+  setTurtleMode: async (enabled: boolean): Promise<any> => {
+    return await ipcRenderer.invoke('set-turtle-mode', enabled);
+  },
+
+  // Local REST API
+  getApiStatus: async (): Promise<any> => {
+    return await ipcRenderer.invoke('get-api-status');
+  },
+
+  getApiKey: async (): Promise<string> => {
+    return await ipcRenderer.invoke('get-api-key');
+  },
+
+  regenerateApiKey: async (): Promise<string> => {
+    return await ipcRenderer.invoke('regenerate-api-key');
+  },
+
+  // Remote web UI
+  getWebUIStatus: async (): Promise<any> => {
+    return await ipcRenderer.invoke('get-web-ui-status');
+  },
+
+  setWebUIPassword: async (password: string): Promise<any> => {
+    return await ipcRenderer.invoke('set-web-ui-password', password);
+  },
+
+  // Airing schedule calendar
+  getAiringCalendar: async (): Promise<any> => {
+    return await ipcRenderer.invoke('get-airing-calendar');
+  },
+
+  getCalendarFeedStatus: async (): Promise<any> => {
+    return await ipcRenderer.invoke('get-calendar-feed-status');
+  },
+
+  regenerateCalendarFeedToken: async (): Promise<any> => {
+    return await ipcRenderer.invoke('regenerate-calendar-feed-token');
+  },
+
   pauseAllDownloads: async (): Promise<any> => {
     return await ipcRenderer.invoke('pause-all-downloads');
   },
@@ -161,13 +340,25 @@ export const CONTEXT_BRIDGE = {
     return await ipcRenderer.invoke('open-folder', filePath);
   },
 
+  previewOrganizerTemplate: async (template: string): Promise<any> => {
+    return await ipcRenderer.invoke('preview-organizer-template', template);
+  },
+
+  getOrganizerTemplateVariables: async (): Promise<any> => {
+    return await ipcRenderer.invoke('get-organizer-template-variables');
+  },
+
+  getSeriesFolders: async (): Promise<any> => {
+    return await ipcRenderer.invoke('get-series-folders');
+  },
+
   getDownloadDirectory: async (): Promise<string> => {
     return await ipcRenderer.invoke('get-download-directory');
   },
 
   // RSS feed testing
-  testRSSFeed: async (url: string): Promise<any> => {
-    return await ipcRenderer.invoke('test-rss-feed', url);
+  testRSSFeed: async (url: string, feed?: any): Promise<any> => {
+    return await ipcRenderer.invoke('test-rss-feed', url, feed);
   },
 
   testRSSContinuousNumeration: async (url: string): Promise<any> => {
@@ -211,6 +402,23 @@ export const CONTEXT_BRIDGE = {
     return await ipcRenderer.invoke('anilist-logout');
   },
 
+  anilistGetProgressQueue: async (): Promise<any> => {
+    return await ipcRenderer.invoke('anilist-get-progress-queue');
+  },
+
+  anilistProcessProgressQueue: async (): Promise<any> => {
+    return await ipcRenderer.invoke('anilist-process-progress-queue');
+  },
+
+  // Airing schedule
+  getAiringTimeline: async (days?: number): Promise<any> => {
+    return await ipcRenderer.invoke('get-airing-timeline', days);
+  },
+
+  checkAiringSchedule: async (): Promise<any> => {
+    return await ipcRenderer.invoke('check-airing-schedule');
+  },
+
   // AniList account operations
   anilistAccountsGetAll: async (): Promise<any[]> => {
     return await ipcRenderer.invoke('anilist-accounts-get-all');
@@ -253,6 +461,39 @@ export const CONTEXT_BRIDGE = {
     return await ipcRenderer.invoke('anilist-auto-lists-delete', id);
   },
 
+  // MyAnimeList / Kitsu list operations
+  listProvidersGetAll: async (): Promise<any[]> => {
+    return await ipcRenderer.invoke('list-providers-get-all');
+  },
+
+  listAccountsGetAll: async (): Promise<any[]> => {
+    return await ipcRenderer.invoke('list-accounts-get-all');
+  },
+
+  listAccountsAdd: async (provider: string, username: string): Promise<any> => {
+    return await ipcRenderer.invoke('list-accounts-add', provider, username);
+  },
+
+  listAccountsDelete: async (id: number): Promise<any> => {
+    return await ipcRenderer.invoke('list-accounts-delete', id);
+  },
+
+  listAutoListsGetByAccount: async (accountId: number): Promise<any[]> => {
+    return await ipcRenderer.invoke('list-auto-lists-get-by-account', accountId);
+  },
+
+  listAutoListsUpsert: async (config: any): Promise<any> => {
+    return await ipcRenderer.invoke('list-auto-lists-upsert', config);
+  },
+
+  listAutoListsToggle: async (id: number, enabled: boolean): Promise<any> => {
+    return await ipcRenderer.invoke('list-auto-lists-toggle', id, enabled);
+  },
+
+  listAutoListsDelete: async (id: number): Promise<any> => {
+    return await ipcRenderer.invoke('list-auto-lists-delete', id);
+  },
+
   // Anime relations operations
   animeRelationsGetEpisodeMapping: async (anilistId: number, episodeNumber: number): Promise<any> => {
     return await ipcRenderer.invoke('anime-relations-get-episode-mapping', anilistId, episodeNumber);
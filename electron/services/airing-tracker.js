@@ -0,0 +1,136 @@
+const { configOperations, whitelistOperations, airingScheduleOperations } = require('../lib/database');
+
+// How often aired episodes are compared with what was downloaded
+const CHECK_INTERVAL_MS = 15 * 60 * 1000;
+
+/**
+ * Parse a SQLite CURRENT_TIMESTAMP (UTC without a zone suffix)
+ * @param {string} value
+ * @returns {number} - Unix timestamp in seconds
+ */
+function sqliteTimestamp(value) {
+  return Math.floor(new Date(value.replace(' ', 'T') + 'Z').getTime() / 1000);
+}
+
+/**
+ * Airing Tracker
+ * Compares the airing schedule stored by the AniList sync with processed files and
+ * raises an alert when an aired episode still hasn't been found after a few hours,
+ * so a missing episode can be told apart from one that hasn't aired yet.
+ */
+function createAiringTracker(rssProcessor, notificationService, activityLogger = null) {
+  let checkInterval = null;
+
+  const tracker = {
+    start() {
+      if (checkInterval) {
+        clearInterval(checkInterval);
+      }
+      checkInterval = setInterval(() => this.check(), CHECK_INTERVAL_MS);
+      this.check();
+    },
+
+    stop() {
+      if (checkInterval) {
+        clearInterval(checkInterval);
+        checkInterval = null;
+      }
+    },
+
+    /**
+     * Check aired episodes that haven't been found yet
+     * @param {number} now - Unix timestamp in seconds
+     * @returns {Object} - { found, overdue }
+     */
+    check(now = Math.floor(Date.now() / 1000)) {
+      const result = { found: 0, overdue: 0 };
+
+      try {
+        const overdueHours = parseFloat(configOperations.get('airing_overdue_hours')) || 6;
+        const alertsEnabled = configOperations.get('airing_alerts_enabled') !== 'false';
+        const entries = whitelistOperations.getAll().filter(entry => entry.enabled && entry.anilist_id);
+        // Looking up the known episodes goes through every download, so it's done once per entry
+        const knownEpisodes = new Map();
+        const getKnownEpisodes = (entry) => {
+          if (!knownEpisodes.has(entry.id)) {
+            knownEpisodes.set(entry.id, rssProcessor.getKnownEpisodeNumbers(entry));
+          }
+          return knownEpisodes.get(entry.id);
+        };
+
+        for (const scheduled of airingScheduleOperations.getAiredUnfound(now)) {
+          const showEntries = entries.filter(entry => entry.anilist_id === scheduled.anilist_id);
+          if (showEntries.length === 0) {
+            continue;
+          }
+
+          if (showEntries.some(entry => getKnownEpisodes(entry).has(scheduled.episode))) {
+            airingScheduleOperations.setStatus(scheduled.id, 'found');
+            result.found++;
+            continue;
+          }
+
+          // Already reported, checked again only to notice when it turns up before the next episode airs
+          if (scheduled.status === 'overdue') {
+            continue;
+          }
+
+          // An episode that aired before the show was added isn't late
+          const trackedSince = Math.min(...showEntries.map(entry => sqliteTimestamp(entry.created_at)));
+          if (scheduled.airing_at < trackedSince) {
+            airingScheduleOperations.setStatus(scheduled.id, 'skipped');
+            continue;
+          }
+
+          const hoursOverdue = Math.floor((now - scheduled.airing_at) / 3600);
+          if (hoursOverdue < overdueHours) {
+            continue;
+          }
+
+          airingScheduleOperations.setStatus(scheduled.id, 'overdue');
+          result.overdue++;
+
+          const entry = showEntries[0];
+          console.log(`⏰ "${entry.title}" episode ${scheduled.episode} aired ${hoursOverdue}h ago and hasn't been found`);
+
+          if (activityLogger) {
+            activityLogger.appEvent('Episode overdue', `"${entry.title}" episode ${scheduled.episode} aired ${hoursOverdue} hours ago but hasn't been downloaded`, {
+              anilistId: scheduled.anilist_id,
+              episode: scheduled.episode,
+              airingAt: new Date(scheduled.airing_at * 1000).toISOString()
+            });
+          }
+
+          if (alertsEnabled && notificationService) {
+            notificationService.episodeOverdue({
+              title: entry.title,
+              episode: scheduled.episode,
+              airingAt: new Date(scheduled.airing_at * 1000).toISOString(),
+              hoursOverdue,
+              whitelistEntryId: entry.id
+            });
+          }
+        }
+      } catch (error) {
+        console.error('Error checking airing schedule:', error);
+      }
+
+      return result;
+    },
+
+    /**
+     * Episodes that aired recently or will air soon, for the timeline
+     * @param {number} days - How many days ahead
+     * @returns {Array}
+     */
+    getTimeline(days = 7) {
+      const now = Math.floor(Date.now() / 1000);
+      // Keep the last day so freshly aired and overdue episodes stay visible
+      return airingScheduleOperations.getRange(now - 24 * 60 * 60, now + days * 24 * 60 * 60);
+    }
+  };
+
+  return tracker;
+}
+
+module.exports = { createAiringTracker };
@@ -0,0 +1,170 @@
+const { configOperations, downloadOperations, whitelistOperations, anilistProgressQueueOperations } = require('../lib/database');
+const { parseFilename } = require('../lib/filename-parser');
+
+// How often queued updates are retried, e.g. after being offline
+const QUEUE_RETRY_INTERVAL_MS = 5 * 60 * 1000;
+// Updates AniList keeps rejecting (not network errors) are dropped after this many attempts
+const MAX_ATTEMPTS = 10;
+
+/**
+ * Whether a failed request is worth retrying later
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isTemporaryError(error) {
+  const status = error.response?.status;
+  // No response means the request never got through (offline, DNS, timeout)
+  return !status || status === 401 || status === 429 || status >= 500;
+}
+
+/**
+ * AniList Progress Service
+ * Writes the watched state of downloaded episodes back to the user's AniList list.
+ * Updates go through a persistent queue, so they are sent once AniList is reachable again.
+ */
+function createAniListProgressService(anilistService, animeRelationsManager, activityLogger = null) {
+  let retryInterval = null;
+  let isProcessing = false;
+
+  const service = {
+    start() {
+      if (retryInterval) {
+        clearInterval(retryInterval);
+      }
+      retryInterval = setInterval(() => this.processQueue(), QUEUE_RETRY_INTERVAL_MS);
+      this.processQueue();
+    },
+
+    stop() {
+      if (retryInterval) {
+        clearInterval(retryInterval);
+        retryInterval = null;
+      }
+    },
+
+    isEnabled() {
+      return configOperations.get('anilist_progress_sync_enabled') !== 'false';
+    },
+
+    /**
+     * Work out which AniList entry and episode a download is, following anime-relations
+     * (e.g. "Show - 13" released under season 1 is episode 1 of season 2)
+     * @param {Object} download - Row of the downloads table
+     * @returns {{ mediaId: number, episode: number }|null}
+     */
+    resolveEpisode(download) {
+      const entry = download.whitelist_entry_id ? whitelistOperations.getById(download.whitelist_entry_id) : null;
+      if (!entry?.anilist_id) {
+        return null;
+      }
+
+      const episode = parseInt(parseFilename(download.torrent_title)?.episodeNumber, 10);
+      if (!episode) {
+        return null;
+      }
+
+      const mapping = animeRelationsManager ? animeRelationsManager.getEpisodeMapping(entry.anilist_id, episode) : null;
+      if (mapping) {
+        return { mediaId: Number(mapping.mappedAnime.anilistId), episode: mapping.mappedEpisode };
+      }
+
+      return { mediaId: Number(entry.anilist_id), episode };
+    },
+
+    /**
+     * Mark a download as watched or unwatched. Watching queues a progress update;
+     * unwatching only changes the local state, AniList progress never goes backwards.
+     * @param {number} downloadId
+     * @param {boolean} watched
+     * @returns {Object} - { success, queued, mediaId, episode, error }
+     */
+    markWatched(downloadId, watched = true) {
+      const download = downloadOperations.getById(downloadId);
+      if (!download) {
+        return { success: false, error: 'Download not found' };
+      }
+
+      downloadOperations.setWatched(downloadId, watched);
+
+      if (!watched || !this.isEnabled()) {
+        return { success: true, queued: false };
+      }
+
+      const target = this.resolveEpisode(download);
+      if (!target) {
+        console.log(`📺 "${download.torrent_title}" is not linked to an AniList entry, progress not sent`);
+        return { success: true, queued: false };
+      }
+
+      anilistProgressQueueOperations.enqueue(target.mediaId, target.episode, downloadId);
+      console.log(`📺 Queued AniList progress: media ${target.mediaId} episode ${target.episode}`);
+      this.processQueue();
+
+      return { success: true, queued: true, ...target };
+    },
+
+    /**
+     * Send queued progress updates
+     * @returns {Promise<{sent: number, pending: number}>}
+     */
+    async processQueue() {
+      if (isProcessing || !anilistService.isAuthenticated()) {
+        return { sent: 0, pending: anilistProgressQueueOperations.getAll().length };
+      }
+
+      isProcessing = true;
+      let sent = 0;
+
+      try {
+        for (const item of anilistProgressQueueOperations.getAll()) {
+          try {
+            const result = await anilistService.saveProgress(item.media_id, item.progress);
+            anilistProgressQueueOperations.complete(item.id, item.progress);
+            sent++;
+
+            if (result.updated) {
+              console.log(`✅ AniList progress updated: media ${item.media_id} → episode ${result.progress} (${result.status})`);
+              if (activityLogger) {
+                activityLogger.appEvent('AniList progress updated', `Set progress to episode ${result.progress}`, {
+                  mediaId: item.media_id,
+                  progress: result.progress,
+                  status: result.status,
+                  downloadId: item.download_id
+                });
+              }
+            } else {
+              console.log(`📺 AniList progress for media ${item.media_id} is already at episode ${result.progress}`);
+            }
+          } catch (error) {
+            anilistProgressQueueOperations.recordError(item.id, error.message);
+
+            if (isTemporaryError(error)) {
+              // The rest of the queue would fail the same way
+              console.warn(`⚠️ AniList unreachable, keeping ${anilistProgressQueueOperations.getAll().length} progress updates queued: ${error.message}`);
+              break;
+            }
+
+            if (item.attempts + 1 >= MAX_ATTEMPTS) {
+              console.error(`❌ Dropping AniList progress update for media ${item.media_id} after ${MAX_ATTEMPTS} attempts: ${error.message}`);
+              anilistProgressQueueOperations.delete(item.id);
+            } else {
+              console.error(`❌ AniList progress update for media ${item.media_id} failed: ${error.message}`);
+            }
+          }
+        }
+      } finally {
+        isProcessing = false;
+      }
+
+      return { sent, pending: anilistProgressQueueOperations.getAll().length };
+    },
+
+    getQueue() {
+      return anilistProgressQueueOperations.getAll();
+    }
+  };
+
+  return service;
+}
+
+module.exports = { createAniListProgressService };
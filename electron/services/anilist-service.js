@@ -132,9 +132,14 @@ function createAniListService() {
       if (!accessToken) return false;
 
       try {
-        const user = await this.getCurrentUser();
-        return !!user;
+        const response = await this.makeGraphQLRequest('query { Viewer { id } }');
+        return !!response.data.Viewer;
       } catch (error) {
+        // Starting offline shouldn't log the user out (and strand queued progress updates)
+        if (error.request && !error.response) {
+          console.warn('AniList unreachable, keeping the stored token:', error.message);
+          return true;
+        }
         console.error('Token verification failed:', error);
         return false;
       }
@@ -225,6 +230,11 @@ function createAniListService() {
                 createdAt
                 media {
                   id
+                  idMal
+                  nextAiringEpisode {
+                    episode
+                    airingAt
+                  }
                   title {
                     romaji
                     english
@@ -381,6 +391,151 @@ function createAniListService() {
       }
     },
 
+    /**
+     * Look up anime by AniList or MyAnimeList IDs (works without logging in)
+     * @param {Array<number>} ids - AniList IDs, or MAL IDs when byMalId is set
+     * @param {boolean} byMalId
+     * @returns {Array} - Media objects, including idMal
+     */
+    async getMediaByIds(ids, byMalId = false) {
+      const filter = byMalId ? 'idMal_in' : 'id_in';
+      const query = `
+        query ($ids: [Int], $page: Int) {
+          Page(page: $page, perPage: 50) {
+            pageInfo {
+              hasNextPage
+            }
+            media(${filter}: $ids, type: ANIME) {
+              id
+              idMal
+              nextAiringEpisode {
+                episode
+                airingAt
+              }
+              title {
+                romaji
+                english
+                native
+                userPreferred
+              }
+              synonyms
+              format
+              status
+              episodes
+              season
+              seasonYear
+              averageScore
+              genres
+              coverImage {
+                large
+                medium
+              }
+              bannerImage
+            }
+          }
+        }
+      `;
+
+      const media = [];
+      // AniList caps id_in lists at a page of 50
+      for (let i = 0; i < ids.length; i += 50) {
+        const response = await this.makeGraphQLRequest(query, { ids: ids.slice(i, i + 50), page: 1 });
+        media.push(...response.data.Page.media);
+      }
+      return media;
+    },
+
+    /**
+     * Get the episodes of some anime airing in a time range (works without logging in)
+     * @param {Array<number>} mediaIds - AniList IDs
+     * @param {number} from - Unix timestamp in seconds
+     * @param {number} to - Unix timestamp in seconds
+     * @returns {Array} - [{ mediaId, episode, airingAt }]
+     */
+    async getAiringSchedule(mediaIds, from, to) {
+      const query = `
+        query ($ids: [Int], $from: Int, $to: Int, $page: Int) {
+          Page(page: $page, perPage: 50) {
+            pageInfo {
+              hasNextPage
+            }
+            airingSchedules(mediaId_in: $ids, airingAt_greater: $from, airingAt_lesser: $to, sort: TIME) {
+              mediaId
+              episode
+              airingAt
+            }
+          }
+        }
+      `;
+
+      const schedules = [];
+      for (let i = 0; i < mediaIds.length; i += 50) {
+        const ids = mediaIds.slice(i, i + 50);
+        let page = 1;
+        let hasNextPage = true;
+
+        while (hasNextPage) {
+          const response = await this.makeGraphQLRequest(query, { ids, from, to, page });
+          schedules.push(...response.data.Page.airingSchedules);
+          hasNextPage = response.data.Page.pageInfo.hasNextPage;
+          page++;
+        }
+      }
+      return schedules;
+    },
+
+    /**
+     * Set the watched progress of an anime on the user's list.
+     * Progress never goes backwards, and PLANNING (or not listed) becomes CURRENT.
+     * @param {number} mediaId - AniList ID of the anime
+     * @param {number} progress - Number of watched episodes
+     * @returns {Object} - { updated, progress, status }
+     */
+    async saveProgress(mediaId, progress) {
+      if (!accessToken) {
+        throw new Error('Not authenticated with AniList');
+      }
+
+      const entryQuery = `
+        query ($mediaId: Int!) {
+          Media(id: $mediaId, type: ANIME) {
+            id
+            episodes
+            mediaListEntry {
+              id
+              status
+              progress
+            }
+          }
+        }
+      `;
+
+      const response = await this.makeGraphQLRequest(entryQuery, { mediaId });
+      const entry = response.data.Media?.mediaListEntry;
+
+      if (entry && entry.progress >= progress) {
+        return { updated: false, progress: entry.progress, status: entry.status };
+      }
+
+      const status = !entry || entry.status === MediaListStatus.PLANNING
+        ? MediaListStatus.CURRENT
+        : entry.status;
+
+      const mutation = `
+        mutation ($mediaId: Int!, $progress: Int!, $status: MediaListStatus) {
+          SaveMediaListEntry(mediaId: $mediaId, progress: $progress, status: $status) {
+            id
+            status
+            progress
+          }
+        }
+      `;
+
+      const saved = await this.makeGraphQLRequest(mutation, { mediaId, progress, status });
+      const result = saved.data.SaveMediaListEntry;
+      return { updated: true, progress: result.progress, status: result.status };
+    },
+
     /**
      * Make a GraphQL request to AniList API
      * @param {string} query - GraphQL query
@@ -1,20 +1,29 @@
 const { createAniListService, MediaListStatus } = require('./anilist-service');
+const { createListProviders, LIST_PROVIDERS } = require('./list-providers');
 const { 
   anilistAccountOperations, 
   anilistAutoListOperations, 
+  listAccountOperations,
+  listAutoListOperations,
   anilistAnimeCacheOperations,
+  airingScheduleOperations,
   whitelistOperations,
   configOperations
 } = require('../lib/database');
 
+// Airing schedule window kept around now: recent episodes for late alerts, upcoming ones for the timeline
+const SCHEDULE_PAST_DAYS = 7;
+const SCHEDULE_FUTURE_DAYS = 14;
+
 /**
  * AniList Synchronization Service
- * Handles automatic synchronization of AniList lists with the download whitelist
+ * Handles automatic synchronization of AniList, MyAnimeList and Kitsu lists with the download whitelist
  */
 function createAniListSyncService(notificationService, sharedAniListService = null) {
   let syncInterval = null;
   let isSyncing = false;
   let anilistService = sharedAniListService;
+  let listProviders = null;
 
   const service = {
     /**
@@ -27,25 +36,24 @@ function createAniListSyncService(notificationService, sharedAniListService = nu
           anilistService = createAniListService();
           await anilistService.initialize();
         }
+        listProviders = createListProviders(anilistService);
 
         // Start periodic sync
         this.startPeriodicSync();
 
-        // Perform initial sync on app launch if user is authenticated and has enabled lists
-        if (anilistService.isAuthenticated()) {
-          const enabledLists = anilistAutoListOperations.getEnabled();
-          if (enabledLists.length > 0) {
-            console.log('Performing initial AniList sync on app launch...');
-            // Run sync in background without blocking initialization
-            setTimeout(async () => {
-              try {
-                await this.syncAllLists();
-                console.log('Initial AniList sync completed');
-              } catch (error) {
-                console.error('Initial AniList sync failed:', error);
-              }
-            }, 2000); // Wait 2 seconds after app initialization
-          }
+        // Perform initial sync on app launch if there are enabled lists
+        // (MyAnimeList and Kitsu lists don't need an AniList login)
+        if (this.getEnabledLists().length > 0) {
+          console.log('Performing initial list sync on app launch...');
+          // Run sync in background without blocking initialization
+          setTimeout(async () => {
+            try {
+              await this.syncAllLists();
+              console.log('Initial list sync completed');
+            } catch (error) {
+              console.error('Initial list sync failed:', error);
+            }
+          }, 2000); // Wait 2 seconds after app initialization
         }
 
         console.log('AniList sync service initialized');
@@ -92,6 +100,15 @@ function createAniListSyncService(notificationService, sharedAniListService = nu
       }
     },
 
+    /**
+     * Get enabled auto-download lists of every provider
+     * @returns {Array} - List configs joined with their account, with a provider field
+     */
+    getEnabledLists() {
+      const anilistLists = anilistAutoListOperations.getEnabled().map(list => ({ ...list, provider: 'anilist' }));
+      return [...anilistLists, ...listAutoListOperations.getEnabled()];
+    },
+
     /**
      * Sync all enabled auto-download lists
      */
@@ -106,28 +123,58 @@ function createAniListSyncService(notificationService, sharedAniListService = nu
         console.log('Starting AniList sync...');
 
         // Get all enabled auto-download lists
-        const enabledLists = anilistAutoListOperations.getEnabled();
+        const enabledLists = this.getEnabledLists();
         
         if (enabledLists.length === 0) {
           console.log('No enabled auto-download lists found');
+          // Manually added shows still have an airing schedule
+          await this.syncAiringSchedule();
           return;
         }
 
+        // Lists are grouped per account, so removing entries compares against all of its enabled lists
+        const accounts = new Map();
+        for (const listConfig of enabledLists) {
+          const key = `${listConfig.provider}:${listConfig.account_id}`;
+          if (!accounts.has(key)) {
+            accounts.set(key, []);
+          }
+          accounts.get(key).push(listConfig);
+        }
+
         let totalSynced = 0;
         let totalErrors = 0;
 
-        for (const listConfig of enabledLists) {
-          try {
-            const synced = await this.syncList(listConfig);
-            totalSynced += synced;
-          } catch (error) {
-            console.error(`Failed to sync list ${listConfig.list_status} for user ${listConfig.username}:`, error);
-            totalErrors++;
+        for (const accountLists of accounts.values()) {
+          const accountEntries = [];
+          let accountError = null;
+
+          for (const listConfig of accountLists) {
+            try {
+              const { synced, entries } = await this.syncList(listConfig);
+              totalSynced += synced;
+              accountEntries.push(...entries);
+            } catch (error) {
+              console.error(`Failed to sync ${LIST_PROVIDERS[listConfig.provider].name} list ${listConfig.list_status} for user ${listConfig.username}:`, error);
+              accountError = error;
+              totalErrors++;
+            }
+          }
+
+          // A list that failed to load would look empty, so nothing is removed then
+          if (!accountError) {
+            await this.cleanupRemovedEntries(accountEntries, accountLists[0]);
+          }
+
+          if (accountLists[0].provider !== 'anilist') {
+            listAccountOperations.recordSync(accountLists[0].account_id, accountError ? accountError.message : null);
           }
         }
 
         console.log(`AniList sync completed: ${totalSynced} entries synced, ${totalErrors} errors`);
 
+        await this.syncAiringSchedule();
+
         if (notificationService && totalSynced > 0) {
           notificationService.anilistSyncCompleted({ totalSynced, totalErrors });
         }
@@ -144,29 +191,17 @@ function createAniListSyncService(notificationService, sharedAniListService = nu
 
     /**
      * Sync a specific list configuration
-     * @param {Object} listConfig - Auto-download list configuration
-     * @returns {number} - Number of entries synced
+     * @param {Object} listConfig - Auto-download list configuration, joined with its account
+     * @returns {Object} - { synced: number of entries synced, entries: entries of the list }
      */
     async syncList(listConfig) {
-      console.log(`Syncing ${listConfig.list_status} list for user ${listConfig.username}`);
+      const providerName = LIST_PROVIDERS[listConfig.provider].name;
+      console.log(`Syncing ${providerName} ${listConfig.list_status} list for user ${listConfig.username}`);
 
-      // Get the user's anime list from AniList
-      const collection = await anilistService.getUserAnimeList(listConfig.user_id, listConfig.list_status);
-      
-      if (!collection || !collection.lists) {
-        console.log(`No lists found for status ${listConfig.list_status}`);
-        return 0;
-      }
+      // Get the user's anime list from the provider
+      const entries = await listProviders.getList(listConfig);
 
-      // Extract all entries from the collection
-      const entries = [];
-      for (const list of collection.lists) {
-        if (list.entries) {
-          entries.push(...list.entries);
-        }
-      }
-
-      console.log(`Found ${entries.length} entries in ${listConfig.list_status} list`);
+      console.log(`Found ${entries.length} entries in ${providerName} ${listConfig.list_status} list`);
 
       let syncedCount = 0;
 
@@ -177,32 +212,36 @@ function createAniListSyncService(notificationService, sharedAniListService = nu
             syncedCount++;
           }
         } catch (error) {
-          console.error(`Failed to sync anime entry ${entry.media.id}:`, error);
+          console.error(`Failed to sync anime entry ${entry.externalId}:`, error);
         }
       }
 
-      // Clean up removed entries
-      await this.cleanupRemovedEntries(entries, listConfig);
-
-      return syncedCount;
+      return { synced: syncedCount, entries };
     },
 
     /**
      * Sync a single anime entry
-     * @param {Object} entry - AniList media list entry
+     * @param {Object} entry - { externalId, media } from the list provider
      * @param {Object} listConfig - Auto-download list configuration
      * @returns {boolean} - True if entry was synced
      */
     async syncAnimeEntry(entry, listConfig) {
       const media = entry.media;
+      const isAniList = listConfig.provider === 'anilist';
       
-      // Cache anime data
-      await this.cacheAnimeData(media);
+      // Cache anime data (entries that couldn't be matched to AniList have no ID)
+      if (media.id) {
+        await this.cacheAnimeData(media);
+
+        if (media.nextAiringEpisode) {
+          airingScheduleOperations.upsert(media.id, media.nextAiringEpisode.episode, media.nextAiringEpisode.airingAt);
+        }
+      }
 
       // Get the best title to use for whitelist (romaji preferred)
       const title = this.getBestTitle(media);
       if (!title) {
-        console.log(`No suitable title found for anime ${media.id}`);
+        console.log(`No suitable title found for anime ${entry.externalId}`);
         return false;
       }
 
@@ -210,13 +249,22 @@ function createAniListSyncService(notificationService, sharedAniListService = nu
       const titleVariants = this.getAllTitleVariants(media);
 
       // Check if this entry already exists in whitelist
-      const existingEntry = whitelistOperations.getAll().find(w => 
-        w.anilist_id === media.id && 
-        w.anilist_account_id === listConfig.account_id &&
-        w.source_type === 'anilist'
+      const existingEntry = whitelistOperations.getAll().find(w => isAniList
+        ? w.anilist_id === media.id &&
+          w.anilist_account_id === listConfig.account_id &&
+          w.source_type === 'anilist'
+        : w.external_id === entry.externalId &&
+          w.list_account_id === listConfig.account_id &&
+          w.source_type === listConfig.provider
       );
 
       if (existingEntry) {
+        // No AniList match this time (e.g. the lookup failed), keep what an earlier sync resolved
+        // instead of replacing the AniList ID and titles with the provider's
+        if (!media.id && existingEntry.anilist_id) {
+          return false;
+        }
+
         // Update existing entry if needed, but preserve user's quality and preferred_group settings
         const updates = {
           title: title,
@@ -226,9 +274,9 @@ function createAniListSyncService(notificationService, sharedAniListService = nu
           preferred_group: existingEntry.preferred_group || listConfig.preferred_group,
           enabled: 1,
           auto_sync: 1,
-          source_type: 'anilist',
+          source_type: listConfig.provider,
           anilist_id: media.id,
-          anilist_account_id: listConfig.account_id,
+          anilist_account_id: isAniList ? listConfig.account_id : null,
           // Store all title variants for enhanced matching
           title_romaji: titleVariants.romaji,
           title_english: titleVariants.english,
@@ -238,6 +286,7 @@ function createAniListSyncService(notificationService, sharedAniListService = nu
 
         // Check if update is needed (excluding quality and preferred_group from comparison to preserve user settings)
         const needsUpdate = existingEntry.title !== title ||
+                           existingEntry.anilist_id !== media.id ||
                            existingEntry.enabled !== 1 ||
                            existingEntry.auto_sync !== 1 ||
                            existingEntry.title_romaji !== titleVariants.romaji ||
@@ -260,9 +309,11 @@ function createAniListSyncService(notificationService, sharedAniListService = nu
             quality: listConfig.quality,
             enabled: true,
             preferred_group: listConfig.preferred_group,
-            source_type: 'anilist',
+            source_type: listConfig.provider,
             anilist_id: media.id,
-            anilist_account_id: listConfig.account_id,
+            anilist_account_id: isAniList ? listConfig.account_id : null,
+            list_account_id: isAniList ? null : listConfig.account_id,
+            external_id: isAniList ? null : entry.externalId,
             auto_sync: true,
             // Store all title variants for enhanced matching
             title_romaji: titleVariants.romaji,
@@ -283,6 +334,37 @@ function createAniListSyncService(notificationService, sharedAniListService = nu
       }
     },
 
+    /**
+     * Store the airing schedule of every whitelisted show that is matched to AniList
+     */
+    async syncAiringSchedule() {
+      try {
+        const anilistIds = [...new Set(
+          whitelistOperations.getAll()
+            .filter(entry => entry.enabled && entry.anilist_id)
+            .map(entry => entry.anilist_id)
+        )];
+
+        airingScheduleOperations.retainOnly(anilistIds);
+        if (anilistIds.length === 0) {
+          return;
+        }
+
+        const now = Math.floor(Date.now() / 1000);
+        const from = now - SCHEDULE_PAST_DAYS * 24 * 60 * 60;
+        const schedules = await anilistService.getAiringSchedule(anilistIds, from, now + SCHEDULE_FUTURE_DAYS * 24 * 60 * 60);
+
+        for (const schedule of schedules) {
+          airingScheduleOperations.upsert(schedule.mediaId, schedule.episode, schedule.airingAt);
+        }
+        airingScheduleOperations.deleteOlderThan(from);
+
+        console.log(`📅 Airing schedule updated: ${schedules.length} episodes of ${anilistIds.length} shows`);
+      } catch (error) {
+        console.error('Failed to update airing schedule:', error);
+      }
+    },
+
     /**
      * Cache anime data for faster lookups
      * @param {Object} media - AniList media object
@@ -291,6 +373,7 @@ function createAniListSyncService(notificationService, sharedAniListService = nu
       try {
         const cacheData = {
           anilist_id: media.id,
+          mal_id: media.idMal || null,
           title_romaji: media.title?.romaji || '',
           title_english: media.title?.english || '',
           title_native: media.title?.native || '',
@@ -339,24 +422,27 @@ function createAniListSyncService(notificationService, sharedAniListService = nu
     },
 
     /**
-     * Clean up whitelist entries that were removed from AniList
-     * @param {Array} currentEntries - Current entries from AniList
-     * @param {Object} listConfig - Auto-download list configuration
+     * Clean up whitelist entries that were removed from the account's lists
+     * @param {Array} currentEntries - Current entries of every enabled list of the account
+     * @param {Object} listConfig - Auto-download list configuration of that account
      */
     async cleanupRemovedEntries(currentEntries, listConfig) {
       try {
-        // Get all auto-synced entries for this account and list status
+        const isAniList = listConfig.provider === 'anilist';
+
+        // Get all auto-synced entries for this account
         const whitelistEntries = whitelistOperations.getAll().filter(w => 
-          w.source_type === 'anilist' &&
-          w.anilist_account_id === listConfig.account_id &&
+          w.source_type === listConfig.provider &&
+          (isAniList ? w.anilist_account_id : w.list_account_id) === listConfig.account_id &&
           w.auto_sync === 1
         );
 
-        const currentAnilistIds = new Set(currentEntries.map(e => e.media.id));
+        const currentIds = new Set(currentEntries.map(e => e.externalId));
         
         for (const whitelistEntry of whitelistEntries) {
-          if (whitelistEntry.anilist_id && !currentAnilistIds.has(whitelistEntry.anilist_id)) {
-            // This entry was removed from AniList, remove from whitelist
+          const id = isAniList ? whitelistEntry.anilist_id : whitelistEntry.external_id;
+          if (id && !currentIds.has(id)) {
+            // This entry was removed from the list, remove from whitelist
             whitelistOperations.delete(whitelistEntry.id);
             console.log(`Removed whitelist entry for removed anime: ${whitelistEntry.title}`);
           }
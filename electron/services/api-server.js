@@ -0,0 +1,312 @@
+const http = require('http');
+const crypto = require('crypto');
+const { configOperations } = require('../lib/database');
+
+// The API is only reachable from this machine
+const API_HOST = '127.0.0.1';
+const DEFAULT_API_PORT = 8686;
+const MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * REST routes mapped onto the shared handler implementations.
+ * `args` turns the request into the handler's positional arguments.
+ */
+const API_ROUTES = [
+  { method: 'GET', path: '/api/status', channel: 'get-app-status', description: 'App and RSS monitoring status' },
+  { method: 'GET', path: '/api/stats', channel: 'get-stats', description: 'Download and whitelist statistics' },
+
+  { method: 'GET', path: '/api/whitelist', channel: 'get-whitelist', description: 'List whitelist entries' },
+  { method: 'POST', path: '/api/whitelist', channel: 'add-whitelist-entry', args: ({ body }) => [body], description: 'Add a whitelist entry' },
+  { method: 'PUT', path: '/api/whitelist/:id', channel: 'update-whitelist-entry', args: ({ params, body }) => [params.id, body], description: 'Update a whitelist entry' },
+  { method: 'DELETE', path: '/api/whitelist/:id', channel: 'remove-whitelist-entry', args: ({ params }) => [params.id], description: 'Remove a whitelist entry' },
+  { method: 'POST', path: '/api/whitelist/:id/toggle', channel: 'toggle-whitelist-entry', args: ({ params, body }) => [params.id, Boolean(body.enabled)], description: 'Enable or disable an entry ({"enabled": true})' },
+
+  { method: 'GET', path: '/api/downloads', channel: 'get-all-downloads', description: 'List downloads' },
+  { method: 'POST', path: '/api/downloads', channel: 'add-manual-download', args: ({ body }) => [body.magnet || body.url, body.title], description: 'Queue a torrent ({"magnet": "...", "title": "..."})' },
+  { method: 'POST', path: '/api/downloads/pause-all', channel: 'pause-all-downloads', description: 'Pause all downloads' },
+  { method: 'DELETE', path: '/api/downloads/:id', channel: 'remove-download', args: ({ params }) => [params.id], description: 'Remove a download' },
+  { method: 'POST', path: '/api/downloads/:id/pause', channel: 'pause-download', args: ({ params }) => [params.id], description: 'Pause a download' },
+  { method: 'POST', path: '/api/downloads/:id/resume', channel: 'resume-download', args: ({ params }) => [params.id], description: 'Resume a download' },
+  { method: 'POST', path: '/api/downloads/:id/retry', channel: 'retry-download', args: ({ params }) => [params.id], description: 'Retry a failed download' },
+  { method: 'POST', path: '/api/downloads/:id/stop-seeding', channel: 'stop-seeding', args: ({ params }) => [params.id], description: 'Stop seeding a download' },
+
+  { method: 'POST', path: '/api/rss/check', channel: 'process-rss-feed', description: 'Check all RSS feeds now' },
+  { method: 'POST', path: '/api/rss/start', channel: 'start-rss-monitoring', description: 'Start RSS monitoring' },
+  { method: 'POST', path: '/api/rss/stop', channel: 'stop-rss-monitoring', description: 'Stop RSS monitoring' },
+
+  { method: 'GET', path: '/api/settings', channel: 'get-settings', description: 'Read settings' },
+  { method: 'PUT', path: '/api/settings', channel: 'save-settings', args: ({ body }) => [body], description: 'Change settings (partial updates allowed)' },
+
+  { method: 'GET', path: '/api/logs', channel: 'get-activity-logs', args: ({ query }) => [parseInt(query.get('limit')) || 100, query.get('type') || null], description: 'Activity logs (?limit=100&type=download)' }
+];
+
+/**
+ * Match a request path against a route pattern such as "/api/whitelist/:id"
+ * @param {string} pattern
+ * @param {string} pathname
+ * @returns {Object|null} - Route params, numeric ones converted to numbers
+ */
+function matchPath(pattern, pathname) {
+  const patternParts = pattern.split('/');
+  const pathParts = pathname.replace(/\/+$/, '').split('/');
+  if (patternParts.length !== pathParts.length) return null;
+
+  const params = {};
+  for (let i = 0; i < patternParts.length; i++) {
+    if (patternParts[i].startsWith(':')) {
+      const value = decodeURIComponent(pathParts[i]);
+      params[patternParts[i].slice(1)] = /^\d+$/.test(value) ? parseInt(value) : value;
+    } else if (patternParts[i] !== pathParts[i]) {
+      return null;
+    }
+  }
+  return params;
+}
+
+function generateApiKey() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+/**
+ * Compare API keys without leaking timing information
+ * @param {string} provided
+ * @param {string} expected
+ * @returns {boolean}
+ */
+function keysMatch(provided, expected) {
+  if (!provided || !expected) return false;
+  const a = Buffer.from(provided);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Parse the path of a request
+ * @param {http.IncomingMessage} req
+ * @returns {URL|null} - null when the path isn't a valid URL, e.g. "//"
+ */
+function parseRequestUrl(req) {
+  try {
+    return new URL(req.url, 'http://localhost');
+  } catch (error) {
+    return null;
+  }
+}
+
+function sendJson(res, statusCode, payload) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(payload === undefined ? '' : JSON.stringify(payload));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error('Request body too large'), { statusCode: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8');
+      if (!text) {
+        resolve({});
+        return;
+      }
+      try {
+        resolve(JSON.parse(text));
+      } catch (error) {
+        reject(Object.assign(new Error('Request body is not valid JSON'), { statusCode: 400 }));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Local API Server
+ * Opt-in HTTP JSON API on localhost that calls the same handlers as the IPC bridge
+ * @param {Object} handlers - Handler implementations keyed by IPC channel
+ * @param {Object} activityLogger
+ */
+function createApiServer(handlers, activityLogger = null) {
+  let server = null;
+  let runningPort = null;
+  let lastError = null;
+
+  const apiServer = {
+    getSettings() {
+      return {
+        enabled: configOperations.get('api_enabled') === 'true',
+        port: parseInt(configOperations.get('api_port')) || DEFAULT_API_PORT,
+        apiKey: configOperations.get('api_key') || ''
+      };
+    },
+
+    /**
+     * Start, restart or stop the server so it matches the current settings
+     */
+    async apply() {
+      const settings = this.getSettings();
+
+      if (!settings.enabled) {
+        await this.stop();
+        return this.getStatus();
+      }
+
+      if (!settings.apiKey) {
+        this.regenerateKey();
+      }
+
+      if (server && runningPort === settings.port) {
+        return this.getStatus();
+      }
+
+      await this.stop();
+      await this.start(settings.port);
+      return this.getStatus();
+    },
+
+    start(port) {
+      return new Promise((resolve) => {
+        lastError = null;
+        const instance = http.createServer((req, res) => this.handleRequest(req, res));
+
+        instance.once('error', (error) => {
+          lastError = error.code === 'EADDRINUSE' ? `Port ${port} is already in use` : error.message;
+          console.error(`❌ Local API failed to start: ${lastError}`);
+          server = null;
+          runningPort = null;
+          resolve(false);
+        });
+
+        instance.listen(port, API_HOST, () => {
+          server = instance;
+          runningPort = port;
+          console.log(`🔌 Local API listening on http://${API_HOST}:${port}/api`);
+          resolve(true);
+        });
+      });
+    },
+
+    stop() {
+      return new Promise((resolve) => {
+        if (!server) {
+          resolve();
+          return;
+        }
+
+        const instance = server;
+        server = null;
+        runningPort = null;
+        instance.close(() => {
+          console.log('🔌 Local API stopped');
+          resolve();
+        });
+        // Don't wait for idle keep-alive connections
+        if (instance.closeAllConnections) {
+          instance.closeAllConnections();
+        }
+      });
+    },
+
+    /**
+     * Replace the API key; existing scripts have to be updated
+     * @returns {string} - The new key
+     */
+    regenerateKey() {
+      const apiKey = generateApiKey();
+      configOperations.set('api_key', apiKey);
+      return apiKey;
+    },
+
+    getStatus() {
+      const settings = this.getSettings();
+      return {
+        enabled: settings.enabled,
+        running: Boolean(server),
+        port: runningPort || settings.port,
+        url: `http://${API_HOST}:${runningPort || settings.port}/api`,
+        error: lastError,
+        routes: API_ROUTES.map(({ method, path, description }) => ({ method, path, description }))
+      };
+    },
+
+    async handleRequest(req, res) {
+      const url = parseRequestUrl(req);
+      if (!url) {
+        sendJson(res, 400, { error: 'Bad request' });
+        return;
+      }
+
+      try {
+        // Only accept requests addressed to localhost to block DNS rebinding
+        const host = (req.headers.host || '').replace(/:\d+$/, '');
+        if (!['127.0.0.1', 'localhost', '[::1]'].includes(host)) {
+          sendJson(res, 403, { error: 'Forbidden host' });
+          return;
+        }
+
+        const authorization = req.headers.authorization || '';
+        const providedKey = req.headers['x-api-key'] ||
+          (authorization.startsWith('Bearer ') ? authorization.slice(7) : '');
+        if (!keysMatch(String(providedKey), this.getSettings().apiKey)) {
+          sendJson(res, 401, { error: 'Missing or invalid API key' });
+          return;
+        }
+
+        let route = null;
+        let params = null;
+        let pathMatched = false;
+        for (const candidate of API_ROUTES) {
+          const matched = matchPath(candidate.path, url.pathname);
+          if (!matched) continue;
+          pathMatched = true;
+          if (candidate.method === req.method) {
+            route = candidate;
+            params = matched;
+            break;
+          }
+        }
+
+        if (!route) {
+          sendJson(res, pathMatched ? 405 : 404, { error: pathMatched ? 'Method not allowed' : 'Not found' });
+          return;
+        }
+
+        const handler = handlers[route.channel];
+        if (!handler) {
+          sendJson(res, 501, { error: `Handler "${route.channel}" is not available` });
+          return;
+        }
+
+        const body = ['POST', 'PUT'].includes(req.method) ? await readBody(req) : {};
+        const args = route.args ? route.args({ params, body, query: url.searchParams }) : [];
+        const result = await handler(...args);
+
+        sendJson(res, 200, result === undefined ? { success: true } : result);
+      } catch (error) {
+        const statusCode = error.statusCode || 500;
+        console.error(`❌ Local API ${req.method} ${url.pathname} failed:`, error.message);
+
+        if (activityLogger && statusCode === 500) {
+          activityLogger.log('error', 'Local API Request Failed', `${req.method} ${url.pathname}: ${error.message}`, {
+            method: req.method,
+            path: url.pathname
+          });
+        }
+
+        sendJson(res, statusCode, { error: error.message || 'Internal error' });
+      }
+    }
+  };
+
+  return apiServer;
+}
+
+module.exports = { createApiServer, API_ROUTES, sendJson, readBody, keysMatch, parseRequestUrl };
@@ -2,7 +2,7 @@ const {
   whitelistOperations,
   downloadOperations,
   rssOperations,
-  configOperations
+  feedOperations
 } = require("../lib/database");
 const { createRSSProcessor } = require("./rss-processor");
 const { createDownloadManager } = require("./download-manager");
@@ -15,7 +15,11 @@ function createAppService(sharedRSSProcessor = null, sharedDownloadManager = nul
   let titleOverridesManager = sharedTitleOverridesManager;
   let activityLogger = sharedActivityLogger;
   let rssScheduleActive = false;
-  let rssInterval = null;
+  const feedIntervals = new Map();
+  let feedQueue = Promise.resolve();
+  // Backfill searches hit the tracker's search endpoint, so each entry is searched at most this often
+  const BACKFILL_INTERVAL_MS = 6 * 60 * 60 * 1000;
+  const lastBackfillAt = new Map();
   let isInitialized = false;
 
   const service = {
@@ -79,7 +83,8 @@ function createAppService(sharedRSSProcessor = null, sharedDownloadManager = nul
           whitelistCount: whitelist.length,
           totalDownloads: downloads.length,
           activeDownloads: downloads.filter(d => ['queued', 'downloading'].includes(d.status)).length,
-          completedDownloads: downloads.filter(d => d.status === 'completed').length,
+          completedDownloads: downloads.filter(d => ['completed', 'seeding'].includes(d.status)).length,
+          seedingDownloads: downloads.filter(d => d.status === 'seeding').length,
           failedDownloads: downloads.filter(d => d.status === 'failed').length,
           processedEntries: rssEntries.length
         };
@@ -90,6 +95,7 @@ function createAppService(sharedRSSProcessor = null, sharedDownloadManager = nul
           totalDownloads: 0,
           activeDownloads: 0,
           completedDownloads: 0,
+          seedingDownloads: 0,
           failedDownloads: 0,
           processedEntries: 0
         };
@@ -102,53 +108,215 @@ function createAppService(sharedRSSProcessor = null, sharedDownloadManager = nul
       }
 
       try {
-        const intervalMinutes = parseInt(configOperations.get('check_interval_minutes') || '5');
-        const intervalMs = intervalMinutes * 60 * 1000;
-
         // Start immediate check
         await this.processRSSFeed();
 
-        // Schedule periodic checks
-        rssInterval = setInterval(async () => {
-          try {
-            await this.processRSSFeed();
-          } catch (error) {
-            console.error('Error in scheduled RSS check:', error);
-          }
-        }, intervalMs);
+        // Schedule periodic checks, one timer per feed
+        for (const feed of feedOperations.getEnabled()) {
+          this.scheduleFeed(feed);
+        }
 
         rssScheduleActive = true;
       } catch (error) {
         console.error('Failed to start RSS monitoring:', error);
+        this.clearFeedSchedules();
         throw error;
       }
     },
 
     stopRSSMonitoring() {
-      if (rssInterval) {
-        clearInterval(rssInterval);
-        rssInterval = null;
-      }
+      this.clearFeedSchedules();
       rssScheduleActive = false;
     },
 
+    /**
+     * Schedule periodic checks for a single feed
+     * @param {Object} feed - Feed row from the feeds table
+     */
+    scheduleFeed(feed) {
+      const intervalMinutes = parseInt(feed.check_interval_minutes) || 5;
+      const intervalMs = intervalMinutes * 60 * 1000;
+
+      if (feedIntervals.has(feed.id)) {
+        clearInterval(feedIntervals.get(feed.id));
+      }
+
+      const interval = setInterval(async () => {
+        try {
+          await this.processFeedById(feed.id);
+          await this.runBackfill();
+        } catch (error) {
+          console.error(`Error in scheduled RSS check for feed "${feed.name}":`, error);
+        }
+      }, intervalMs);
+
+      feedIntervals.set(feed.id, interval);
+      console.log(`⏰ RSS: Scheduled "${feed.name}" every ${intervalMinutes} minutes`);
+    },
+
+    clearFeedSchedules() {
+      for (const interval of feedIntervals.values()) {
+        clearInterval(interval);
+      }
+      feedIntervals.clear();
+    },
+
+    /**
+     * Re-read the feeds table and reschedule timers (called after feeds are edited)
+     */
+    reloadFeedSchedules() {
+      if (!rssScheduleActive) {
+        return;
+      }
+
+      this.clearFeedSchedules();
+      for (const feed of feedOperations.getEnabled()) {
+        this.scheduleFeed(feed);
+      }
+    },
+
+    /**
+     * Process a single feed and record its last success/error state
+     * @param {number} feedId
+     * @returns {Promise<Object>} - Processing result from the RSS processor
+     */
+    async processFeedById(feedId) {
+      if (!rssProcessor) {
+        throw new Error('RSS processor not initialized');
+      }
+
+      const feed = feedOperations.getById(feedId);
+      if (!feed) {
+        throw new Error('Feed not found');
+      }
+
+      // Feeds are processed one at a time so duplicate checks see each other's results
+      const run = feedQueue.then(async () => {
+        try {
+          const result = await rssProcessor.processFeed(feed);
+          feedOperations.recordSuccess(feed.id, result?.totalItems);
+          return result;
+        } catch (error) {
+          feedOperations.recordError(feed.id, error.message);
+          if (activityLogger) {
+            activityLogger.rssEvent('Feed Check Failed', `Failed to check "${feed.name}": ${error.message}`, {
+              feedId: feed.id,
+              url: feed.url
+            });
+          }
+          throw error;
+        }
+      });
+      feedQueue = run.catch(() => {});
+
+      return run;
+    },
+
     async processRSSFeed() {
       if (!rssProcessor) {
         throw new Error('RSS processor not initialized');
       }
 
-      try {
-        const rssUrl = configOperations.get('rss_feed_url');
-        if (!rssUrl) {
-          throw new Error('RSS feed URL not configured');
+      const feeds = feedOperations.getEnabled();
+      if (feeds.length === 0) {
+        throw new Error('No RSS feeds configured');
+      }
+
+      const totals = {
+        processedCount: 0,
+        downloadedCount: 0,
+        newEntries: 0,
+        totalItems: 0,
+        feeds: []
+      };
+      let lastError = null;
+
+      for (const feed of feeds) {
+        try {
+          const result = await this.processFeedById(feed.id);
+          totals.processedCount += result?.processedCount || 0;
+          totals.downloadedCount += result?.downloadedCount || 0;
+          totals.newEntries += result?.newEntries || 0;
+          totals.totalItems += result?.totalItems || 0;
+          totals.feeds.push({ id: feed.id, name: feed.name, success: true });
+        } catch (error) {
+          console.error(`Error processing RSS feed "${feed.name}":`, error);
+          totals.feeds.push({ id: feed.id, name: feed.name, success: false, error: error.message });
+          lastError = error;
         }
+      }
 
-        const result = await rssProcessor.processFeed(rssUrl);
-        return result;
-      } catch (error) {
-        console.error('Error processing RSS feed:', error);
-        throw error;
+      // Only surface an error when every feed failed
+      if (lastError && totals.feeds.every(f => !f.success)) {
+        throw lastError;
       }
+
+      await this.runBackfill();
+
+      return totals;
+    },
+
+    /**
+     * Search for missing episodes of every backfill-enabled whitelist entry
+     * @param {boolean} force - Ignore the per-entry search interval
+     */
+    async runBackfill(force = false) {
+      const entries = whitelistOperations.getAll().filter(entry => entry.enabled && entry.backfill_enabled);
+
+      for (const entry of entries) {
+        const lastRun = lastBackfillAt.get(entry.id) || 0;
+        if (!force && Date.now() - lastRun < BACKFILL_INTERVAL_MS) {
+          continue;
+        }
+
+        try {
+          await this.backfillEntry(entry.id);
+        } catch (error) {
+          console.error(`Error backfilling "${entry.title}":`, error);
+        }
+      }
+    },
+
+    /**
+     * Search for and queue the missing episodes of a single whitelist entry
+     * @param {number} entryId
+     * @returns {Promise<Object>} - { queued, missing }
+     */
+    async backfillEntry(entryId) {
+      if (!rssProcessor) {
+        throw new Error('RSS processor not initialized');
+      }
+
+      const entry = whitelistOperations.getById(entryId);
+      if (!entry) {
+        throw new Error('Whitelist entry not found');
+      }
+
+      lastBackfillAt.set(entry.id, Date.now());
+
+      // Share the feed queue so backfill and feed checks don't queue the same episode twice
+      const run = feedQueue.then(() => rssProcessor.backfillEntry(entry));
+      feedQueue = run.catch(() => {});
+
+      return run;
+    },
+
+    /**
+     * Get the missing episodes of a whitelist entry
+     * @param {number} entryId
+     * @returns {Object} - { startEpisode, latestEpisode, missing }
+     */
+    getMissingEpisodes(entryId) {
+      if (!rssProcessor) {
+        throw new Error('RSS processor not initialized');
+      }
+
+      const entry = whitelistOperations.getById(entryId);
+      if (!entry) {
+        throw new Error('Whitelist entry not found');
+      }
+
+      return rssProcessor.getMissingEpisodes(entry);
     },
 
     getDownloadManager() {
@@ -0,0 +1,140 @@
+const { configOperations } = require('../lib/database');
+
+// How often the weekly schedule is re-evaluated
+const SCHEDULE_CHECK_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Parse the weekly alternative speed schedule
+ * @param {string} value - JSON array of 7 days (Sunday first) with 24 hourly flags each
+ * @returns {Array<Array<boolean>>}
+ */
+function parseSchedule(value) {
+  const schedule = Array.from({ length: 7 }, () => Array(24).fill(false));
+
+  try {
+    const parsed = JSON.parse(value || '[]');
+    for (let day = 0; day < 7; day++) {
+      for (let hour = 0; hour < 24; hour++) {
+        schedule[day][hour] = Boolean(parsed?.[day]?.[hour]);
+      }
+    }
+  } catch (error) {
+    console.error('Invalid alternative speed schedule, ignoring it:', error.message);
+  }
+
+  return schedule;
+}
+
+/**
+ * Convert a KiB/s setting to the bytes/s rate WebTorrent expects (-1 = unlimited)
+ * @param {string} key - Config key
+ * @returns {number}
+ */
+function readLimit(key) {
+  const kibPerSecond = parseFloat(configOperations.get(key) || '0');
+  return kibPerSecond > 0 ? Math.round(kibPerSecond * 1024) : -1;
+}
+
+/**
+ * Bandwidth Scheduler Service
+ * Applies the normal or alternative ("turtle") speed limits to the download manager
+ */
+function createBandwidthScheduler(downloadManager, onChange = null) {
+  let checkInterval = null;
+  let currentStatus = null;
+
+  const scheduler = {
+    /**
+     * Apply the current limits and start evaluating the schedule
+     */
+    start() {
+      this.apply();
+
+      if (checkInterval) {
+        clearInterval(checkInterval);
+      }
+      checkInterval = setInterval(() => this.apply(), SCHEDULE_CHECK_INTERVAL_MS);
+    },
+
+    stop() {
+      if (checkInterval) {
+        clearInterval(checkInterval);
+        checkInterval = null;
+      }
+    },
+
+    /**
+     * Work out which limits apply right now
+     * @param {Date} now
+     * @returns {Object} - { mode, turtleMode, scheduleActive, downloadLimit, uploadLimit }
+     */
+    evaluate(now = new Date()) {
+      const turtleMode = configOperations.get('turtle_mode') === 'true';
+      const scheduleEnabled = configOperations.get('alt_speed_schedule_enabled') === 'true';
+      const schedule = parseSchedule(configOperations.get('alt_speed_schedule'));
+      const scheduleActive = scheduleEnabled && schedule[now.getDay()][now.getHours()];
+
+      let mode = 'normal';
+      if (turtleMode) {
+        mode = 'turtle';
+      } else if (scheduleActive) {
+        mode = 'scheduled';
+      }
+
+      const prefix = mode === 'normal' ? '' : 'alt_';
+      return {
+        mode,
+        turtleMode,
+        scheduleActive,
+        downloadLimit: readLimit(`${prefix}download_limit_kbps`),
+        uploadLimit: readLimit(`${prefix}upload_limit_kbps`)
+      };
+    },
+
+    /**
+     * Push the current limits to the download manager when they changed
+     * @returns {Object} - Current status
+     */
+    apply() {
+      const status = this.evaluate();
+      const changed = !currentStatus ||
+        currentStatus.mode !== status.mode ||
+        currentStatus.downloadLimit !== status.downloadLimit ||
+        currentStatus.uploadLimit !== status.uploadLimit;
+
+      currentStatus = status;
+
+      if (changed) {
+        downloadManager.setSpeedLimits({
+          downloadLimit: status.downloadLimit,
+          uploadLimit: status.uploadLimit
+        });
+        console.log(`🐢 Bandwidth mode: ${status.mode} (down: ${status.downloadLimit > 0 ? `${Math.round(status.downloadLimit / 1024)} KiB/s` : 'unlimited'}, up: ${status.uploadLimit > 0 ? `${Math.round(status.uploadLimit / 1024)} KiB/s` : 'unlimited'})`);
+
+        if (onChange) {
+          onChange(status);
+        }
+      }
+
+      return status;
+    },
+
+    /**
+     * Force the alternative limits on or off regardless of the schedule
+     * @param {boolean} enabled
+     * @returns {Object} - Current status
+     */
+    setTurtleMode(enabled) {
+      configOperations.set('turtle_mode', enabled ? 'true' : 'false');
+      return this.apply();
+    },
+
+    getStatus() {
+      return currentStatus || this.evaluate();
+    }
+  };
+
+  return scheduler;
+}
+
+module.exports = { createBandwidthScheduler, parseSchedule };
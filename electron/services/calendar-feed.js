@@ -0,0 +1,277 @@
+const http = require('http');
+const crypto = require('crypto');
+const { configOperations, airingScheduleOperations } = require('../lib/database');
+const { sendJson, keysMatch, parseRequestUrl } = require('./api-server');
+const { getLanUrls } = require('./web-ui-server');
+
+// Calendar apps on other devices subscribe to the feed, so it listens on the LAN
+const CALENDAR_HOST = '0.0.0.0';
+const DEFAULT_CALENDAR_PORT = 8688;
+// Episodes are shown for 30 minutes, AniList doesn't store a per-episode runtime here
+const EPISODE_DURATION = 'PT30M';
+const CALENDAR_PAST_DAYS = 7;
+const CALENDAR_FUTURE_DAYS = 30;
+
+const STATUS_DESCRIPTIONS = {
+  found: 'Downloaded',
+  overdue: 'Overdue: aired but not downloaded yet',
+  skipped: 'Aired before the anime was added to the whitelist'
+};
+
+/**
+ * Escape a value for an iCalendar TEXT property
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeText(value) {
+  return String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line into chunks of at most 75 octets, as RFC 5545 requires
+ * @param {string} line
+ * @returns {string}
+ */
+function foldLine(line) {
+  const chunks = [];
+  let current = '';
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards their length
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (currentBytes + charBytes > limit) {
+      chunks.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  chunks.push(current);
+
+  return chunks.join('\r\n ');
+}
+
+/**
+ * Format a unix timestamp as an iCalendar UTC date-time
+ * @param {number} seconds
+ * @returns {string} - e.g. "20240105T153000Z"
+ */
+function formatDateTime(seconds) {
+  return new Date(seconds * 1000).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function generateToken() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+/**
+ * Airing Calendar Feed
+ * Renders the airing schedule of enabled whitelist entries as an iCalendar (.ics) file,
+ * and optionally serves it over HTTP so calendar apps can subscribe to it.
+ * Calendar apps can't log in, so the feed URL contains a secret token instead.
+ * @param {Object} activityLogger
+ */
+function createCalendarFeed(activityLogger = null) {
+  let server = null;
+  let runningPort = null;
+  let lastError = null;
+
+  const calendarFeed = {
+    /**
+     * Build the calendar
+     * @param {number} now - Unix timestamp in seconds
+     * @returns {string} - iCalendar document
+     */
+    generate(now = Math.floor(Date.now() / 1000)) {
+      const episodes = airingScheduleOperations
+        .getRange(now - CALENDAR_PAST_DAYS * 24 * 60 * 60, now + CALENDAR_FUTURE_DAYS * 24 * 60 * 60)
+        .filter(episode => episode.whitelist_entry_id && episode.whitelist_enabled);
+
+      const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//MoeDownloader//Airing Schedule//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        'X-WR-CALNAME:MoeDownloader Airing Schedule',
+        'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+        'X-PUBLISHED-TTL:PT1H'
+      ];
+
+      for (const episode of episodes) {
+        const title = episode.whitelist_title || episode.title_romaji || episode.title_english;
+        const episodeLabel = episode.total_episodes ? `${episode.episode}/${episode.total_episodes}` : episode.episode;
+
+        let status = STATUS_DESCRIPTIONS[episode.status];
+        if (!status) {
+          status = episode.airing_at <= now ? 'Aired, waiting for a release' : 'Not aired yet';
+        }
+
+        const description = [
+          `Episode ${episodeLabel}`,
+          `Download status: ${status}`,
+          `https://anilist.co/anime/${episode.anilist_id}`
+        ].join('\n');
+
+        lines.push(
+          'BEGIN:VEVENT',
+          `UID:moedownloader-${episode.anilist_id}-${episode.episode}@moedownloader`,
+          `DTSTAMP:${formatDateTime(now)}`,
+          `DTSTART:${formatDateTime(episode.airing_at)}`,
+          `DURATION:${EPISODE_DURATION}`,
+          `SUMMARY:${escapeText(`${title} - Episode ${episode.episode}`)}`,
+          `DESCRIPTION:${escapeText(description)}`,
+          `URL:https://anilist.co/anime/${episode.anilist_id}`,
+          'TRANSP:TRANSPARENT',
+          'END:VEVENT'
+        );
+      }
+
+      lines.push('END:VCALENDAR');
+      return lines.map(foldLine).join('\r\n') + '\r\n';
+    },
+
+    getSettings() {
+      return {
+        enabled: configOperations.get('calendar_feed_enabled') === 'true',
+        port: parseInt(configOperations.get('calendar_feed_port')) || DEFAULT_CALENDAR_PORT,
+        token: configOperations.get('calendar_feed_token') || ''
+      };
+    },
+
+    /**
+     * Start, restart or stop the server so it matches the current settings
+     */
+    async apply() {
+      const settings = this.getSettings();
+
+      if (!settings.enabled) {
+        await this.stop();
+        return this.getStatus();
+      }
+
+      if (!settings.token) {
+        this.regenerateToken();
+      }
+
+      if (server && runningPort === settings.port) {
+        return this.getStatus();
+      }
+
+      await this.stop();
+      await this.start(settings.port);
+      return this.getStatus();
+    },
+
+    start(port) {
+      return new Promise((resolve) => {
+        lastError = null;
+        const instance = http.createServer((req, res) => this.handleRequest(req, res));
+
+        instance.once('error', (error) => {
+          lastError = error.code === 'EADDRINUSE' ? `Port ${port} is already in use` : error.message;
+          console.error(`❌ Calendar feed failed to start: ${lastError}`);
+          server = null;
+          runningPort = null;
+          resolve(false);
+        });
+
+        instance.listen(port, CALENDAR_HOST, () => {
+          server = instance;
+          runningPort = port;
+          console.log(`📅 Calendar feed listening on port ${port}`);
+          resolve(true);
+        });
+      });
+    },
+
+    stop() {
+      return new Promise((resolve) => {
+        if (!server) {
+          resolve();
+          return;
+        }
+
+        const instance = server;
+        server = null;
+        runningPort = null;
+        instance.close(() => {
+          console.log('📅 Calendar feed stopped');
+          resolve();
+        });
+        if (instance.closeAllConnections) {
+          instance.closeAllConnections();
+        }
+      });
+    },
+
+    /**
+     * Replace the feed token; subscribed calendars have to be updated
+     * @returns {string} - The new token
+     */
+    regenerateToken() {
+      const token = generateToken();
+      configOperations.set('calendar_feed_token', token);
+      return token;
+    },
+
+    getStatus() {
+      const settings = this.getSettings();
+      const port = runningPort || settings.port;
+      return {
+        enabled: settings.enabled,
+        running: Boolean(server),
+        port,
+        urls: settings.token ? getLanUrls(port).map(url => `${url}calendar/${settings.token}.ics`) : [],
+        error: lastError
+      };
+    },
+
+    handleRequest(req, res) {
+      const url = parseRequestUrl(req);
+      if (!url) {
+        sendJson(res, 400, { error: 'Bad request' });
+        return;
+      }
+
+      try {
+        const match = url.pathname.match(/^\/calendar\/([^/]+)\.ics$/);
+        if (req.method !== 'GET' || !match) {
+          sendJson(res, 404, { error: 'Not found' });
+          return;
+        }
+
+        if (!keysMatch(match[1], this.getSettings().token)) {
+          sendJson(res, 401, { error: 'Invalid calendar token' });
+          return;
+        }
+
+        res.writeHead(200, {
+          'Content-Type': 'text/calendar; charset=utf-8',
+          'Content-Disposition': 'inline; filename="moedownloader.ics"',
+          'Cache-Control': 'no-cache'
+        });
+        res.end(this.generate());
+      } catch (error) {
+        console.error('❌ Calendar feed request failed:', error.message);
+
+        if (activityLogger) {
+          activityLogger.log('error', 'Calendar Feed Request Failed', error.message);
+        }
+
+        sendJson(res, 500, { error: error.message || 'Internal error' });
+      }
+    }
+  };
+
+  return calendarFeed;
+}
+
+module.exports = { createCalendarFeed };
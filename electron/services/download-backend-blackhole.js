@@ -0,0 +1,232 @@
+const fs = require('fs');
+const { join, basename } = require('path');
+const { createHttpClient } = require('../lib/http-client');
+const { sanitizeValue } = require('../lib/rename-template');
+const {
+  parseInfoHash,
+  getLinkTag,
+  createTorrentHandle,
+  updateTorrentHandle
+} = require('./download-backend');
+
+// Walking the completed folder is comparatively expensive, so it is scanned less often than clients are polled
+const SCAN_INTERVAL_MS = 30000;
+const MAX_SCAN_DEPTH = 4;
+
+const VIDEO_EXTENSIONS = /\.(mkv|mp4|avi|webm|m4v|ts)$/i;
+
+/**
+ * Normalize a release or file name so "[Group] Show - 01 (1080p).mkv" matches "[Group] Show - 01 (1080p)"
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeReleaseName(name) {
+  return (name || '')
+    .toLowerCase()
+    .replace(VIDEO_EXTENSIONS, '')
+    .replace(/[_.]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Blackhole Download Backend
+ * Drops .torrent / .magnet files into a watch folder for another program and waits for the
+ * finished release to show up in the completed folder
+ * @param {Object} options - { directory, completedDirectory }
+ */
+function createBlackholeBackend(options = {}) {
+  const http = createHttpClient({ timeout: 30000 });
+  const tracked = new Map(); // info hash or link tag -> handle
+  let lastError = null;
+  let scanTimer = null;
+
+  const backend = {
+    name: 'blackhole',
+    label: 'Blackhole folder',
+    persistsTorrents: true,
+    canSeed: false,
+    // The program watching the folder runs its own queue
+    queuesDownloads: true,
+
+    async initialize() {
+      if (!options.directory) {
+        throw new Error('No blackhole folder configured');
+      }
+      fs.mkdirSync(options.directory, { recursive: true });
+
+      lastError = null;
+      if (scanTimer) clearInterval(scanTimer);
+      scanTimer = setInterval(() => this.scan(), SCAN_INTERVAL_MS);
+      console.log(`🕳️ Blackhole mode: writing torrents to ${options.directory}, watching ${options.completedDirectory} for finished files`);
+    },
+
+    /**
+     * Path of the file handed to the watching program
+     * @param {string} torrentLink
+     * @param {string} title - Release title, used as the file name
+     */
+    getDropPath(torrentLink, title) {
+      const extension = torrentLink.startsWith('magnet:') ? '.magnet' : '.torrent';
+      const name = sanitizeValue((title || '').replace(VIDEO_EXTENSIONS, '')) || getLinkTag(torrentLink);
+      return join(options.directory, `${name}${extension}`);
+    },
+
+    /**
+     * Look for finished releases of the tracked torrents in the completed folder.
+     * A file or folder only counts once its size stopped changing between two scans.
+     */
+    scan() {
+      if (tracked.size === 0) return;
+
+      const waiting = new Map();
+      for (const torrent of tracked.values()) {
+        if (!torrent.done && !torrent.paused && torrent.expectedName) {
+          waiting.set(torrent.expectedName, torrent);
+        }
+      }
+
+      try {
+        this.walk(options.completedDirectory, 0, (path, stats) => {
+          const torrent = waiting.get(normalizeReleaseName(basename(path)));
+          if (!torrent) return;
+
+          // Multi-file releases are folders the other program may still be writing into
+          const size = stats.isDirectory() ? this.getDirectorySize(path) : stats.size;
+          if (size === 0 || torrent.lastSeenSize !== size) {
+            torrent.lastSeenSize = size;
+            return;
+          }
+
+          torrent.path = join(path, '..');
+          updateTorrentHandle(torrent, {
+            name: basename(path),
+            length: size || 1,
+            progress: 1,
+            downloaded: size
+          });
+          tracked.delete(torrent.infoHash);
+          console.log(`🕳️ Blackhole: found finished release ${path}`);
+        });
+        lastError = null;
+      } catch (error) {
+        if (lastError !== error.message) {
+          console.error('❌ Blackhole scan failed:', error.message);
+        }
+        lastError = error.message;
+      }
+    },
+
+    /**
+     * Total size of the files in a folder and its subfolders
+     * @param {string} directory
+     * @returns {number} - Bytes
+     */
+    getDirectorySize(directory) {
+      let size = 0;
+      for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+        const path = join(directory, entry.name);
+        const stats = fs.statSync(path, { throwIfNoEntry: false });
+        if (!stats) continue;
+
+        size += stats.isDirectory() ? this.getDirectorySize(path) : stats.size;
+      }
+      return size;
+    },
+
+    walk(directory, depth, visit) {
+      if (!directory || !fs.existsSync(directory)) {
+        throw new Error(`Completed folder ${directory || '(not set)'} does not exist`);
+      }
+
+      for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+        const path = join(directory, entry.name);
+        const stats = fs.statSync(path, { throwIfNoEntry: false });
+        if (!stats) continue;
+
+        visit(path, stats);
+        if (stats.isDirectory() && depth < MAX_SCAN_DEPTH) {
+          this.walk(path, depth + 1, visit);
+        }
+      }
+    },
+
+    async find(torrentLink) {
+      return tracked.get(parseInfoHash(torrentLink) || getLinkTag(torrentLink)) || null;
+    },
+
+    async list() {
+      return [...tracked.values()];
+    },
+
+    /**
+     * Hand a torrent to the watching program. Programs that already consumed the file
+     * ignore the duplicate when it is dropped again after a restart.
+     */
+    async add(torrentLink, { title } = {}) {
+      const key = parseInfoHash(torrentLink) || getLinkTag(torrentLink);
+      const dropPath = this.getDropPath(torrentLink, title);
+
+      if (!fs.existsSync(dropPath)) {
+        if (torrentLink.startsWith('magnet:')) {
+          fs.writeFileSync(dropPath, torrentLink);
+        } else {
+          const response = await http.get(torrentLink, { responseType: 'arraybuffer' });
+          fs.writeFileSync(dropPath, Buffer.from(response.data));
+        }
+        console.log(`🕳️ Blackhole: wrote ${dropPath}`);
+      }
+
+      const torrent = tracked.get(key) || createTorrentHandle(key);
+      Object.assign(torrent, {
+        name: title || basename(dropPath),
+        linkTag: getLinkTag(torrentLink),
+        expectedName: normalizeReleaseName(title || new URLSearchParams(torrentLink.split('?')[1] || '').get('dn')),
+        dropPath,
+        paused: false,
+        done: false
+      });
+      tracked.set(key, torrent);
+
+      // The release may already be there, e.g. when it finished while the app was closed
+      setImmediate(() => this.scan());
+      return torrent;
+    },
+
+    async pause(torrent) {
+      await this.remove(torrent);
+      torrent.paused = true;
+    },
+
+    /**
+     * Forget a torrent and take its file back if it wasn't picked up yet.
+     * Files of the watching program are never deleted.
+     */
+    async remove(torrent) {
+      tracked.delete(torrent.infoHash);
+      if (torrent.dropPath && fs.existsSync(torrent.dropPath)) {
+        fs.rmSync(torrent.dropPath, { force: true });
+      }
+    },
+
+    setSpeedLimits() {
+      // Limits are up to the program watching the folder
+    },
+
+    getStatus() {
+      return { ready: !lastError, port: null, dhtNodes: 0, version: null, error: lastError };
+    },
+
+    async destroy() {
+      if (scanTimer) {
+        clearInterval(scanTimer);
+        scanTimer = null;
+      }
+      tracked.clear();
+    }
+  };
+
+  return backend;
+}
+
+module.exports = { createBlackholeBackend, normalizeReleaseName };
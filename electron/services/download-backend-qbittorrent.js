@@ -0,0 +1,285 @@
+const { createHttpClient } = require('../lib/http-client');
+const {
+  MANAGED_LABEL,
+  POLL_INTERVAL_MS,
+  parseInfoHash,
+  getLinkTag,
+  createTorrentHandle,
+  updateTorrentHandle
+} = require('./download-backend');
+
+// qBittorrent states of finished torrents end with "UP" (uploading, stalledUP, pausedUP, ...)
+const ERROR_STATES = ['error', 'missingFiles'];
+const PAUSED_STATES = ['pausedDL', 'stoppedDL'];
+
+/**
+ * Convert a torrents/info entry to handle statistics
+ * @param {Object} info
+ * @returns {Object}
+ */
+function toStats(info) {
+  return {
+    name: info.name,
+    length: info.size || info.total_size || 0,
+    progress: info.progress || 0,
+    downloadSpeed: info.dlspeed || 0,
+    uploadSpeed: info.upspeed || 0,
+    downloaded: info.downloaded || 0,
+    uploaded: info.uploaded || 0,
+    numPeers: (info.num_seeds || 0) + (info.num_leechs || 0),
+    linkTag: (info.tags || '').split(',').map(tag => tag.trim()).find(tag => tag.startsWith('moe-')) || null,
+    paused: PAUSED_STATES.includes(info.state),
+    error: ERROR_STATES.includes(info.state) ? `qBittorrent reports "${info.state}"` : null
+  };
+}
+
+/**
+ * qBittorrent Download Backend
+ * Talks to the qBittorrent Web API (v2); torrents are tagged with the "MoeDownloader" category
+ * @param {Object} options - { url, username, password }
+ */
+function createQBittorrentBackend(options = {}) {
+  const baseUrl = (options.url || 'http://localhost:8080').replace(/\/+$/, '');
+  const http = createHttpClient({ timeout: 15000, headers: { Referer: baseUrl } });
+  const tracked = new Map(); // info hash -> handle
+  let cookie = null;
+  let version = null;
+  let lastError = null;
+  let pollTimer = null;
+  // The client's own limits from before MoeDownloader changed them, null while they're untouched
+  let clientLimits = null;
+  let limitsUpdate = Promise.resolve();
+
+  const backend = {
+    name: 'qbittorrent',
+    label: 'qBittorrent',
+    persistsTorrents: true,
+    canSeed: true,
+    queuesDownloads: false,
+
+    async login() {
+      const response = await http.post(`${baseUrl}/api/v2/auth/login`,
+        new URLSearchParams({ username: options.username || '', password: options.password || '' }).toString(),
+        { headers: { 'Content-Type': 'application/x-www-form-urlencoded' } });
+
+      if (String(response.data).trim() !== 'Ok.') {
+        throw new Error('qBittorrent login failed, check the username and password');
+      }
+
+      const setCookie = [].concat(response.headers['set-cookie'] || []);
+      cookie = setCookie.map(value => value.split(';')[0]).find(value => value.startsWith('SID=')) || null;
+    },
+
+    /**
+     * Call the Web API, logging in again when the session expired
+     * @param {string} method - 'get' or 'post'
+     * @param {string} path - e.g. "/torrents/info"
+     * @param {Object} params - Query (get) or form (post) parameters
+     */
+    async request(method, path, params = {}, retry = true) {
+      const url = `${baseUrl}/api/v2${path}`;
+      const headers = cookie ? { Cookie: cookie } : {};
+
+      try {
+        const response = method === 'get'
+          ? await http.get(url, { params, headers })
+          : await http.post(url, new URLSearchParams(params).toString(), {
+            headers: { ...headers, 'Content-Type': 'application/x-www-form-urlencoded' }
+          });
+        return response.data;
+      } catch (error) {
+        if (retry && error.response?.status === 403) {
+          await this.login();
+          return this.request(method, path, params, false);
+        }
+        throw error;
+      }
+    },
+
+    /**
+     * qBittorrent 5 renamed pause/resume to stop/start
+     */
+    async requestWithFallback(paths, params) {
+      for (const [index, path] of paths.entries()) {
+        try {
+          return await this.request('post', path, params);
+        } catch (error) {
+          if (error.response?.status !== 404 || index === paths.length - 1) throw error;
+        }
+      }
+    },
+
+    async initialize() {
+      await this.login();
+      version = await this.request('get', '/app/version');
+      lastError = null;
+      this.startPolling();
+      console.log(`🔌 Connected to qBittorrent ${version} at ${baseUrl}`);
+    },
+
+    startPolling() {
+      if (pollTimer) clearInterval(pollTimer);
+      pollTimer = setInterval(() => this.poll(), POLL_INTERVAL_MS);
+    },
+
+    async poll() {
+      if (tracked.size === 0) return;
+
+      try {
+        const infos = await this.request('get', '/torrents/info', { hashes: [...tracked.keys()].join('|') });
+        lastError = null;
+
+        for (const info of infos) {
+          const torrent = tracked.get(info.hash);
+          if (torrent) {
+            updateTorrentHandle(torrent, toStats(info));
+            if (torrent.errored) tracked.delete(info.hash);
+          }
+        }
+      } catch (error) {
+        if (lastError !== error.message) {
+          console.error('❌ qBittorrent poll failed:', error.message);
+        }
+        lastError = error.message;
+      }
+    },
+
+    /**
+     * Look a torrent up by its magnet hash or, for .torrent URLs, by the tag we added it with
+     * @returns {Object|null} - torrents/info entry
+     */
+    async findInfo(torrentLink) {
+      const hash = parseInfoHash(torrentLink);
+      const infos = hash
+        ? await this.request('get', '/torrents/info', { hashes: hash })
+        : await this.request('get', '/torrents/info', { tag: getLinkTag(torrentLink) });
+      return infos[0] || null;
+    },
+
+    track(info) {
+      const torrent = tracked.get(info.hash) || createTorrentHandle(info.hash);
+      tracked.set(info.hash, torrent);
+      const { error, ...stats } = toStats(info);
+      Object.assign(torrent, stats);
+      return torrent;
+    },
+
+    async find(torrentLink) {
+      const info = await this.findInfo(torrentLink);
+      return info ? this.track(info) : null;
+    },
+
+    async list() {
+      const infos = await this.request('get', '/torrents/info', { category: MANAGED_LABEL });
+      return infos.map(info => this.track(info));
+    },
+
+    async add(torrentLink, { path }) {
+      const existing = await this.findInfo(torrentLink);
+
+      if (existing && !ERROR_STATES.includes(existing.state)) {
+        // Paused earlier or left over from the last session, continue where it stopped
+        await this.requestWithFallback(['/torrents/resume', '/torrents/start'], { hashes: existing.hash });
+        const torrent = this.track(existing);
+        torrent.paused = false;
+        torrent.done = false;
+        return torrent;
+      }
+
+      if (existing) {
+        await this.request('post', '/torrents/delete', { hashes: existing.hash, deleteFiles: 'false' });
+        tracked.delete(existing.hash);
+      }
+
+      const result = await this.request('post', '/torrents/add', {
+        urls: torrentLink,
+        savepath: path,
+        category: MANAGED_LABEL,
+        tags: getLinkTag(torrentLink)
+      });
+      if (String(result).trim() === 'Fails.') {
+        throw new Error('qBittorrent rejected the torrent');
+      }
+
+      // Torrents added from a URL show up once qBittorrent fetched the file
+      for (let attempt = 0; attempt < 20; attempt++) {
+        const info = await this.findInfo(torrentLink);
+        if (info) {
+          return this.track(info);
+        }
+        await new Promise(resolve => setTimeout(resolve, 500));
+      }
+
+      throw new Error('Torrent did not appear in qBittorrent');
+    },
+
+    async pause(torrent) {
+      await this.requestWithFallback(['/torrents/pause', '/torrents/stop'], { hashes: torrent.infoHash });
+      torrent.paused = true;
+      tracked.delete(torrent.infoHash);
+    },
+
+    async remove(torrent, { deleteFiles = false } = {}) {
+      await this.request('post', '/torrents/delete', { hashes: torrent.infoHash, deleteFiles: String(deleteFiles) });
+      tracked.delete(torrent.infoHash);
+    },
+
+    /**
+     * Only limits set in MoeDownloader are pushed; without any, qBittorrent keeps its own
+     * and gets them back once MoeDownloader stops limiting
+     */
+    setSpeedLimits(limits) {
+      limitsUpdate = limitsUpdate
+        .then(() => this.applySpeedLimits(limits))
+        .catch(error => console.error('❌ Failed to set qBittorrent speed limits:', error.message));
+      return limitsUpdate;
+    },
+
+    async applySpeedLimits(limits) {
+      const limiting = limits.downloadLimit > 0 || limits.uploadLimit > 0;
+      if (!limiting && !clientLimits) {
+        return;
+      }
+
+      if (!clientLimits) {
+        const [download, upload] = await Promise.all([
+          this.request('get', '/transfer/downloadLimit'),
+          this.request('get', '/transfer/uploadLimit')
+        ]);
+        clientLimits = { downloadLimit: Number(download) || 0, uploadLimit: Number(upload) || 0 };
+      }
+
+      // qBittorrent uses 0 for unlimited
+      const target = {
+        downloadLimit: limits.downloadLimit > 0 ? limits.downloadLimit : clientLimits.downloadLimit,
+        uploadLimit: limits.uploadLimit > 0 ? limits.uploadLimit : clientLimits.uploadLimit
+      };
+      await Promise.all([
+        this.request('post', '/transfer/setDownloadLimit', { limit: String(target.downloadLimit) }),
+        this.request('post', '/transfer/setUploadLimit', { limit: String(target.uploadLimit) })
+      ]);
+
+      if (!limiting) {
+        clientLimits = null;
+      }
+    },
+
+    getStatus() {
+      return { ready: Boolean(version) && !lastError, port: null, dhtNodes: 0, version, error: lastError };
+    },
+
+    async destroy() {
+      if (pollTimer) {
+        clearInterval(pollTimer);
+        pollTimer = null;
+      }
+      // Hand the client back with its own limits
+      await this.setSpeedLimits({ downloadLimit: -1, uploadLimit: -1 });
+      tracked.clear();
+    }
+  };
+
+  return backend;
+}
+
+module.exports = { createQBittorrentBackend };
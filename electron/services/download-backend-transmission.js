@@ -0,0 +1,274 @@
+const { createHttpClient } = require('../lib/http-client');
+const {
+  MANAGED_LABEL,
+  POLL_INTERVAL_MS,
+  parseInfoHash,
+  getLinkTag,
+  createTorrentHandle,
+  updateTorrentHandle
+} = require('./download-backend');
+
+const TORRENT_FIELDS = [
+  'hashString', 'name', 'totalSize', 'percentDone', 'rateDownload', 'rateUpload',
+  'downloadedEver', 'uploadedEver', 'peersConnected', 'status', 'error', 'errorString', 'labels'
+];
+
+// torrent.status values
+const STATUS_STOPPED = 0;
+
+// torrent-add accepts labels since RPC version 17 (Transmission 4.0); older versions drop them silently
+const MIN_RPC_VERSION = 17;
+
+const SPEED_LIMIT_FIELDS = ['speed-limit-down-enabled', 'speed-limit-down', 'speed-limit-up-enabled', 'speed-limit-up'];
+
+/**
+ * Convert a torrent-get entry to handle statistics
+ * @param {Object} info
+ * @returns {Object}
+ */
+function toStats(info) {
+  return {
+    name: info.name,
+    length: info.totalSize || 0,
+    progress: info.percentDone || 0,
+    downloadSpeed: info.rateDownload || 0,
+    uploadSpeed: info.rateUpload || 0,
+    downloaded: info.downloadedEver || 0,
+    uploaded: info.uploadedEver || 0,
+    numPeers: info.peersConnected || 0,
+    linkTag: (info.labels || []).find(label => label.startsWith('moe-')) || null,
+    paused: info.status === STATUS_STOPPED && (info.percentDone || 0) < 1,
+    // 1 and 2 are tracker warnings/errors, 3 is a local (disk) error
+    error: info.error === 3 ? info.errorString || 'Transmission reported a local error' : null
+  };
+}
+
+/**
+ * Transmission Download Backend
+ * Talks to the Transmission RPC; torrents are labelled "MoeDownloader" (needs Transmission 4.0+)
+ * @param {Object} options - { url, username, password }
+ */
+function createTransmissionBackend(options = {}) {
+  const rpcUrl = options.url || 'http://localhost:9091/transmission/rpc';
+  const http = createHttpClient({ timeout: 15000 });
+  const auth = options.username ? { username: options.username, password: options.password || '' } : undefined;
+  const tracked = new Map(); // info hash -> handle
+  let sessionId = null;
+  let version = null;
+  let lastError = null;
+  let pollTimer = null;
+  // The client's own limits from before MoeDownloader changed them, null while they're untouched
+  let clientLimits = null;
+  let limitsUpdate = Promise.resolve();
+
+  const backend = {
+    name: 'transmission',
+    label: 'Transmission',
+    persistsTorrents: true,
+    canSeed: true,
+    queuesDownloads: false,
+
+    /**
+     * Call an RPC method, repeating it once with a fresh X-Transmission-Session-Id when asked to
+     * @param {string} method - e.g. "torrent-get"
+     * @param {Object} args
+     * @returns {Object} - The response arguments
+     */
+    async rpc(method, args = {}, retry = true) {
+      try {
+        const response = await http.post(rpcUrl, { method, arguments: args }, {
+          auth,
+          headers: sessionId ? { 'X-Transmission-Session-Id': sessionId } : {}
+        });
+
+        if (response.data.result !== 'success') {
+          throw new Error(`Transmission ${method} failed: ${response.data.result}`);
+        }
+        return response.data.arguments || {};
+      } catch (error) {
+        if (retry && error.response?.status === 409) {
+          sessionId = error.response.headers['x-transmission-session-id'];
+          return this.rpc(method, args, false);
+        }
+        if (error.response?.status === 401) {
+          throw new Error('Transmission login failed, check the username and password');
+        }
+        throw error;
+      }
+    },
+
+    async initialize() {
+      const session = await this.rpc('session-get', { fields: ['version', 'rpc-version'] });
+      if (!(session['rpc-version'] >= MIN_RPC_VERSION)) {
+        throw new Error(`Transmission ${session.version || '(unknown version)'} is too old, MoeDownloader needs Transmission 4.0 or newer to label its torrents`);
+      }
+      version = session.version || 'unknown';
+      lastError = null;
+      this.startPolling();
+      console.log(`🔌 Connected to Transmission ${version} at ${rpcUrl}`);
+    },
+
+    startPolling() {
+      if (pollTimer) clearInterval(pollTimer);
+      pollTimer = setInterval(() => this.poll(), POLL_INTERVAL_MS);
+    },
+
+    async poll() {
+      if (tracked.size === 0) return;
+
+      try {
+        const { torrents = [] } = await this.rpc('torrent-get', { ids: [...tracked.keys()], fields: TORRENT_FIELDS });
+        lastError = null;
+
+        for (const info of torrents) {
+          const torrent = tracked.get(info.hashString);
+          if (torrent) {
+            updateTorrentHandle(torrent, toStats(info));
+            if (torrent.errored) tracked.delete(info.hashString);
+          }
+        }
+      } catch (error) {
+        if (lastError !== error.message) {
+          console.error('❌ Transmission poll failed:', error.message);
+        }
+        lastError = error.message;
+      }
+    },
+
+    /**
+     * Look a torrent up by its magnet hash or, for .torrent URLs, by the label we added it with
+     * @returns {Object|null} - torrent-get entry
+     */
+    async findInfo(torrentLink) {
+      const hash = parseInfoHash(torrentLink);
+      if (hash) {
+        const { torrents = [] } = await this.rpc('torrent-get', { ids: [hash], fields: TORRENT_FIELDS });
+        return torrents[0] || null;
+      }
+
+      const tag = getLinkTag(torrentLink);
+      const { torrents = [] } = await this.rpc('torrent-get', { fields: TORRENT_FIELDS });
+      return torrents.find(info => (info.labels || []).includes(tag)) || null;
+    },
+
+    track(info) {
+      const torrent = tracked.get(info.hashString) || createTorrentHandle(info.hashString);
+      tracked.set(info.hashString, torrent);
+      const { error, ...stats } = toStats(info);
+      Object.assign(torrent, stats);
+      return torrent;
+    },
+
+    async find(torrentLink) {
+      const info = await this.findInfo(torrentLink);
+      return info ? this.track(info) : null;
+    },
+
+    async list() {
+      const { torrents = [] } = await this.rpc('torrent-get', { fields: TORRENT_FIELDS });
+      return torrents
+        .filter(info => (info.labels || []).includes(MANAGED_LABEL))
+        .map(info => this.track(info));
+    },
+
+    async add(torrentLink, { path }) {
+      const existing = await this.findInfo(torrentLink);
+
+      if (existing && existing.error !== 3) {
+        // Paused earlier or left over from the last session, continue where it stopped
+        await this.rpc('torrent-start', { ids: [existing.hashString] });
+        const torrent = this.track(existing);
+        torrent.paused = false;
+        torrent.done = false;
+        return torrent;
+      }
+
+      if (existing) {
+        await this.rpc('torrent-remove', { ids: [existing.hashString], 'delete-local-data': false });
+        tracked.delete(existing.hashString);
+      }
+
+      const result = await this.rpc('torrent-add', {
+        filename: torrentLink,
+        'download-dir': path,
+        labels: [MANAGED_LABEL, getLinkTag(torrentLink)],
+        paused: false
+      });
+
+      const added = result['torrent-added'] || result['torrent-duplicate'];
+      if (!added) {
+        throw new Error('Transmission rejected the torrent');
+      }
+
+      return this.track(added);
+    },
+
+    async pause(torrent) {
+      await this.rpc('torrent-stop', { ids: [torrent.infoHash] });
+      torrent.paused = true;
+      tracked.delete(torrent.infoHash);
+    },
+
+    async remove(torrent, { deleteFiles = false } = {}) {
+      await this.rpc('torrent-remove', { ids: [torrent.infoHash], 'delete-local-data': deleteFiles });
+      tracked.delete(torrent.infoHash);
+    },
+
+    /**
+     * Only limits set in MoeDownloader are pushed; without any, Transmission keeps its own
+     * and gets them back once MoeDownloader stops limiting
+     */
+    setSpeedLimits(limits) {
+      limitsUpdate = limitsUpdate
+        .then(() => this.applySpeedLimits(limits))
+        .catch(error => console.error('❌ Failed to set Transmission speed limits:', error.message));
+      return limitsUpdate;
+    },
+
+    async applySpeedLimits(limits) {
+      const limiting = limits.downloadLimit > 0 || limits.uploadLimit > 0;
+      if (!limiting && !clientLimits) {
+        return;
+      }
+
+      if (!clientLimits) {
+        const session = await this.rpc('session-get', { fields: SPEED_LIMIT_FIELDS });
+        clientLimits = Object.fromEntries(SPEED_LIMIT_FIELDS.map(field => [field, session[field]]));
+      }
+
+      // Transmission limits are in KiB/s
+      const settings = { ...clientLimits };
+      if (limits.downloadLimit > 0) {
+        settings['speed-limit-down-enabled'] = true;
+        settings['speed-limit-down'] = Math.max(1, Math.round(limits.downloadLimit / 1024));
+      }
+      if (limits.uploadLimit > 0) {
+        settings['speed-limit-up-enabled'] = true;
+        settings['speed-limit-up'] = Math.max(1, Math.round(limits.uploadLimit / 1024));
+      }
+      await this.rpc('session-set', settings);
+
+      if (!limiting) {
+        clientLimits = null;
+      }
+    },
+
+    getStatus() {
+      return { ready: Boolean(version) && !lastError, port: null, dhtNodes: 0, version, error: lastError };
+    },
+
+    async destroy() {
+      if (pollTimer) {
+        clearInterval(pollTimer);
+        pollTimer = null;
+      }
+      // Hand the client back with its own limits
+      await this.setSpeedLimits({ downloadLimit: -1, uploadLimit: -1 });
+      tracked.clear();
+    }
+  };
+
+  return backend;
+}
+
+module.exports = { createTransmissionBackend };
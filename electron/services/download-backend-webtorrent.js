@@ -0,0 +1,106 @@
+/**
+ * WebTorrent Download Backend
+ * Runs torrents in-process; nothing survives an app restart
+ * @param {Object} options - { clientOptions, speedLimits } passed to the WebTorrent constructor
+ */
+function createWebTorrentBackend(options = {}) {
+  let client = null;
+
+  const backend = {
+    name: 'webtorrent',
+    label: 'WebTorrent',
+    persistsTorrents: false,
+    canSeed: true,
+    queuesDownloads: false,
+
+    async initialize() {
+      // Dynamically import WebTorrent
+      const WebTorrentModule = await import('webtorrent');
+      const WebTorrent = WebTorrentModule.default;
+      const clientOptions = options.clientOptions || {};
+
+      client = new WebTorrent({ ...clientOptions, ...(options.speedLimits || {}) });
+      client.on('error', (error) => {
+        console.error('💥 WebTorrent client error:', error);
+      });
+
+      console.log(`🔌 WebTorrent client created (port: ${clientOptions.torrentPort || 'random'}, DHT: ${clientOptions.dht}, PEX: ${clientOptions.utPex}, LSD: ${clientOptions.lsd})`);
+    },
+
+    async find(torrentLink) {
+      if (!client) return null;
+      return client.torrents.find(t =>
+        t.magnetURI === torrentLink ||
+        (t.torrentFile && t.torrentFile.name && torrentLink.includes(t.torrentFile.name))
+      ) || null;
+    },
+
+    async list() {
+      return client ? [...client.torrents] : [];
+    },
+
+    async add(torrentLink, { path }) {
+      if (!client) {
+        throw new Error('WebTorrent client not initialized');
+      }
+
+      // If torrent already exists, remove it first
+      const existing = await this.find(torrentLink);
+      if (existing) {
+        client.remove(existing, { destroyStore: true });
+      }
+
+      return client.add(torrentLink, { path });
+    },
+
+    /**
+     * WebTorrent can't pause reliably, so the torrent is removed and re-added on resume
+     */
+    async pause(torrent) {
+      await this.remove(torrent, { deleteFiles: false });
+    },
+
+    async remove(torrent, { deleteFiles = false } = {}) {
+      if (client && client.torrents.includes(torrent)) {
+        client.remove(torrent, { destroyStore: deleteFiles });
+      } else if (torrent && !torrent.destroyed) {
+        // Fallback to destroy if not in client
+        torrent.destroy();
+      }
+    },
+
+    setSpeedLimits(limits) {
+      if (client) {
+        client.throttleDownload(limits.downloadLimit);
+        client.throttleUpload(limits.uploadLimit);
+      }
+    },
+
+    getStatus() {
+      if (!client) {
+        return { ready: false, port: null, dhtNodes: 0, version: null, error: null };
+      }
+
+      const address = client.listening ? client.address() : null;
+      return {
+        ready: true,
+        port: address?.port || client.torrentPort || null,
+        dhtNodes: client.dht?.nodes?.count?.() || 0,
+        version: null,
+        error: null
+      };
+    },
+
+    async destroy() {
+      const oldClient = client;
+      client = null;
+      if (oldClient) {
+        await new Promise(resolve => oldClient.destroy(() => resolve()));
+      }
+    }
+  };
+
+  return backend;
+}
+
+module.exports = { createWebTorrentBackend };
@@ -0,0 +1,192 @@
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const { configOperations } = require('../lib/database');
+
+/**
+ * Download backends
+ *
+ * Every backend exposes the same interface to the download manager:
+ *   name, label              - Identifier and display name
+ *   persistsTorrents         - true when torrents outlive the app (external clients)
+ *   canSeed                  - false when finished torrents can't be seeded by MoeDownloader
+ *   queuesDownloads          - true when another program queues downloads, max concurrent doesn't apply
+ *   initialize()             - Connect to / start the client
+ *   add(link, { path, title }) - Start a torrent, reusing or replacing one with the same link
+ *   find(link)               - Torrent handle for a link, or null
+ *   list()                   - Torrents managed by MoeDownloader
+ *   pause(torrent)           - Stop transferring, keep the data
+ *   remove(torrent, { deleteFiles })
+ *   setSpeedLimits({ downloadLimit, uploadLimit }) - bytes/s, -1 = not limited by MoeDownloader
+ *                            (external clients keep their own limits then)
+ *   getStatus()              - { ready, port, dhtNodes, version, error }
+ *   destroy()                - Disconnect; external clients keep their torrents
+ *
+ * Torrent handles look like WebTorrent torrents: infoHash, name, length, progress, downloadSpeed,
+ * uploadSpeed, downloaded, uploaded, numPeers, done, paused, and emit
+ * 'ready', 'download', 'done' and 'error'. External handles also carry the linkTag they were added with,
+ * and a path when the finished files end up somewhere else than the requested one.
+ */
+
+// Category / label that marks torrents added by MoeDownloader in external clients
+const MANAGED_LABEL = 'MoeDownloader';
+
+// How often external clients are polled for progress
+const POLL_INTERVAL_MS = 2000;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Extract the lowercase hex info hash from a magnet link
+ * @param {string} torrentLink
+ * @returns {string|null}
+ */
+function parseInfoHash(torrentLink) {
+  const match = /xt=urn:btih:([a-z0-9]+)/i.exec(torrentLink || '');
+  if (!match) return null;
+
+  const hash = match[1];
+  if (/^[a-f0-9]{40}$/i.test(hash)) {
+    return hash.toLowerCase();
+  }
+
+  // Older magnet links use base32
+  if (/^[a-z2-7]{32}$/i.test(hash)) {
+    let bits = '';
+    for (const char of hash.toUpperCase()) {
+      bits += BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0');
+    }
+    return bits.match(/.{4}/g).map(nibble => parseInt(nibble, 2).toString(16)).join('');
+  }
+
+  return null;
+}
+
+/**
+ * Stable tag used to find a torrent added from a .torrent URL, whose hash isn't known upfront
+ * @param {string} torrentLink
+ * @returns {string}
+ */
+function getLinkTag(torrentLink) {
+  return `moe-${crypto.createHash('sha1').update(torrentLink).digest('hex').slice(0, 16)}`;
+}
+
+/**
+ * Create a WebTorrent-like handle for a torrent living in an external client
+ * @param {string} infoHash
+ * @returns {EventEmitter}
+ */
+function createTorrentHandle(infoHash) {
+  return Object.assign(new EventEmitter(), {
+    infoHash,
+    name: '',
+    length: 0,
+    progress: 0,
+    downloadSpeed: 0,
+    uploadSpeed: 0,
+    downloaded: 0,
+    uploaded: 0,
+    numPeers: 0,
+    linkTag: null,
+    ready: false,
+    done: false,
+    paused: false,
+    errored: false
+  });
+}
+
+/**
+ * Copy polled statistics onto a handle and emit the matching events
+ * @param {EventEmitter} torrent - Handle from createTorrentHandle()
+ * @param {Object} stats - { name, length, progress, downloadSpeed, uploadSpeed, downloaded, uploaded, numPeers, paused, error }
+ */
+function updateTorrentHandle(torrent, stats) {
+  const { error, ...values } = stats;
+  Object.assign(torrent, values);
+
+  if (!torrent.ready && torrent.name && torrent.length > 0) {
+    torrent.ready = true;
+    torrent.emit('ready');
+  }
+
+  if (error) {
+    if (!torrent.errored) {
+      torrent.errored = true;
+      torrent.emit('error', new Error(error));
+    }
+    return;
+  }
+
+  if (torrent.done || torrent.paused) {
+    return;
+  }
+
+  torrent.emit('download');
+
+  if (torrent.ready && torrent.progress >= 1) {
+    torrent.done = true;
+    torrent.emit('done');
+  }
+}
+
+/**
+ * Read the backend settings from the config table
+ * @returns {Object}
+ */
+function getBackendSettings() {
+  return {
+    type: configOperations.get('download_backend') || 'webtorrent',
+    qbittorrent: {
+      url: configOperations.get('qbittorrent_url') || 'http://localhost:8080',
+      username: configOperations.get('qbittorrent_username') || '',
+      password: configOperations.get('qbittorrent_password') || ''
+    },
+    transmission: {
+      url: configOperations.get('transmission_url') || 'http://localhost:9091/transmission/rpc',
+      username: configOperations.get('transmission_username') || '',
+      password: configOperations.get('transmission_password') || ''
+    },
+    blackhole: {
+      directory: configOperations.get('blackhole_directory') || '',
+      // Empty means the downloads directory, resolved by the download manager
+      completedDirectory: configOperations.get('blackhole_completed_directory') || ''
+    }
+  };
+}
+
+/**
+ * Create the configured download backend
+ * @param {Object} options - { type, webtorrent, qbittorrent, transmission, blackhole } settings; defaults to the saved ones
+ * @returns {Object} - Backend (not yet initialized)
+ */
+function createDownloadBackend(options = getBackendSettings()) {
+  // Required lazily so each adapter can import the shared helpers above
+  switch (options.type) {
+    case 'qbittorrent': {
+      const { createQBittorrentBackend } = require('./download-backend-qbittorrent');
+      return createQBittorrentBackend(options.qbittorrent);
+    }
+    case 'transmission': {
+      const { createTransmissionBackend } = require('./download-backend-transmission');
+      return createTransmissionBackend(options.transmission);
+    }
+    case 'blackhole': {
+      const { createBlackholeBackend } = require('./download-backend-blackhole');
+      return createBlackholeBackend(options.blackhole);
+    }
+    default: {
+      const { createWebTorrentBackend } = require('./download-backend-webtorrent');
+      return createWebTorrentBackend(options.webtorrent);
+    }
+  }
+}
+
+module.exports = {
+  MANAGED_LABEL,
+  POLL_INTERVAL_MS,
+  parseInfoHash,
+  getLinkTag,
+  createTorrentHandle,
+  updateTorrentHandle,
+  getBackendSettings,
+  createDownloadBackend
+};
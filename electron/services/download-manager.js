@@ -1,22 +1,41 @@
-const { join } = require('path');
+const { join, basename, dirname } = require('path');
+const fs = require('fs');
 const { app } = require('electron');
 const {
   downloadOperations,
-  configOperations
+  configOperations,
+  whitelistOperations
 } = require("../lib/database");
-
-function createDownloadManager(notificationService = null) {
-  let client = null;
-  let WebTorrent = null;
+const { createFileOrganizer } = require('./file-organizer');
+const { sanitizeValue } = require('../lib/rename-template');
+const {
+  createDownloadBackend,
+  getBackendSettings,
+  parseInfoHash,
+  getLinkTag
+} = require('./download-backend');
+
+// Seeding limits are checked on their own timer, the queue loop stops while all slots are busy
+const SEEDING_CHECK_INTERVAL_MS = 30 * 1000;
+
+function createDownloadManager(notificationService = null, activityLogger = null, titleOverridesManager = null) {
+  // WebTorrent, qBittorrent, Transmission or a blackhole folder, see download-backend.js
+  let backend = null;
+  // Connection error of an external backend, downloads wait until it is reachable
+  let backendError = null;
   const activeTorrents = new Map();
+  // Bytes uploaded in previous sessions for torrents resumed as seeds
+  const uploadBaselines = new Map();
+  let restartingClient = false;
+  let seedingCheckInterval = null;
+  // Bytes per second, -1 = unlimited (set by the bandwidth scheduler)
+  let speedLimits = { downloadLimit: -1, uploadLimit: -1 };
+  const fileOrganizer = createFileOrganizer(activityLogger, () => manager.getDownloadPath());
 
   const manager = {
     async initialize() {
       try {
-        // Dynamically import WebTorrent
-        const WebTorrentModule = await import('webtorrent');
-        WebTorrent = WebTorrentModule.default;
-        client = new WebTorrent();
+        backend = await this.createBackend();
 
         console.log('Download manager initialized');
 
@@ -31,12 +50,24 @@ function createDownloadManager(notificationService = null) {
 
         // Keep paused downloads as paused (they can be resumed manually)
 
+        // Keep seeding torrents from the previous session
+        for (const download of downloadOperations.getSeeding()) {
+          await this.resumeSeeding(download);
+        }
+
         // Clean up any orphaned torrents
-        this.cleanupOrphanedTorrents();
+        await this.cleanupOrphanedTorrents();
 
         // Start processing queue
         this.processQueue();
 
+        seedingCheckInterval = setInterval(() => {
+          // Torrents aren't in activeTorrents while the client is recreated or unreachable
+          if (!restartingClient && !backendError) {
+            this.checkSeedingLimits();
+          }
+        }, SEEDING_CHECK_INTERVAL_MS);
+
         return { success: true };
       } catch (error) {
         console.error('Failed to initialize download manager:', error);
@@ -45,8 +76,30 @@ function createDownloadManager(notificationService = null) {
     },
 
     async processQueue() {
+      // The client is being recreated, torrents are re-added by restartClient()
+      if (restartingClient) {
+        setTimeout(() => this.processQueue(), 5000);
+        return;
+      }
+
+      // Reconnect to an unreachable external client about once a minute
+      if (backendError) {
+        this.reconnectCounter = (this.reconnectCounter || 0) + 1;
+        if (this.reconnectCounter >= 12) {
+          this.reconnectCounter = 0;
+          await this.restartClient();
+        }
+        if (backendError) {
+          setTimeout(() => this.processQueue(), 5000);
+          return;
+        }
+      }
+
       try {
-        const maxConcurrent = parseInt(configOperations.get('max_concurrent_downloads') || '3');
+        // A blackhole hands every download to another program, which has its own queue
+        const maxConcurrent = backend?.queuesDownloads
+          ? Infinity
+          : parseInt(configOperations.get('max_concurrent_downloads') || '3');
         // Only count actually downloading torrents (not paused ones)
         const currentDownloading = Array.from(activeTorrents.values()).filter(t => !t.done && !t.paused).length;
 
@@ -71,7 +124,7 @@ function createDownloadManager(notificationService = null) {
       this.cleanupCounter++;
       if (this.cleanupCounter >= 60) {
         console.log('🧹 Running automatic cleanup of orphaned torrents and deleted files...');
-        this.cleanupOrphanedTorrents();
+        await this.cleanupOrphanedTorrents();
         this.cleanupCounter = 0;
       }
 
@@ -79,10 +132,186 @@ function createDownloadManager(notificationService = null) {
       setTimeout(() => this.processQueue(), 5000);
     },
 
-    async startDownload(download) {
+    /**
+     * Build the WebTorrent client options from the network settings
+     * @returns {Object}
+     */
+    getClientOptions() {
+      const port = parseInt(configOperations.get('torrent_port') || '6881');
+
+      return {
+        // 0 lets the OS pick a free port
+        torrentPort: port >= 1024 && port <= 65535 ? port : 0,
+        dhtPort: port >= 1024 && port <= 65535 ? port : 0,
+        dht: configOperations.get('enable_dht') !== 'false',
+        utPex: configOperations.get('enable_pex') !== 'false',
+        lsd: configOperations.get('enable_lsd') !== 'false'
+      };
+    },
+
+    /**
+     * Create and connect the configured download backend.
+     * A backend that can't connect is still returned so the app keeps running.
+     * @param {Object} settings - Backend settings, defaults to the saved ones
+     * @returns {Object} - Download backend
+     */
+    async createBackend(settings = getBackendSettings()) {
+      const newBackend = createDownloadBackend({
+        ...settings,
+        webtorrent: { clientOptions: this.getClientOptions(), speedLimits },
+        blackhole: this.getBlackholeOptions(settings.blackhole)
+      });
+
       try {
-        if (!client) {
-          throw new Error('WebTorrent client not initialized');
+        await newBackend.initialize();
+        newBackend.setSpeedLimits(speedLimits);
+        backendError = null;
+      } catch (error) {
+        backendError = error.message;
+        console.error(`❌ Failed to connect to ${newBackend.label}:`, error.message);
+      }
+
+      return newBackend;
+    },
+
+    /**
+     * Blackhole settings with the completed folder defaulting to the downloads directory
+     * @param {Object} options - { directory, completedDirectory }
+     * @returns {Object}
+     */
+    getBlackholeOptions(options = {}) {
+      return {
+        ...options,
+        completedDirectory: options.completedDirectory || this.getDownloadPath()
+      };
+    },
+
+    /**
+     * Check that a backend can be reached with the given settings
+     * @param {Object} settings - { type, qbittorrent, transmission, blackhole }
+     * @returns {Object} - { success, version, error }
+     */
+    async testBackend(settings) {
+      const merged = { ...getBackendSettings(), ...settings };
+      const testBackend = createDownloadBackend({
+        ...merged,
+        webtorrent: { clientOptions: this.getClientOptions(), speedLimits },
+        blackhole: this.getBlackholeOptions(merged.blackhole)
+      });
+
+      // The built-in client would bind the torrent port a second time
+      if (testBackend.name === 'webtorrent') {
+        return { success: true, version: null };
+      }
+
+      try {
+        await testBackend.initialize();
+        return { success: true, version: testBackend.getStatus().version };
+      } catch (error) {
+        return { success: false, error: error.message };
+      } finally {
+        await testBackend.destroy();
+      }
+    },
+
+    /**
+     * Recreate the download backend after the network or backend settings changed.
+     * Downloading torrents are restarted and seeds are resumed; data on disk is kept.
+     */
+    async restartClient() {
+      if (!backend || restartingClient) {
+        return { success: false, error: 'Client is not ready' };
+      }
+
+      restartingClient = true;
+      try {
+        const downloadingIds = [];
+
+        for (const [downloadId, torrent] of activeTorrents.entries()) {
+          const download = downloadOperations.getById(downloadId);
+          if (download?.status === 'seeding') {
+            this.recordSeedStats(download, torrent);
+          } else if (download?.status === 'downloading') {
+            downloadingIds.push(downloadId);
+          }
+          // Destroying the client must not look like a download error
+          torrent.removeAllListeners();
+        }
+
+        activeTorrents.clear();
+        uploadBaselines.clear();
+
+        const oldBackend = backend;
+        backend = null;
+        await oldBackend.destroy();
+
+        backend = await this.createBackend();
+
+        // Also picks up seeds that couldn't be resumed while the backend was unreachable
+        const seeding = downloadOperations.getSeeding();
+        for (const download of seeding) {
+          await this.resumeSeeding(download);
+        }
+        for (const downloadId of downloadingIds) {
+          const download = downloadOperations.getById(downloadId);
+          if (download) await this.startDownload(download, { restart: true });
+        }
+
+        console.log(`🔄 ${backend.label} backend restarted (${downloadingIds.length} downloading, ${seeding.length} seeding)`);
+        return { success: !backendError, error: backendError };
+      } catch (error) {
+        console.error('Failed to restart download backend:', error);
+        throw error;
+      } finally {
+        restartingClient = false;
+      }
+    },
+
+    /**
+     * Cap the transfer rates of the client
+     * @param {Object} limits - { downloadLimit, uploadLimit } in bytes per second, -1 = unlimited
+     */
+    setSpeedLimits(limits) {
+      speedLimits = {
+        downloadLimit: limits.downloadLimit > 0 ? limits.downloadLimit : -1,
+        uploadLimit: limits.uploadLimit > 0 ? limits.uploadLimit : -1
+      };
+
+      if (backend) {
+        backend.setSpeedLimits(speedLimits);
+      }
+    },
+
+    getSpeedLimits() {
+      return { ...speedLimits };
+    },
+
+    /**
+     * Get the effective state of the download backend
+     * @returns {Object} - { ready, backend, backendLabel, version, error, port, dhtEnabled, dhtNodes, pexEnabled, lsdEnabled }
+     */
+    getClientStatus() {
+      const options = this.getClientOptions();
+      const status = backend ? backend.getStatus() : { ready: false, port: null, dhtNodes: 0, version: null, error: null };
+
+      return {
+        ready: !!backend && status.ready && !backendError && !restartingClient,
+        backend: backend ? backend.name : getBackendSettings().type,
+        backendLabel: backend ? backend.label : null,
+        version: status.version,
+        error: backendError || status.error,
+        port: status.port,
+        dhtEnabled: options.dht,
+        dhtNodes: status.dhtNodes,
+        pexEnabled: options.utPex,
+        lsdEnabled: options.lsd
+      };
+    },
+
+    async startDownload(download, { restart = false } = {}) {
+      try {
+        if (!backend || backendError) {
+          throw new Error(backendError || 'Download backend not initialized');
         }
 
         // Starting download
@@ -90,33 +319,26 @@ function createDownloadManager(notificationService = null) {
         // Update status to downloading
         downloadOperations.updateProgress(download.id, {
           status: 'downloading',
-          startedAt: new Date().toISOString()
+          startedAt: restart && download.started_at ? download.started_at : new Date().toISOString()
         });
 
         // Notify frontend about download start
-        if (notificationService) {
+        if (notificationService && !restart) {
           notificationService.downloadStarted({
             id: download.id,
             title: download.final_title || download.torrent_title
           });
         }
 
-        const downloadPath = this.getDownloadPath();
-
-        // Check if torrent already exists in client
-        let torrent = client.torrents.find(t =>
-          t.magnetURI === download.torrent_link ||
-          (t.torrentFile && t.torrentFile.name && download.torrent_link.includes(t.torrentFile.name))
-        );
-
-        if (torrent) {
-          // If torrent already exists, remove it first
-          client.remove(torrent, { destroyStore: true });
+        const downloadPath = this.getDownloadPathFor(download);
+        if (!download.save_path) {
+          downloadOperations.updateProgress(download.id, { savePath: downloadPath });
         }
 
-        // Add torrent to WebTorrent client
-        torrent = client.add(download.torrent_link, {
-          path: downloadPath
+        // Add torrent to the download backend
+        const torrent = await backend.add(download.torrent_link, {
+          path: downloadPath,
+          title: download.torrent_title
         });
 
         activeTorrents.set(download.id, torrent);
@@ -140,16 +362,25 @@ function createDownloadManager(notificationService = null) {
             uploadSpeed,
             downloaded: torrent.downloaded,
             uploaded: torrent.uploaded,
+            ratio: torrent.length ? torrent.uploaded / torrent.length : 0,
             peers: torrent.numPeers
           });
         });
 
-        torrent.on('done', () => {
+        torrent.on('done', async () => {
+          const seedPolicy = backend.canSeed ? this.getSeedPolicy(download) : { enabled: false };
+          const completedAt = new Date().toISOString();
+          // A blackhole reports where the other program put the release
+          const savePath = torrent.path || downloadPath;
+
           downloadOperations.updateProgress(download.id, {
-            status: 'completed',
+            status: seedPolicy.enabled ? 'seeding' : 'completed',
             progress: 1,
-            completedAt: new Date().toISOString(),
-            filePath: join(downloadPath, torrent.name)
+            downloadSpeed: 0,
+            completedAt,
+            seedingStartedAt: seedPolicy.enabled ? completedAt : null,
+            savePath,
+            filePath: join(savePath, torrent.name)
           });
 
           // Notify frontend about download completion
@@ -158,11 +389,28 @@ function createDownloadManager(notificationService = null) {
               id: download.id,
               title: download.final_title || download.torrent_title || torrent.name,
               fileName: torrent.name,
-              filePath: join(downloadPath, torrent.name)
+              filePath: join(savePath, torrent.name)
             });
           }
 
-          activeTorrents.delete(download.id);
+          if (seedPolicy.enabled) {
+            console.log(`🌱 Seeding "${torrent.name}" (ratio limit: ${seedPolicy.ratioLimit || 'none'}, time limit: ${seedPolicy.timeLimitMinutes || 'none'} min)`);
+            this.enforceSeedingCap();
+          } else {
+            // Stop sharing right away but keep the downloaded files
+            activeTorrents.delete(download.id);
+            await this.removeTorrent(torrent);
+          }
+
+          // Upgrade mode: drop the release this download replaces
+          if (download.replaces_download_id) {
+            await this.supersedeDownload(download, join(savePath, torrent.name));
+          }
+
+          // Move the file into the library layout; moving has to wait until seeding stops
+          if (!seedPolicy.enabled || fileOrganizer.canOrganizeWhileSeeding()) {
+            await fileOrganizer.organize(downloadOperations.getById(download.id));
+          }
         });
 
         torrent.on('error', (error) => {
@@ -177,6 +425,273 @@ function createDownloadManager(notificationService = null) {
       }
     },
 
+    /**
+     * Remove a torrent from the backend, logging instead of throwing
+     * @param {Object} torrent - Torrent handle
+     * @param {Object} options - { deleteFiles }
+     */
+    async removeTorrent(torrent, options = {}) {
+      if (!backend || !torrent) return;
+
+      try {
+        await backend.remove(torrent, options);
+      } catch (error) {
+        console.error(`Failed to remove torrent "${torrent.name || torrent.infoHash}" from ${backend.label}:`, error.message);
+      }
+    },
+
+    /**
+     * Check whether a torrent in the backend belongs to a download record
+     * @param {Object} torrent - Torrent handle
+     * @param {Object} download - Download record
+     * @returns {boolean}
+     */
+    torrentMatchesDownload(torrent, download) {
+      if (torrent.magnetURI && torrent.magnetURI === download.torrent_link) return true;
+
+      const infoHash = parseInfoHash(download.torrent_link);
+      if (infoHash && torrent.infoHash === infoHash) return true;
+
+      return Boolean(torrent.linkTag) && torrent.linkTag === getLinkTag(download.torrent_link);
+    },
+
+    /**
+     * Delete or archive the download replaced by a completed upgrade
+     * @param {Object} download - The completed replacement download
+     * @param {string} newFilePath - Path of the replacement file
+     */
+    async supersedeDownload(download, newFilePath) {
+      try {
+        const superseded = downloadOperations.getById(download.replaces_download_id);
+        if (!superseded) {
+          console.log(`⚠️ Superseded download ${download.replaces_download_id} no longer exists`);
+          return;
+        }
+
+        // Stop seeding the old release without letting the torrent client touch the file
+        const torrent = activeTorrents.get(superseded.id);
+        if (torrent) {
+          activeTorrents.delete(superseded.id);
+          await this.removeTorrent(torrent);
+        }
+
+        const downloadPath = this.getDownloadPath();
+        const oldSavePath = this.getDownloadPathFor(superseded);
+        const oldFilePath = superseded.file_path || (superseded.file_name ? join(oldSavePath, superseded.file_name) : null);
+        let archivedPath = null;
+
+        if (oldFilePath && oldFilePath !== newFilePath && fs.existsSync(oldFilePath)) {
+          if (download.replace_action === 'archive') {
+            const archiveDir = join(downloadPath, 'Superseded');
+            fs.mkdirSync(archiveDir, { recursive: true });
+            archivedPath = join(archiveDir, basename(oldFilePath));
+            fs.renameSync(oldFilePath, archivedPath);
+            console.log(`📦 Archived superseded release: ${oldFilePath} → ${archivedPath}`);
+          } else {
+            fs.rmSync(oldFilePath, { recursive: true, force: true });
+            console.log(`🗑️ Deleted superseded release: ${oldFilePath}`);
+          }
+        }
+
+        // A hardlinked organizer copy leaves the original torrent data behind
+        const oldTorrentPath = superseded.file_name ? join(oldSavePath, superseded.file_name) : null;
+        if (oldTorrentPath && oldTorrentPath !== oldFilePath && oldTorrentPath !== newFilePath && fs.existsSync(oldTorrentPath)) {
+          fs.rmSync(oldTorrentPath, { recursive: true, force: true });
+        }
+
+        downloadOperations.delete(superseded.id);
+
+        if (activityLogger) {
+          activityLogger.log('download', 'Release Upgraded',
+            `Replaced "${superseded.torrent_title}" with "${download.torrent_title}"`, {
+              supersededDownloadId: superseded.id,
+              replacementDownloadId: download.id,
+              action: archivedPath ? 'archive' : 'delete',
+              oldFilePath,
+              archivedPath,
+              newFilePath
+            });
+        }
+      } catch (error) {
+        console.error(`Failed to supersede download ${download.replaces_download_id}:`, error);
+      }
+    },
+
+    /**
+     * Resolve the seeding limits of a download; per-entry settings override the global ones
+     * @param {Object} download - Download record
+     * @returns {{enabled: boolean, ratioLimit: number, timeLimitMinutes: number}} - 0 means no limit
+     */
+    getSeedPolicy(download) {
+      const policy = {
+        enabled: configOperations.get('seeding_enabled') === 'true',
+        ratioLimit: parseFloat(configOperations.get('seed_ratio_limit') || '0') || 0,
+        timeLimitMinutes: parseInt(configOperations.get('seed_time_limit_minutes') || '0') || 0
+      };
+
+      const entry = download.whitelist_entry_id ? whitelistOperations.getById(download.whitelist_entry_id) : null;
+      if (entry?.seed_mode === 'off') {
+        policy.enabled = false;
+      } else if (entry?.seed_mode === 'custom') {
+        policy.enabled = true;
+        if (entry.seed_ratio_limit !== null && entry.seed_ratio_limit !== undefined) {
+          policy.ratioLimit = entry.seed_ratio_limit;
+        }
+        if (entry.seed_time_limit_minutes !== null && entry.seed_time_limit_minutes !== undefined) {
+          policy.timeLimitMinutes = entry.seed_time_limit_minutes;
+        }
+      }
+
+      return policy;
+    },
+
+    /**
+     * Re-add a torrent that was seeding when the app was closed
+     * @param {Object} download - Download record with status 'seeding'
+     */
+    async resumeSeeding(download) {
+      // The organizer may have linked file_path elsewhere, the torrent data stays under its own name
+      const filePath = download.file_name ? join(this.getDownloadPathFor(download), download.file_name) : download.file_path;
+
+      if (!backend || backendError) {
+        console.log(`⚠️ Download backend unavailable, seeding of download ${download.id} resumes once it reconnects`);
+        return;
+      }
+
+      if (!filePath || !fs.existsSync(filePath)) {
+        console.log(`⚠️ Cannot resume seeding download ${download.id}, files are missing`);
+        await this.finishSeeding(download);
+        return;
+      }
+
+      try {
+        const torrent = await backend.add(download.torrent_link, { path: dirname(filePath) });
+        activeTorrents.set(download.id, torrent);
+        // External clients report the lifetime upload of a torrent, WebTorrent starts from zero
+        uploadBaselines.set(download.id, backend.persistsTorrents ? 0 : download.uploaded || 0);
+
+        torrent.on('error', (error) => {
+          console.error(`Seeding error for ${download.final_title}:`, error);
+          this.stopSeeding(download.id, error.message);
+        });
+
+        console.log(`🌱 Resumed seeding: ${download.final_title || download.torrent_title}`);
+      } catch (error) {
+        console.error(`Failed to resume seeding download ${download.id}:`, error);
+        await this.finishSeeding(download);
+      }
+    },
+
+    /**
+     * Update upload statistics of seeding torrents and stop the ones that reached their limits
+     */
+    async checkSeedingLimits() {
+      try {
+        for (const download of downloadOperations.getSeeding()) {
+          const torrent = activeTorrents.get(download.id);
+          if (!torrent) {
+            await this.finishSeeding(download);
+            continue;
+          }
+
+          const { ratio } = this.recordSeedStats(download, torrent);
+          const policy = this.getSeedPolicy(download);
+          const seededMinutes = (Date.now() - new Date(download.seeding_started_at || download.completed_at).getTime()) / 60000;
+
+          let reason = null;
+          if (!policy.enabled) {
+            reason = 'seeding disabled';
+          } else if (policy.ratioLimit > 0 && ratio >= policy.ratioLimit) {
+            reason = `ratio ${ratio.toFixed(2)} reached`;
+          } else if (policy.timeLimitMinutes > 0 && seededMinutes >= policy.timeLimitMinutes) {
+            reason = `seeded for ${Math.round(seededMinutes)} minutes`;
+          }
+
+          if (reason) {
+            await this.stopSeeding(download.id, reason);
+          }
+        }
+
+        await this.enforceSeedingCap();
+      } catch (error) {
+        console.error('Error checking seeding limits:', error);
+      }
+    },
+
+    /**
+     * Stop the oldest seeds when more torrents are seeding than allowed
+     */
+    async enforceSeedingCap() {
+      const maxSeeding = parseInt(configOperations.get('max_seeding_torrents') || '5');
+      const seeding = downloadOperations.getSeeding();
+      const excess = seeding.length - (isNaN(maxSeeding) ? 5 : maxSeeding);
+
+      for (const download of seeding.slice(0, Math.max(0, excess))) {
+        await this.stopSeeding(download.id, 'seeding cap reached');
+      }
+    },
+
+    /**
+     * Write the upload statistics of a seeding torrent
+     * @param {Object} download - Download record
+     * @param {Object} torrent - Torrent handle
+     * @returns {{uploaded: number, ratio: number}}
+     */
+    recordSeedStats(download, torrent) {
+      const uploaded = (uploadBaselines.get(download.id) || 0) + torrent.uploaded;
+      const size = torrent.length || download.total_size || 0;
+      const ratio = size > 0 ? uploaded / size : 0;
+
+      downloadOperations.updateProgress(download.id, {
+        uploaded,
+        ratio,
+        uploadSpeed: torrent.uploadSpeed,
+        peers: torrent.numPeers
+      });
+
+      return { uploaded, ratio };
+    },
+
+    /**
+     * Stop seeding a torrent, keeping its files, and mark the download completed
+     * @param {number} downloadId
+     * @param {string} reason - Logged reason
+     */
+    async stopSeeding(downloadId, reason = 'stopped manually') {
+      const download = downloadOperations.getById(downloadId);
+      if (!download || download.status !== 'seeding') {
+        return { success: false, error: 'Download is not seeding' };
+      }
+
+      const torrent = activeTorrents.get(downloadId);
+      if (torrent) {
+        this.recordSeedStats(download, torrent);
+        activeTorrents.delete(downloadId);
+        // Wait for the client to let go of the files before the organizer moves them
+        await this.removeTorrent(torrent);
+      }
+
+      await this.finishSeeding(download);
+      console.log(`🌾 Stopped seeding "${download.final_title || download.torrent_title}": ${reason}`);
+      return { success: true };
+    },
+
+    /**
+     * Mark a seeding download as completed without touching its completion time
+     * @param {Object} download - Download record
+     */
+    async finishSeeding(download) {
+      uploadBaselines.delete(download.id);
+      downloadOperations.updateProgress(download.id, {
+        status: 'completed',
+        completedAt: download.completed_at || new Date().toISOString(),
+        uploadSpeed: 0,
+        peers: 0
+      });
+
+      await fileOrganizer.organize(downloadOperations.getById(download.id));
+    },
+
     async handleDownloadError(downloadId, errorMessage) {
       try {
         const download = downloadOperations.getAll().find(d => d.id === downloadId);
@@ -282,10 +797,10 @@ function createDownloadManager(notificationService = null) {
         const currentDownloaded = torrent.downloaded;
         const currentUploaded = torrent.uploaded;
 
-        // Completely remove the torrent from WebTorrent client to stop downloading
-        // We use destroyStore: false to keep the downloaded data on disk
-        if (client && client.torrents.includes(torrent)) {
-          client.remove(torrent, { destroyStore: false });
+        // Stop the torrent in the backend, keeping the downloaded data on disk.
+        // WebTorrent drops the torrent entirely, external clients pause it in place.
+        if (backend) {
+          await backend.pause(torrent);
         }
 
         // Remove from active torrents map
@@ -327,7 +842,7 @@ function createDownloadManager(notificationService = null) {
           throw new Error('Download is not currently paused');
         }
 
-        // Since we completely removed the torrent when pausing, we need to restart it
+        // The queue processor restarts the torrent; external clients resume it in place
         // Update status to queued and let the queue processor handle restarting
         downloadOperations.updateProgress(downloadId, {
           status: 'queued'
@@ -385,25 +900,24 @@ function createDownloadManager(notificationService = null) {
 
     async removeDownload(downloadId) {
       try {
+        const download = downloadOperations.getById(downloadId);
+        // Seeding torrents are finished downloads, removing them must keep the files
+        const destroyStore = download?.status !== 'seeding';
+
         const torrent = activeTorrents.get(downloadId);
         if (torrent) {
-          // Remove from WebTorrent client first
-          if (client && client.torrents.includes(torrent)) {
-            client.remove(torrent, { destroyStore: true });
-          } else {
-            // Fallback to destroy if not in client
-            torrent.destroy();
-          }
+          // Remove from the download backend first
           activeTorrents.delete(downloadId);
+          await this.removeTorrent(torrent, { deleteFiles: destroyStore });
         }
-
-        // Also check if there are any torrents in the client that match this download
-        // by checking the magnet link from the database
-        const download = downloadOperations.getAll().find(d => d.id === downloadId);
-        if (download && client) {
-          const existingTorrent = client.torrents.find(t => t.magnetURI === download.torrent_link);
-          if (existingTorrent) {
-            client.remove(existingTorrent, { destroyStore: true });
+        uploadBaselines.delete(downloadId);
+
+        // Also check if there are any torrents in the client that match this download,
+        // e.g. downloads paused in an external client
+        if (download && backend && !backendError) {
+          const existingTorrent = await backend.find(download.torrent_link);
+          if (existingTorrent && existingTorrent !== torrent) {
+            await this.removeTorrent(existingTorrent, { deleteFiles: destroyStore });
           }
         }
 
@@ -433,15 +947,12 @@ function createDownloadManager(notificationService = null) {
         console.log(`Adding ${isMagnetLink ? 'magnet link' : 'torrent file'}: ${torrentInput}`);
 
         // Check if this torrent already exists in the client
-        if (client) {
-          const existingTorrent = client.torrents.find(t =>
-            (isMagnetLink && t.magnetURI === torrentInput) ||
-            (!isMagnetLink && t.torrentFile && t.torrentFile.name === torrentInput)
-          );
+        if (backend && !backendError) {
+          const existingTorrent = await backend.find(torrentInput);
           if (existingTorrent) {
             // Remove the existing torrent first
             console.log('Removing existing torrent before adding new one');
-            client.remove(existingTorrent, { destroyStore: true });
+            await this.removeTorrent(existingTorrent, { deleteFiles: true });
           }
         }
 
@@ -488,6 +999,57 @@ function createDownloadManager(notificationService = null) {
       return join(app.getPath('userData'), 'downloads');
     },
 
+    /**
+     * Get the subfolder (relative to the download path) a whitelist entry downloads into
+     * @param {Object} entry - Whitelist entry
+     * @returns {string} - Relative folder using "/" separators, '' for the download path itself
+     */
+    getSeriesFolder(entry) {
+      if (!entry) return '';
+
+      const cleanFolder = (folder) => folder
+        .split(/[\\/]+/)
+        .map(segment => sanitizeValue(segment).replace(/[\s.]+$/, ''))
+        .filter(segment => segment && segment !== '..')
+        .join('/');
+
+      if (entry.series_folder) {
+        return cleanFolder(entry.series_folder);
+      }
+
+      // Entries for the same AniList media (e.g. from several lists) share a folder
+      if (entry.anilist_id) {
+        const sibling = whitelistOperations.getAll().find(e => e.anilist_id === entry.anilist_id && e.series_folder);
+        if (sibling) {
+          return cleanFolder(sibling.series_folder);
+        }
+      }
+
+      if (configOperations.get('series_folders_enabled') === 'false') {
+        return '';
+      }
+
+      const title = titleOverridesManager
+        ? titleOverridesManager.applyOverrides(entry.title, { anilistId: entry.anilist_id })
+        : entry.title;
+      return cleanFolder(title || '');
+    },
+
+    /**
+     * Get the directory a download is (or will be) saved in
+     * @param {Object} download - Download record
+     * @returns {string}
+     */
+    getDownloadPathFor(download) {
+      if (download.save_path) {
+        return download.save_path;
+      }
+
+      const entry = download.whitelist_entry_id ? whitelistOperations.getById(download.whitelist_entry_id) : null;
+      const folder = this.getSeriesFolder(entry);
+      return folder ? join(this.getDownloadPath(), ...folder.split('/')) : this.getDownloadPath();
+    },
+
     getActiveDownloads() {
       return Array.from(activeTorrents.entries()).map(([id, torrent]) => ({
         id,
@@ -499,10 +1061,10 @@ function createDownloadManager(notificationService = null) {
       }));
     },
 
-    // Clean up any orphaned torrents in the WebTorrent client and check for externally deleted files
-    cleanupOrphanedTorrents() {
-      if (!client) {
-        console.log('⚠️ WebTorrent client not available, skipping torrent cleanup but checking for deleted files...');
+    // Clean up any orphaned torrents in the download backend and check for externally deleted files
+    async cleanupOrphanedTorrents() {
+      if (!backend || backendError) {
+        console.log('⚠️ Download backend not available, skipping torrent cleanup but checking for deleted files...');
         // Still check for deleted files even if client is not available
         const dbDownloads = downloadOperations.getAll();
         this.checkForDeletedFiles(dbDownloads);
@@ -512,7 +1074,7 @@ function createDownloadManager(notificationService = null) {
       try {
         const dbDownloads = downloadOperations.getAll();
         const activeDownloads = dbDownloads
-          .filter(d => d.status === 'downloading' || d.status === 'queued' || d.status === 'paused');
+          .filter(d => d.status === 'downloading' || d.status === 'queued' || d.status === 'paused' || d.status === 'seeding');
 
         // Always check for completed downloads with externally deleted files first
         console.log('🔍 Checking for externally deleted files...');
@@ -526,11 +1088,11 @@ function createDownloadManager(notificationService = null) {
         }
 
         // Remove any torrents from client that are not in the database
-        client.torrents.forEach(torrent => {
+        for (const torrent of await backend.list()) {
           // Check if this torrent belongs to any active download
           const belongsToActiveDownload = activeDownloads.some(download => {
-            // Check if it matches by magnet URI (for magnet links)
-            if (torrent.magnetURI === download.torrent_link) {
+            // Check if it matches by magnet URI, info hash or the tag it was added with
+            if (this.torrentMatchesDownload(torrent, download)) {
               return true;
             }
 
@@ -545,20 +1107,20 @@ function createDownloadManager(notificationService = null) {
           });
 
           if (!belongsToActiveDownload) {
+            // Finished downloads may still be in an external client, their files must stay
+            const finishedDownload = dbDownloads.some(download => this.torrentMatchesDownload(torrent, download));
             console.log(`Removing orphaned torrent: ${torrent.name || torrent.infoHash}`);
-            client.remove(torrent, { destroyStore: true });
+            await this.removeTorrent(torrent, { deleteFiles: !finishedDownload });
           }
-        });
+        }
 
         // Clean up activeTorrents map
         for (const [downloadId, torrent] of activeTorrents.entries()) {
           const download = dbDownloads.find(d => d.id === downloadId);
           if (!download || download.status === 'completed' || download.status === 'failed') {
             console.log(`Removing orphaned active torrent for download ${downloadId}`);
-            if (client.torrents.includes(torrent)) {
-              client.remove(torrent, { destroyStore: true });
-            }
             activeTorrents.delete(downloadId);
+            await this.removeTorrent(torrent, { deleteFiles: true });
           }
         }
       } catch (error) {
@@ -572,7 +1134,7 @@ function createDownloadManager(notificationService = null) {
       const path = require('path');
 
       try {
-        const completedDownloads = dbDownloads.filter(d => d.status === 'completed');
+        const completedDownloads = dbDownloads.filter(d => d.status === 'completed' || d.status === 'seeding');
         const downloadPath = this.getDownloadPath();
         let deletedCount = 0;
 
@@ -584,7 +1146,8 @@ function createDownloadManager(notificationService = null) {
           const fileName = download.fileName || download.file_name;
 
           if (fileName) {
-            const filePath = path.join(downloadPath, fileName);
+            // Files live in their series folder, or wherever the organizer put them
+            const filePath = download.file_path || path.join(this.getDownloadPathFor(download), fileName);
             console.log(`🔍 Checking file: ${filePath}`);
 
             // Check if the file still exists
@@ -597,10 +1160,8 @@ function createDownloadManager(notificationService = null) {
               // Also remove from active torrents if it exists
               const torrent = activeTorrents.get(download.id);
               if (torrent) {
-                if (client && client.torrents.includes(torrent)) {
-                  client.remove(torrent, { destroyStore: true });
-                }
                 activeTorrents.delete(download.id);
+                this.removeTorrent(torrent, { deleteFiles: true });
               }
 
               deletedCount++;
@@ -624,16 +1185,18 @@ function createDownloadManager(notificationService = null) {
 
     async shutdown() {
       try {
-        // Destroy all active torrents
-        for (const torrent of activeTorrents.values()) {
-          torrent.destroy();
+        if (seedingCheckInterval) {
+          clearInterval(seedingCheckInterval);
+          seedingCheckInterval = null;
         }
+
         activeTorrents.clear();
 
-        // Destroy WebTorrent client
-        if (client) {
-          client.destroy();
-          client = null;
+        // Destroy the WebTorrent client, external clients keep their torrents
+        if (backend) {
+          const oldBackend = backend;
+          backend = null;
+          await oldBackend.destroy();
         }
         console.log('Download manager shut down');
       } catch (error) {
@@ -0,0 +1,167 @@
+const fs = require('fs');
+const { join, basename, extname, dirname } = require('path');
+const {
+  downloadOperations,
+  configOperations,
+  whitelistOperations,
+  processedFilesOperations
+} = require('../lib/database');
+const { parseFilename } = require('../lib/filename-parser');
+const { normalizeResolution } = require('../lib/release-scorer');
+const { renderTemplate, DEFAULT_ORGANIZER_TEMPLATE } = require('../lib/rename-template');
+
+/**
+ * File Organizer Service
+ * Moves or hardlinks finished downloads into a templated folder layout
+ */
+function createFileOrganizer(activityLogger = null, getDefaultDirectory = () => '') {
+  const organizer = {
+    getSettings() {
+      return {
+        enabled: configOperations.get('organizer_enabled') === 'true',
+        mode: configOperations.get('organizer_mode') === 'hardlink' ? 'hardlink' : 'move',
+        template: configOperations.get('organizer_template') || DEFAULT_ORGANIZER_TEMPLATE,
+        directory: configOperations.get('organizer_directory') || getDefaultDirectory()
+      };
+    },
+
+    /**
+     * Moving a file breaks seeding, hardlinks leave the torrent data in place
+     * @returns {boolean}
+     */
+    canOrganizeWhileSeeding() {
+      return this.getSettings().mode === 'hardlink';
+    },
+
+    /**
+     * Collect the template values of a downloaded file
+     * @param {Object} download - Download record
+     * @param {string} filePath - Path of the downloaded file
+     * @returns {Object}
+     */
+    buildValues(download, filePath) {
+      const extension = extname(filePath);
+      const parsed = parseFilename(basename(filePath)) || parseFilename(download.torrent_title) || {};
+      const entry = download.whitelist_entry_id ? whitelistOperations.getById(download.whitelist_entry_id) : null;
+      // Processed files hold the episode number after anime-relations mapping
+      const processedFile = processedFilesOperations.findByTorrentLink(download.torrent_link);
+      const title = entry?.title || parsed.animeTitle || basename(filePath, extension);
+
+      return {
+        anilist_title: entry?.title_romaji || title,
+        english_title: entry?.title_english || entry?.title_romaji || title,
+        title,
+        season: parseInt(parsed.animeSeason) || 1,
+        episode: processedFile?.episode_number || parsed.episodeNumber || '',
+        episode_title: parsed.episodeTitle || '',
+        group: parsed.releaseGroup || processedFile?.release_group || '',
+        resolution: normalizeResolution(parsed.videoResolution || processedFile?.video_resolution || ''),
+        year: parsed.animeYear || '',
+        original_name: basename(filePath, extension),
+        ext: extension.replace(/^\./, '')
+      };
+    },
+
+    /**
+     * Organize a completed download and point its file_path at the new location
+     * @param {Object} download - Download record
+     * @returns {Promise<string|null>} - New file path, or null when nothing was done
+     */
+    async organize(download) {
+      const settings = this.getSettings();
+      if (!settings.enabled || !download || download.organized) {
+        return null;
+      }
+
+      const sourcePath = download.file_path;
+      try {
+        if (!sourcePath || !fs.existsSync(sourcePath)) {
+          console.log(`⚠️ ORGANIZER: File not found for download ${download.id}: ${sourcePath}`);
+          return null;
+        }
+
+        if (fs.statSync(sourcePath).isDirectory()) {
+          console.log(`⏭️ ORGANIZER: Skipping multi-file torrent "${download.torrent_title}"`);
+          return null;
+        }
+
+        const relativePath = renderTemplate(settings.template, this.buildValues(download, sourcePath));
+        if (!relativePath) {
+          console.log(`⚠️ ORGANIZER: Template produced an empty path for "${download.torrent_title}"`);
+          return null;
+        }
+
+        const targetPath = join(settings.directory, ...relativePath.split('/'));
+        if (targetPath === sourcePath) {
+          downloadOperations.updateProgress(download.id, { organized: 1 });
+          return targetPath;
+        }
+
+        if (fs.existsSync(targetPath)) {
+          console.log(`⚠️ ORGANIZER: Target already exists, leaving file in place: ${targetPath}`);
+          return null;
+        }
+
+        await fs.promises.mkdir(dirname(targetPath), { recursive: true });
+
+        if (settings.mode === 'hardlink') {
+          try {
+            await fs.promises.link(sourcePath, targetPath);
+          } catch (error) {
+            // Hardlinks can't cross drives
+            if (error.code !== 'EXDEV') throw error;
+            await this.copyAcrossDrives(sourcePath, targetPath);
+          }
+        } else {
+          try {
+            await fs.promises.rename(sourcePath, targetPath);
+          } catch (error) {
+            if (error.code !== 'EXDEV') throw error;
+            await this.copyAcrossDrives(sourcePath, targetPath);
+            await fs.promises.unlink(sourcePath);
+          }
+        }
+
+        downloadOperations.updateProgress(download.id, { filePath: targetPath, organized: 1 });
+        console.log(`📂 ORGANIZER: ${settings.mode === 'hardlink' ? 'Linked' : 'Moved'} "${sourcePath}" → "${targetPath}"`);
+
+        if (activityLogger) {
+          activityLogger.log('download', 'File Organized',
+            `${settings.mode === 'hardlink' ? 'Linked' : 'Moved'} "${basename(sourcePath)}" to "${relativePath}"`, {
+              downloadId: download.id,
+              mode: settings.mode,
+              sourcePath,
+              targetPath
+            });
+        }
+
+        return targetPath;
+      } catch (error) {
+        console.error(`Failed to organize download ${download.id}:`, error);
+        return null;
+      }
+    },
+
+    /**
+     * Copy a file to another drive without blocking the main process.
+     * The copy gets its final name only once it's complete.
+     * @param {string} sourcePath
+     * @param {string} targetPath
+     */
+    async copyAcrossDrives(sourcePath, targetPath) {
+      const partialPath = `${targetPath}.part`;
+
+      try {
+        await fs.promises.copyFile(sourcePath, partialPath);
+        await fs.promises.rename(partialPath, targetPath);
+      } catch (error) {
+        await fs.promises.rm(partialPath, { force: true });
+        throw error;
+      }
+    }
+  };
+
+  return organizer;
+}
+
+module.exports = { createFileOrganizer };
@@ -0,0 +1,322 @@
+const { get } = require('../lib/http-client');
+const { configOperations, animeRelationsOperations } = require('../lib/database');
+
+const MAL_API_URL = 'https://api.myanimelist.net/v2';
+const KITSU_API_URL = 'https://kitsu.app/api/edge';
+
+/**
+ * List providers that can feed auto-download lists. Statuses always use the
+ * AniList names (CURRENT, PLANNING, ...) so every provider shares one list config shape.
+ */
+const LIST_PROVIDERS = {
+  anilist: {
+    id: 'anilist',
+    name: 'AniList',
+    statuses: {
+      CURRENT: 'CURRENT',
+      PLANNING: 'PLANNING',
+      COMPLETED: 'COMPLETED',
+      PAUSED: 'PAUSED',
+      DROPPED: 'DROPPED',
+      REPEATING: 'REPEATING'
+    }
+  },
+  myanimelist: {
+    id: 'myanimelist',
+    name: 'MyAnimeList',
+    statuses: {
+      CURRENT: 'watching',
+      PLANNING: 'plan_to_watch',
+      COMPLETED: 'completed',
+      PAUSED: 'on_hold',
+      DROPPED: 'dropped'
+    }
+  },
+  kitsu: {
+    id: 'kitsu',
+    name: 'Kitsu',
+    statuses: {
+      CURRENT: 'current',
+      PLANNING: 'planned',
+      COMPLETED: 'completed',
+      PAUSED: 'on_hold',
+      DROPPED: 'dropped'
+    }
+  }
+};
+
+/**
+ * Build an AniList-shaped media object from a provider's own titles,
+ * used when the anime could not be matched to AniList
+ * @param {Object} item - { romaji, english, native, synonyms, episodes, format, coverImage }
+ * @returns {Object}
+ */
+function toFallbackMedia(item) {
+  return {
+    id: null,
+    idMal: item.malId || null,
+    title: {
+      romaji: item.romaji || null,
+      english: item.english || null,
+      native: item.native || null
+    },
+    synonyms: item.synonyms || [],
+    format: item.format || null,
+    episodes: item.episodes || null,
+    coverImage: item.coverImage ? { large: item.coverImage } : null
+  };
+}
+
+/**
+ * List Providers
+ * Reads anime lists from AniList, MyAnimeList and Kitsu and returns them in one
+ * shape: [{ externalId, media }] where media looks like an AniList media object.
+ * MyAnimeList and Kitsu anime are cross-referenced to AniList IDs through the
+ * anime-relations data first, then through the IDs each site links to.
+ */
+function createListProviders(anilistService) {
+  const providers = {
+    getProviders() {
+      return Object.values(LIST_PROVIDERS).map(provider => ({
+        id: provider.id,
+        name: provider.name,
+        statuses: Object.keys(provider.statuses)
+      }));
+    },
+
+    /**
+     * Check that a MyAnimeList or Kitsu user exists and return the ID used to read their list
+     * @param {string} provider - 'myanimelist' or 'kitsu'
+     * @param {string} username
+     * @returns {Promise<string>} - User ID (MyAnimeList lists are read by username)
+     */
+    async resolveUser(provider, username) {
+      if (provider === 'myanimelist') {
+        await this.malRequest(`/users/${encodeURIComponent(username)}/animelist`, { limit: 1 });
+        return username;
+      }
+
+      if (provider === 'kitsu') {
+        // Profile URLs use the slug, display names are looked up as a fallback
+        for (const filter of ['slug', 'name']) {
+          const response = await get(`${KITSU_API_URL}/users`, {
+            params: { [`filter[${filter}]`]: username },
+            headers: { Accept: 'application/vnd.api+json' }
+          });
+          const user = response.data?.data?.[0];
+          if (user) {
+            return user.id;
+          }
+        }
+        throw new Error(`Kitsu user "${username}" not found`);
+      }
+
+      throw new Error(`Unknown list provider: ${provider}`);
+    },
+
+    /**
+     * Get the entries of one list
+     * @param {Object} listConfig - Auto-download list joined with its account (provider, user_id, username)
+     * @returns {Promise<Array<{externalId: number, media: Object}>>}
+     */
+    async getList(listConfig) {
+      const provider = LIST_PROVIDERS[listConfig.provider || 'anilist'];
+      if (!provider) {
+        throw new Error(`Unknown list provider: ${listConfig.provider}`);
+      }
+
+      const status = provider.statuses[listConfig.list_status];
+      if (!status) {
+        console.log(`${provider.name} has no ${listConfig.list_status} list`);
+        return [];
+      }
+
+      if (provider.id === 'anilist') {
+        return await this.getAniListList(listConfig.user_id, status);
+      }
+      if (provider.id === 'myanimelist') {
+        return await this.resolveToAniList('mal', await this.getMyAnimeListList(listConfig.user_id || listConfig.username, status));
+      }
+      return await this.resolveToAniList('kitsu', await this.getKitsuList(listConfig.user_id, status));
+    },
+
+    /**
+     * @param {number} userId - AniList user ID
+     * @param {string} status
+     */
+    async getAniListList(userId, status) {
+      const collection = await anilistService.getUserAnimeList(userId, status);
+      const entries = [];
+
+      for (const list of collection?.lists || []) {
+        for (const entry of list.entries || []) {
+          entries.push({ externalId: entry.media.id, media: entry.media });
+        }
+      }
+
+      return entries;
+    },
+
+    /**
+     * Make a request to the MyAnimeList API
+     * @param {string} path
+     * @param {Object} params
+     */
+    async malRequest(path, params = {}) {
+      const clientId = configOperations.get('mal_client_id');
+      if (!clientId) {
+        throw new Error('MyAnimeList client ID is not set');
+      }
+
+      try {
+        const response = await get(path.startsWith('http') ? path : `${MAL_API_URL}${path}`, {
+          params,
+          headers: { 'X-MAL-CLIENT-ID': clientId }
+        });
+        return response.data;
+      } catch (error) {
+        const status = error.response?.status;
+        if (status === 404) {
+          throw new Error('MyAnimeList user not found');
+        }
+        if (status === 403) {
+          throw new Error('MyAnimeList list is private or the client ID was rejected');
+        }
+        throw error;
+      }
+    },
+
+    /**
+     * @param {string} username
+     * @param {string} status - MyAnimeList status
+     * @returns {Promise<Array>} - Provider items, see toFallbackMedia
+     */
+    async getMyAnimeListList(username, status) {
+      const items = [];
+      let data = await this.malRequest(`/users/${encodeURIComponent(username)}/animelist`, {
+        status,
+        limit: 1000,
+        nsfw: true,
+        fields: 'alternative_titles,num_episodes,media_type'
+      });
+
+      while (data) {
+        for (const { node } of data.data || []) {
+          items.push({
+            externalId: node.id,
+            malId: node.id,
+            romaji: node.title,
+            english: node.alternative_titles?.en || null,
+            native: node.alternative_titles?.ja || null,
+            synonyms: node.alternative_titles?.synonyms || [],
+            episodes: node.num_episodes || null,
+            format: node.media_type ? node.media_type.toUpperCase() : null,
+            coverImage: node.main_picture?.large || node.main_picture?.medium || null
+          });
+        }
+        // The next link already carries every query parameter
+        data = data.paging?.next ? await this.malRequest(data.paging.next) : null;
+      }
+
+      return items;
+    },
+
+    /**
+     * @param {string} userId - Kitsu user ID
+     * @param {string} status - Kitsu status
+     * @returns {Promise<Array>} - Provider items, see toFallbackMedia
+     */
+    async getKitsuList(userId, status) {
+      const items = [];
+      let url = `${KITSU_API_URL}/library-entries`;
+      let params = {
+        'filter[userId]': userId,
+        'filter[kind]': 'anime',
+        'filter[status]': status,
+        include: 'anime,anime.mappings',
+        'page[limit]': 500
+      };
+
+      while (url) {
+        const response = await get(url, { params, headers: { Accept: 'application/vnd.api+json' } });
+        const included = response.data.included || [];
+        const byKey = new Map(included.map(item => [`${item.type}:${item.id}`, item]));
+
+        for (const libraryEntry of response.data.data || []) {
+          const animeRef = libraryEntry.relationships?.anime?.data;
+          const anime = animeRef ? byKey.get(`${animeRef.type}:${animeRef.id}`) : null;
+          if (!anime) {
+            continue;
+          }
+
+          const mappings = (anime.relationships?.mappings?.data || [])
+            .map(ref => byKey.get(`${ref.type}:${ref.id}`))
+            .filter(Boolean);
+          const mappedId = site => {
+            const mapping = mappings.find(m => m.attributes.externalSite === site);
+            return mapping ? parseInt(mapping.attributes.externalId, 10) || null : null;
+          };
+
+          const attributes = anime.attributes;
+          items.push({
+            externalId: parseInt(anime.id, 10),
+            anilistId: mappedId('anilist/anime'),
+            malId: mappedId('myanimelist/anime'),
+            romaji: attributes.titles?.en_jp || attributes.canonicalTitle,
+            english: attributes.titles?.en || attributes.titles?.en_us || null,
+            native: attributes.titles?.ja_jp || null,
+            synonyms: attributes.abbreviatedTitles || [],
+            episodes: attributes.episodeCount || null,
+            format: attributes.subtype ? attributes.subtype.toUpperCase() : null,
+            coverImage: attributes.posterImage?.large || attributes.posterImage?.medium || null
+          });
+        }
+
+        // The next link already carries every query parameter
+        url = response.data.links?.next || null;
+        params = undefined;
+      }
+
+      return items;
+    },
+
+    /**
+     * Attach AniList media to provider items. Items that can't be matched keep
+     * the provider's titles and get a media object without an AniList ID.
+     * @param {'mal'|'kitsu'} site - Site name used by the anime-relations data
+     * @param {Array} items
+     * @returns {Promise<Array<{externalId: number, media: Object}>>}
+     */
+    async resolveToAniList(site, items) {
+      for (const item of items) {
+        item.anilistId = animeRelationsOperations.findAniListId(site, item.externalId) || item.anilistId || null;
+      }
+
+      const mediaById = new Map();
+      const mediaByMalId = new Map();
+
+      try {
+        const anilistIds = items.filter(item => item.anilistId).map(item => item.anilistId);
+        for (const media of anilistIds.length > 0 ? await anilistService.getMediaByIds(anilistIds) : []) {
+          mediaById.set(media.id, media);
+        }
+
+        const malIds = items.filter(item => !mediaById.has(item.anilistId) && item.malId).map(item => item.malId);
+        for (const media of malIds.length > 0 ? await anilistService.getMediaByIds(malIds, true) : []) {
+          mediaByMalId.set(media.idMal, media);
+        }
+      } catch (error) {
+        console.warn(`⚠️ Could not look up AniList entries, using ${site === 'mal' ? 'MyAnimeList' : 'Kitsu'} titles: ${error.message}`);
+      }
+
+      return items.map(item => ({
+        externalId: item.externalId,
+        media: mediaById.get(item.anilistId) || mediaByMalId.get(item.malId) || toFallbackMedia(item)
+      }));
+    }
+  };
+
+  return providers;
+}
+
+module.exports = { createListProviders, LIST_PROVIDERS };
@@ -0,0 +1,189 @@
+const zlib = require('zlib');
+const xml2js = require('xml2js');
+const { text } = require('../lib/feed-parser');
+const { whitelistOperations, anilistAnimeCacheOperations, animeRelationsOperations } = require('../lib/database');
+
+/**
+ * my_status values of a MyAnimeList export. Older exports use the numeric codes.
+ */
+const MAL_STATUSES = {
+  'watching': 'Watching',
+  '1': 'Watching',
+  'completed': 'Completed',
+  '2': 'Completed',
+  'on-hold': 'On-Hold',
+  '3': 'On-Hold',
+  'dropped': 'Dropped',
+  '4': 'Dropped',
+  'plan to watch': 'Plan to Watch',
+  '6': 'Plan to Watch'
+};
+
+/**
+ * Lowercase a title and drop everything but letters and digits, so
+ * "Steins;Gate" and "Steins Gate" compare equal
+ * @param {string} title
+ * @returns {string}
+ */
+function normalizeTitle(title) {
+  return (title || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+}
+
+/**
+ * MyAnimeList Import
+ * Turns a MyAnimeList XML export (plain or gzipped) into whitelist entries.
+ * Anime are matched to AniList without network access, through the anime-relations
+ * data and the AniList anime cache, so the preview works offline.
+ */
+function createMalImporter() {
+  const importer = {
+    /**
+     * Parse a MyAnimeList export
+     * @param {Buffer|string} data - File contents, or base64 of them
+     * @returns {Promise<Array>} - [{ malId, title, type, episodes, status }]
+     */
+    async parseExport(data) {
+      let buffer = Buffer.isBuffer(data) ? data : Buffer.from(data || '', 'base64');
+      // MyAnimeList hands out exports as .xml.gz
+      if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+        buffer = zlib.gunzipSync(buffer);
+      }
+
+      let parsed;
+      try {
+        parsed = await new xml2js.Parser().parseStringPromise(buffer.toString('utf8'));
+      } catch (error) {
+        throw new Error(`Not a valid XML file: ${error.message}`);
+      }
+
+      if (!parsed?.myanimelist) {
+        throw new Error('Not a MyAnimeList export');
+      }
+
+      return (parsed.myanimelist.anime || []).map(anime => ({
+        malId: parseInt(text(anime.series_animedb_id), 10),
+        title: text(anime.series_title),
+        type: text(anime.series_type),
+        episodes: parseInt(text(anime.series_episodes), 10) || null,
+        status: MAL_STATUSES[text(anime.my_status).toLowerCase()] || text(anime.my_status)
+      })).filter(anime => anime.malId && anime.title);
+    },
+
+    /**
+     * Match the anime of an export to AniList and whitelist entries
+     * @param {Buffer|string} data - File contents, or base64 of them
+     * @param {Array<string>} statuses - Statuses to include, e.g. ['Watching', 'Plan to Watch']
+     * @returns {Promise<Object>} - { total, statusCounts, items }
+     */
+    async preview(data, statuses = ['Watching', 'Plan to Watch']) {
+      const animeList = await this.parseExport(data);
+
+      const statusCounts = {};
+      for (const anime of animeList) {
+        statusCounts[anime.status] = (statusCounts[anime.status] || 0) + 1;
+      }
+
+      // Title lookup over everything AniList data has been cached for
+      const cacheByTitle = new Map();
+      for (const cached of anilistAnimeCacheOperations.getAll()) {
+        for (const title of [cached.title_romaji, cached.title_english, cached.title_native, ...cached.synonyms]) {
+          const key = normalizeTitle(title);
+          if (key && !cacheByTitle.has(key)) {
+            cacheByTitle.set(key, cached);
+          }
+        }
+      }
+
+      const whitelist = whitelistOperations.getAll();
+
+      const items = animeList
+        .filter(anime => statuses.includes(anime.status))
+        .map(anime => {
+          let cached = anilistAnimeCacheOperations.getByMalId(anime.malId);
+          let matchedBy = cached ? 'cache' : null;
+          let anilistId = cached ? cached.anilist_id : null;
+
+          if (!anilistId) {
+            anilistId = animeRelationsOperations.findAniListId('mal', anime.malId);
+            if (anilistId) {
+              cached = anilistAnimeCacheOperations.getByAnilistId(anilistId);
+              matchedBy = 'relations';
+            }
+          }
+
+          if (!anilistId) {
+            cached = cacheByTitle.get(normalizeTitle(anime.title));
+            if (cached) {
+              anilistId = cached.anilist_id;
+              matchedBy = 'title';
+            }
+          }
+
+          const title = cached?.title_romaji || anime.title;
+          const existing = whitelist.find(entry =>
+            (anilistId && entry.anilist_id === anilistId) ||
+            (entry.source_type === 'mal-import' && entry.external_id === anime.malId) ||
+            entry.title.toLowerCase() === title.toLowerCase()
+          );
+
+          return {
+            ...anime,
+            anilistId,
+            matchedBy,
+            whitelistTitle: title,
+            coverImage: cached?.cover_image_url || null,
+            existingEntryId: existing ? existing.id : null
+          };
+        });
+
+      return { total: animeList.length, statusCounts, items };
+    },
+
+    /**
+     * Add previewed anime to the whitelist
+     * @param {Array} items - Items from preview() the user picked
+     * @param {Object} options - { quality, preferred_group }
+     * @returns {Object} - { added, skipped }
+     */
+    importEntries(items, options = {}) {
+      let added = 0;
+      let skipped = 0;
+
+      for (const item of items) {
+        const cached = item.anilistId ? anilistAnimeCacheOperations.getByAnilistId(item.anilistId) : null;
+
+        try {
+          whitelistOperations.add({
+            title: item.whitelistTitle || item.title,
+            keywords: '',
+            exclude_keywords: '',
+            quality: options.quality || '1080p',
+            enabled: true,
+            preferred_group: options.preferred_group || 'any',
+            source_type: 'mal-import',
+            anilist_id: item.anilistId || null,
+            external_id: item.malId,
+            auto_sync: false,
+            title_romaji: cached?.title_romaji || item.title,
+            title_english: cached?.title_english || null,
+            title_synonyms: cached?.synonyms || []
+          });
+          added++;
+        } catch (error) {
+          if (error.message.includes('UNIQUE constraint failed')) {
+            skipped++;
+            continue;
+          }
+          throw error;
+        }
+      }
+
+      console.log(`📥 MyAnimeList import: ${added} entries added, ${skipped} already in whitelist`);
+      return { added, skipped };
+    }
+  };
+
+  return importer;
+}
+
+module.exports = { createMalImporter, MAL_STATUSES };
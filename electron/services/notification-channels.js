@@ -0,0 +1,265 @@
+const { createHttpClient } = require('../lib/http-client');
+const { sendMail } = require('../lib/smtp-client');
+const { notificationChannelOperations } = require('../lib/database');
+
+/**
+ * Notification Channels
+ * Forwards notifications to outside services. Every channel type implements
+ * send(config, message, http) where message is { event, eventLabel, title, body, timestamp, data }.
+ * Channels only receive the event types they are routed to, and failed deliveries are retried.
+ */
+
+const NOTIFICATION_EVENTS = {
+  'download-started': 'Download started',
+  'download-completed': 'Download completed',
+  'download-failed': 'Download failed',
+  'rss-processed': 'RSS feed processed',
+  'new-episode-found': 'New episode found',
+  'episode-overdue': 'Episode overdue',
+  'anilist-sync-completed': 'AniList sync completed',
+  'anilist-sync-failed': 'AniList sync failed',
+  'daily-digest': 'Daily digest'
+};
+
+const DEFAULT_TITLE_TEMPLATE = '{summary}';
+const DEFAULT_BODY_TEMPLATE = '{message}';
+
+// Waits before the 2nd, 3rd and 4th delivery attempt; the notification is dropped after that
+const RETRY_DELAYS_MS = [30 * 1000, 2 * 60 * 1000, 10 * 60 * 1000];
+
+const isFailure = (event) => event.endsWith('-failed');
+
+const CHANNEL_TYPES = {
+  webhook: {
+    label: 'JSON webhook',
+    async send(config, message, http) {
+      if (!config.url) throw new Error('No webhook URL configured');
+
+      await http.post(config.url, {
+        event: message.event,
+        title: message.title,
+        message: message.body,
+        timestamp: message.timestamp,
+        data: message.data
+      }, {
+        headers: config.authorization ? { Authorization: config.authorization } : {}
+      });
+    }
+  },
+
+  discord: {
+    label: 'Discord webhook',
+    async send(config, message, http) {
+      if (!config.webhookUrl) throw new Error('No Discord webhook URL configured');
+
+      await http.post(config.webhookUrl, {
+        username: 'MoeDownloader',
+        embeds: [{
+          // Discord rejects longer titles and descriptions
+          title: message.title.slice(0, 256),
+          description: message.body.slice(0, 4096),
+          color: isFailure(message.event) ? 0xdc2626 : message.event === 'download-completed' ? 0x16a34a : 0x6366f1,
+          timestamp: message.timestamp
+        }]
+      });
+    }
+  },
+
+  ntfy: {
+    label: 'ntfy',
+    async send(config, message, http) {
+      if (!config.topic) throw new Error('No ntfy topic configured');
+
+      // Publishing as JSON keeps non-ASCII titles intact, headers can't carry them
+      await http.post((config.serverUrl || 'https://ntfy.sh').replace(/\/+$/, ''), {
+        topic: config.topic,
+        title: message.title,
+        message: message.body,
+        priority: isFailure(message.event) ? 4 : 3,
+        tags: [isFailure(message.event) ? 'warning' : 'tv']
+      }, {
+        headers: config.token ? { Authorization: `Bearer ${config.token}` } : {}
+      });
+    }
+  },
+
+  gotify: {
+    label: 'Gotify',
+    async send(config, message, http) {
+      if (!config.serverUrl) throw new Error('No Gotify server configured');
+      if (!config.token) throw new Error('No Gotify application token configured');
+
+      await http.post(`${config.serverUrl.replace(/\/+$/, '')}/message`, {
+        title: message.title,
+        message: message.body,
+        priority: isFailure(message.event) ? 8 : 5
+      }, {
+        headers: { 'X-Gotify-Key': config.token }
+      });
+    }
+  },
+
+  email: {
+    label: 'Email (SMTP)',
+    async send(config, message) {
+      await sendMail({
+        host: config.host,
+        port: config.port,
+        security: config.security,
+        username: config.username,
+        password: config.password
+      }, {
+        from: config.from,
+        to: config.to,
+        subject: message.title,
+        text: message.body
+      });
+    }
+  }
+};
+
+/**
+ * Fill {variable} placeholders; unknown variables render empty
+ * @param {string} template
+ * @param {Object} values
+ * @returns {string}
+ */
+function renderMessageTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, name) => {
+    const value = values[name];
+    return value === undefined || value === null || typeof value === 'object' ? '' : String(value);
+  }).trim();
+}
+
+/**
+ * Readable reason for a failed delivery
+ * @param {Error} error
+ * @returns {string}
+ */
+function describeError(error) {
+  if (error.response) {
+    const detail = typeof error.response.data === 'string' ? error.response.data.slice(0, 200) : error.response.data?.message;
+    return `HTTP ${error.response.status}${detail ? `: ${detail}` : ''}`;
+  }
+  return error.message || 'Unknown error';
+}
+
+function createNotificationChannels() {
+  const http = createHttpClient({ timeout: 15000 });
+
+  const channels = {
+    /**
+     * Build the message for one channel
+     * @param {Object} channel - Channel row
+     * @param {string} event - Notification type, e.g. "download-completed"
+     * @param {Object} data - Notification payload
+     * @param {Object} summary - { title, body } as shown in the OS notification
+     */
+    buildMessage(channel, event, data, summary) {
+      const values = {
+        ...data,
+        event: NOTIFICATION_EVENTS[event] || event,
+        summary: summary.title,
+        message: summary.body
+      };
+
+      return {
+        event,
+        eventLabel: values.event,
+        title: renderMessageTemplate(channel.title_template || DEFAULT_TITLE_TEMPLATE, values) || summary.title,
+        body: renderMessageTemplate(channel.body_template || DEFAULT_BODY_TEMPLATE, values) || summary.body,
+        timestamp: new Date().toISOString(),
+        data
+      };
+    },
+
+    /**
+     * Send a notification to every enabled channel routed to its event type
+     * @param {string} event
+     * @param {Object} data
+     * @param {Object} summary - { title, body }
+     */
+    dispatch(event, data, summary) {
+      let targets;
+      try {
+        targets = notificationChannelOperations.getEnabled().filter(channel => channel.events.includes(event));
+      } catch (error) {
+        console.error('Error loading notification channels:', error);
+        return;
+      }
+
+      for (const channel of targets) {
+        this.deliver(channel, this.buildMessage(channel, event, data, summary), 0).catch((error) => {
+          console.error(`Error sending to notification channel "${channel.name}":`, error);
+        });
+      }
+    },
+
+    async deliver(channel, message, attempt) {
+      const type = CHANNEL_TYPES[channel.type];
+      if (!type) {
+        console.error(`❌ Notification channel "${channel.name}" has unknown type ${channel.type}`);
+        return;
+      }
+
+      try {
+        await type.send(channel.config, message, http);
+        notificationChannelOperations.recordSuccess(channel.id);
+        console.log(`📣 Sent "${message.title}" to ${type.label} channel "${channel.name}"`);
+      } catch (error) {
+        const reason = describeError(error);
+        notificationChannelOperations.recordError(channel.id, reason);
+
+        if (attempt >= RETRY_DELAYS_MS.length) {
+          console.error(`❌ Giving up on "${message.title}" for channel "${channel.name}" after ${attempt + 1} attempts: ${reason}`);
+          return;
+        }
+
+        const delay = RETRY_DELAYS_MS[attempt];
+        console.warn(`⚠️ Notification channel "${channel.name}" failed (${reason}), retrying in ${delay / 1000}s`);
+
+        setTimeout(() => {
+          // Pick up edits made in the meantime and stop when the channel was removed or disabled
+          const current = notificationChannelOperations.getById(channel.id);
+          if (current && current.enabled) {
+            this.deliver(current, message, attempt + 1).catch((error) => {
+              console.error(`Error retrying notification channel "${current.name}":`, error);
+            });
+          }
+        }, delay);
+      }
+    },
+
+    /**
+     * Send a sample notification right away, without retries
+     * @param {Object} channel - Saved or unsaved channel settings
+     * @returns {Promise<{success: boolean, error?: string}>}
+     */
+    async test(channel) {
+      const type = CHANNEL_TYPES[channel.type];
+      if (!type) {
+        return { success: false, error: `Unknown channel type: ${channel.type}` };
+      }
+
+      const message = this.buildMessage(channel, 'download-completed', {
+        title: '[SubsPlease] Sousou no Frieren - 05 (1080p)',
+        fileName: '[SubsPlease] Sousou no Frieren - 05 (1080p) [D1F8A2B3].mkv',
+        test: true
+      }, {
+        title: 'Download Completed',
+        body: 'This is a test notification from MoeDownloader'
+      });
+
+      try {
+        await type.send(channel.config || {}, message, http);
+        return { success: true };
+      } catch (error) {
+        return { success: false, error: describeError(error) };
+      }
+    }
+  };
+
+  return channels;
+}
+
+module.exports = { createNotificationChannels };
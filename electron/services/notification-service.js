@@ -1,14 +1,131 @@
 const { Notification } = require('electron');
-const { configOperations } = require('../lib/database');
+const { configOperations, notificationOperations, downloadOperations } = require('../lib/database');
+const { createNotificationChannels } = require('./notification-channels');
 
 let mainWindow = null;
+// How many notifications the inbox keeps
+const INBOX_SIZE = 1000;
+// Extra receivers of in-app notifications, e.g. remote web UI sessions
+const notificationListeners = [];
+
+// OS popups and channel messages of these types are coalesced when several arrive in a burst
+const BATCHED_EVENTS = {
+  'download-started': { title: 'Downloads Started', body: count => `Started downloading ${count} episodes` },
+  'download-completed': { title: 'Downloads Completed', body: count => `${count} episodes completed` },
+  'download-failed': { title: 'Downloads Failed', body: count => `${count} episodes failed to download`, urgency: 'critical' },
+  'new-episode-found': { title: 'New Episodes Available', body: count => `${count} new episodes found` },
+  'episode-overdue': { title: 'Episodes Overdue', body: count => `${count} aired episodes haven't been downloaded` }
+};
+// Titles named in a batched message before "and N more"
+const BATCH_LIST_SIZE = 5;
+// Titles listed per section of the daily digest
+const DIGEST_LIST_SIZE = 10;
+// How often the digest time is checked
+const DIGEST_CHECK_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Parse a local "HH:MM" setting
+ * @param {string} value
+ * @returns {number|null} - Minutes after midnight
+ */
+function parseTimeOfDay(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+  if (!match) return null;
+
+  const hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  return hours < 24 && minutes < 60 ? hours * 60 + minutes : null;
+}
+
+/**
+ * Whether a time falls into the quiet hours
+ * @param {number|null} start - Minutes after midnight
+ * @param {number|null} end - Minutes after midnight
+ * @param {Date} now
+ * @returns {boolean}
+ */
+function isWithinQuietHours(start, end, now = new Date()) {
+  if (start === null || end === null || start === end) return false;
+
+  const minutes = now.getHours() * 60 + now.getMinutes();
+  // Windows like 22:00-08:00 wrap around midnight
+  return start < end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+}
+
+// Local calendar date, used to send the digest once per day
+function localDate(date) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Name of the episode a notification is about
+function describeItem(type, data) {
+  const name = data?.title || data?.fileName || 'Unknown';
+  return (type === 'new-episode-found' || type === 'episode-overdue') && data.episode ? `${name} - Episode ${data.episode}` : name;
+}
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+// "A, B, C and 2 more"
+function listNames(names, size) {
+  const listed = names.slice(0, size).join(', ');
+  return names.length > size ? `${listed} and ${names.length - size} more` : listed;
+}
+
+function showMainWindow() {
+  if (mainWindow) {
+    mainWindow.show();
+    mainWindow.focus();
+  }
+}
 
 function createNotificationService() {
+  const channels = createNotificationChannels();
+  // Bursts waiting to be sent, by notification type: { items: [{ data, summary }], timer }
+  const pendingBatches = new Map();
+  // Notifications held back during quiet hours, by notification type: [{ data, summary }]
+  const quietHoursHeld = new Map();
+  let digestInterval = null;
+
   const service = {
     setMainWindow(window) {
       mainWindow = window;
     },
 
+    /**
+     * Start checking for the daily digest
+     */
+    start() {
+      if (digestInterval) {
+        clearInterval(digestInterval);
+      }
+      digestInterval = setInterval(() => {
+        this.releaseQuietHours();
+        this.checkDigest();
+      }, DIGEST_CHECK_INTERVAL_MS);
+      this.checkDigest();
+    },
+
+    stop() {
+      if (digestInterval) {
+        clearInterval(digestInterval);
+        digestInterval = null;
+      }
+
+      // Held bursts are still in the inbox, popping them up while quitting isn't useful
+      for (const batch of pendingBatches.values()) {
+        clearTimeout(batch.timer);
+      }
+      pendingBatches.clear();
+      quietHoursHeld.clear();
+    },
+
+    addNotificationListener(listener) {
+      notificationListeners.push(listener);
+    },
+
     // Check if OS notifications are enabled in settings
     isOSNotificationsEnabled() {
       try {
@@ -32,10 +149,53 @@ function createNotificationService() {
       }
     },
 
-    // Send in-app notification (existing functionality)
-    sendNotification(type, data) {
+    /**
+     * Store a notification in the inbox
+     * @param {string} type
+     * @param {Object} data
+     * @param {Object} summary - { title, body }
+     * @returns {number|null} - Inbox ID
+     */
+    recordInbox(type, data, summary) {
+      try {
+        // Download events carry the download ID; link its whitelist entry too
+        const downloadId = type.startsWith('download-') ? data?.id : null;
+        const download = downloadId ? downloadOperations.getById(downloadId) : null;
+
+        const id = notificationOperations.add({
+          type,
+          title: summary.title,
+          body: summary.body,
+          data,
+          downloadId: download ? download.id : null,
+          whitelistEntryId: data?.whitelistEntryId || download?.whitelist_entry_id || null
+        });
+
+        if (id % 100 === 0) {
+          notificationOperations.cleanup(INBOX_SIZE);
+        }
+        return id;
+      } catch (error) {
+        console.error('Error storing notification:', error);
+        return null;
+      }
+    },
+
+    // Send in-app notification and keep it in the inbox
+    sendNotification(type, data, summary = null) {
+      const inboxId = this.recordInbox(type, data, summary || { title: type, body: '' });
+      const notification = { type, data, inboxId };
+
       if (mainWindow && mainWindow.webContents) {
-        mainWindow.webContents.send('app-notification', { type, data });
+        mainWindow.webContents.send('app-notification', notification);
+      }
+
+      for (const listener of notificationListeners) {
+        try {
+          listener(notification);
+        } catch (error) {
+          console.error('Error in notification listener:', error);
+        }
       }
     },
 
@@ -75,21 +235,250 @@ function createNotificationService() {
       }
     },
 
-    // Combined notification method (both in-app and OS)
+    // Send a sample notification through a channel from Settings
+    testChannel(channel) {
+      return channels.test(channel);
+    },
+
+    isQuietHours(now = new Date()) {
+      if (configOperations.get('notification_quiet_hours_enabled') !== 'true') {
+        return false;
+      }
+
+      return isWithinQuietHours(
+        parseTimeOfDay(configOperations.get('notification_quiet_hours_start')),
+        parseTimeOfDay(configOperations.get('notification_quiet_hours_end')),
+        now
+      );
+    },
+
+    // Combined notification method (in-app, OS and outbound channels)
     notify(type, data, osNotificationConfig = null) {
       // Always send in-app notification
-      this.sendNotification(type, data);
+      this.sendNotification(type, data, osNotificationConfig);
+
+      if (!osNotificationConfig) {
+        return;
+      }
 
-      // Send OS notification if configured and enabled for this type
-      if (osNotificationConfig && this.isNotificationTypeEnabled(type)) {
-        this.sendOSNotification(
-          osNotificationConfig.title,
-          osNotificationConfig.body,
-          osNotificationConfig.options || {}
-        );
+      if (BATCHED_EVENTS[type] && configOperations.get('notification_batching_enabled') === 'true') {
+        this.queueBatch(type, data, osNotificationConfig);
+      } else {
+        this.deliver(type, data, osNotificationConfig);
       }
     },
 
+    /**
+     * Send a notification to the outbound channels and as an OS popup,
+     * or hold it until quiet hours end
+     * @param {string} type
+     * @param {Object} data
+     * @param {Object} summary - { title, body, options }
+     * @param {Object} options - { ignoreQuietHours }
+     */
+    deliver(type, data, summary, options = {}) {
+      if (!options.ignoreQuietHours && this.isQuietHours()) {
+        console.log(`🌙 Quiet hours, holding back "${summary.title}" until they end`);
+        if (!quietHoursHeld.has(type)) {
+          quietHoursHeld.set(type, []);
+        }
+        quietHoursHeld.get(type).push({ data, summary });
+        return;
+      }
+
+      // Channels have their own per-event routing
+      channels.dispatch(type, data, summary);
+
+      // Send OS notification if enabled for this type
+      if (this.isNotificationTypeEnabled(type)) {
+        this.sendOSNotification(summary.title, summary.body, summary.options || {});
+      }
+    },
+
+    /**
+     * Hold a notification so a burst of the same type goes out as one summary
+     * @param {string} type
+     * @param {Object} data
+     * @param {Object} summary
+     */
+    queueBatch(type, data, summary) {
+      let batch = pendingBatches.get(type);
+
+      if (!batch) {
+        const windowMs = (parseInt(configOperations.get('notification_batch_window_seconds')) || 0) * 1000;
+        if (windowMs <= 0) {
+          this.deliver(type, data, summary);
+          return;
+        }
+
+        batch = { items: [], timer: setTimeout(() => this.flushBatch(type), windowMs) };
+        pendingBatches.set(type, batch);
+      }
+
+      batch.items.push({ data, summary });
+    },
+
+    flushBatch(type) {
+      const batch = pendingBatches.get(type);
+      if (!batch) return;
+
+      pendingBatches.delete(type);
+      clearTimeout(batch.timer);
+      this.deliverCombined(type, batch.items);
+    },
+
+    /**
+     * Send what was held back during quiet hours once they are over, one summary per type
+     * @param {Date} now
+     */
+    releaseQuietHours(now = new Date()) {
+      try {
+        if (quietHoursHeld.size === 0 || this.isQuietHours(now)) return;
+
+        const held = [...quietHoursHeld.entries()];
+        quietHoursHeld.clear();
+        console.log('🌙 Quiet hours are over, sending held back notifications');
+
+        for (const [type, items] of held) {
+          this.deliverCombined(type, items);
+        }
+      } catch (error) {
+        console.error('Error sending held back notifications:', error);
+      }
+    },
+
+    /**
+     * Deliver several notifications of one type as a single summary
+     * @param {string} type
+     * @param {Array<{ data: Object, summary: Object }>} items
+     */
+    deliverCombined(type, items) {
+      const policy = BATCHED_EVENTS[type];
+
+      // A single notification goes out unchanged, and types without a summary text go out one by one
+      if (items.length === 1 || !policy) {
+        for (const item of items) {
+          this.deliver(type, item.data, item.summary);
+        }
+        return;
+      }
+
+      const names = items.map(item => describeItem(type, item.data));
+      const count = items.length;
+
+      this.deliver(type, {
+        count,
+        titles: names,
+        items: items.map(item => item.data)
+      }, {
+        title: policy.title,
+        body: `${policy.body(count)}: ${listNames(names, BATCH_LIST_SIZE)}`,
+        options: {
+          urgency: policy.urgency || 'normal',
+          onClick: showMainWindow
+        }
+      });
+    },
+
+    /**
+     * Send the daily digest once the configured time has passed today
+     * @param {Date} now
+     */
+    checkDigest(now = new Date()) {
+      try {
+        if (configOperations.get('notification_digest_enabled') !== 'true') return;
+
+        const time = parseTimeOfDay(configOperations.get('notification_digest_time'));
+        const today = localDate(now);
+        if (time === null || configOperations.get('notification_digest_last_sent') === today) return;
+        if (now.getHours() * 60 + now.getMinutes() < time) return;
+
+        configOperations.set('notification_digest_last_sent', today);
+        this.sendDigest();
+      } catch (error) {
+        console.error('Error sending daily digest:', error);
+      }
+    },
+
+    /**
+     * Summarize the downloads, failures and AniList syncs of the last 24 hours from the inbox
+     * @param {Date} since
+     * @returns {{ title: string, body: string, data: Object, empty: boolean }}
+     */
+    buildDigest(since = new Date(Date.now() - 24 * 60 * 60 * 1000)) {
+      // Oldest first
+      const entries = notificationOperations.getRecent({ since, limit: INBOX_SIZE }).reverse();
+      const ofType = type => entries.filter(entry => entry.type === type);
+
+      const completed = ofType('download-completed').map(entry => describeItem(entry.type, entry.data));
+      const failed = ofType('download-failed').map(entry => describeItem(entry.type, entry.data));
+      const syncs = ofType('anilist-sync-completed');
+      const syncFailures = ofType('anilist-sync-failed');
+
+      let summary = completed.length > 0 || failed.length > 0
+        ? `${plural(completed.length, 'download')} completed, ${failed.length} failed`
+        : 'No downloads';
+      if (syncs.length > 0 || syncFailures.length > 0) {
+        summary += `; AniList synced ${plural(syncs.length, 'time')}`;
+        if (syncFailures.length > 0) {
+          summary += `, ${plural(syncFailures.length, 'sync')} failed`;
+        }
+      }
+
+      const lines = [summary];
+      if (completed.length > 0) {
+        lines.push('', 'Completed:', ...completed.slice(0, DIGEST_LIST_SIZE).map(name => `- ${name}`));
+        if (completed.length > DIGEST_LIST_SIZE) lines.push(`- and ${completed.length - DIGEST_LIST_SIZE} more`);
+      }
+      if (failed.length > 0) {
+        lines.push('', 'Failed:', ...failed.slice(0, DIGEST_LIST_SIZE).map(name => `- ${name}`));
+        if (failed.length > DIGEST_LIST_SIZE) lines.push(`- and ${failed.length - DIGEST_LIST_SIZE} more`);
+      }
+
+      return {
+        title: 'Daily Digest',
+        body: lines.join('\n'),
+        empty: entries.every(entry => !['download-completed', 'download-failed', 'anilist-sync-completed', 'anilist-sync-failed'].includes(entry.type)),
+        data: {
+          summary,
+          since: since.toISOString(),
+          completed: completed.length,
+          failed: failed.length,
+          anilistSyncs: syncs.length,
+          anilistSyncFailures: syncFailures.length,
+          lastSyncedEntries: syncs.at(-1)?.data?.totalSynced ?? null,
+          completedTitles: completed,
+          failedTitles: failed
+        }
+      };
+    },
+
+    /**
+     * Send the digest now
+     * @param {Object} options - { force: send even when nothing happened }
+     * @returns {Object|null} - The digest, or null when it was skipped
+     */
+    sendDigest(options = {}) {
+      const digest = this.buildDigest();
+
+      if (digest.empty && !options.force) {
+        console.log('📰 Nothing happened in the last day, skipping the daily digest');
+        return null;
+      }
+
+      const summary = {
+        title: digest.title,
+        body: digest.body,
+        options: { onClick: showMainWindow }
+      };
+
+      // The digest is scheduled on purpose, so quiet hours don't hold it back
+      this.sendNotification('daily-digest', digest.data, summary);
+      this.deliver('daily-digest', digest.data, summary, { ignoreQuietHours: true });
+      console.log(`📰 Sent daily digest: ${digest.data.summary}`);
+      return digest;
+    },
+
     // Specific notification types with OS notification support
     downloadCompleted(downloadInfo) {
       this.notify('download-completed', downloadInfo, {
@@ -138,15 +527,24 @@ function createNotificationService() {
     },
 
     downloadRetrying(downloadInfo) {
-      this.sendNotification('download-retrying', downloadInfo);
+      this.sendNotification('download-retrying', downloadInfo, {
+        title: 'Download Retrying',
+        body: `Retrying ${downloadInfo.title} (attempt ${downloadInfo.attempt} of ${downloadInfo.maxRetries})`
+      });
     },
 
     downloadPaused(downloadInfo) {
-      this.sendNotification('download-paused', downloadInfo);
+      this.sendNotification('download-paused', downloadInfo, {
+        title: 'Download Paused',
+        body: `${downloadInfo.title} has been paused`
+      });
     },
 
     downloadResumed(downloadInfo) {
-      this.sendNotification('download-resumed', downloadInfo);
+      this.sendNotification('download-resumed', downloadInfo, {
+        title: 'Download Resumed',
+        body: `${downloadInfo.title} has been resumed`
+      });
     },
 
     rssProcessed(result) {
@@ -197,6 +595,16 @@ function createNotificationService() {
       });
     },
 
+    episodeOverdue(episodeInfo) {
+      this.notify('episode-overdue', episodeInfo, {
+        title: 'Episode Overdue',
+        body: `${episodeInfo.title} - Episode ${episodeInfo.episode} aired ${episodeInfo.hoursOverdue} hours ago but hasn't been downloaded`,
+        options: {
+          onClick: showMainWindow
+        }
+      });
+    },
+
     anilistSyncFailed(error) {
       this.notify('anilist-sync-failed', { error }, {
         title: 'AniList Sync Failed',
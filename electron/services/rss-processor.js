@@ -1,18 +1,22 @@
 const { get } = require('../lib/http-client');
-const xml2js = require('xml2js');
 const {
   whitelistOperations,
   downloadOperations,
   rssOperations,
+  feedOperations,
+  fansubGroupOperations,
   configOperations,
   anilistAnimeCacheOperations,
   processedFilesOperations,
   processedGuidsOperations
 } = require("../lib/database");
 const { parseFilename } = require('../lib/filename-parser');
+const { parseFeed, parseSize, formatSize } = require('../lib/feed-parser');
+const { redactApiKey } = require('../lib/torznab');
+const { getFeedProvider, getSearchProvider } = require('../lib/feed-providers');
+const { scoreRelease, formatScore } = require('../lib/release-scorer');
 const { createAnimeRelationsManager } = require('./anime-relations');
 const { createTitleOverridesManager } = require('./title-overrides');
-const { ALLOWED_FANSUB_GROUPS } = require('../lib/constants');
 const { getDatabase } = require('../lib/database');
 
 function createRSSProcessor(notificationService = null, anilistService = null, activityLogger = null, sharedAnimeRelationsManager = null, sharedTitleOverridesManager = null) {
@@ -41,36 +45,44 @@ function createRSSProcessor(notificationService = null, anilistService = null, a
 
     /**
      * Detect the type of RSS feed based on URL
-     * @param {string} rssUrl - RSS feed URL
+     * @param {string|Object} feed - RSS feed URL or feed record
      * @returns {string} - Feed type identifier
      */
-    detectFeedType(rssUrl) {
-      if (rssUrl.includes('nyaa.si')) {
-        return 'Nyaa.si';
-      } else if (rssUrl.includes('tokyotosho.info')) {
-        return 'Tokyo Toshokan';
-      } else {
-        return 'Unknown';
-      }
+    detectFeedType(feed) {
+      return getFeedProvider(feed).name;
     },
 
 
 
+    /**
+     * Load the global group allowlist and blacklist, once per feed pass instead of once per release
+     * @returns {Object} - { allowAll, allowed, blacklisted } with lowercase group names
+     */
+    getGroupRules() {
+      const groups = fansubGroupOperations.getAll();
+      const disabledGroups = configOperations.get('disabled_fansub_groups') || '';
+
+      return {
+        // An empty allowlist accepts every group
+        allowAll: groups.length === 0,
+        allowed: new Set(groups.filter(group => group.enabled).map(group => group.name.toLowerCase())),
+        blacklisted: new Set(disabledGroups.split(',').map(g => g.trim().toLowerCase()).filter(g => g))
+      };
+    },
+
     /**
      * Check if a fansub group is globally blacklisted
      * @param {string} releaseGroup - The release group name
      * @param {string} preferredGroup - The preferred group from whitelist entry (for override)
+     * @param {Object} groupRules - From getGroupRules, loaded when not given
      * @returns {boolean} - True if group is blacklisted and not overridden
      */
-    isGroupBlacklisted(releaseGroup, preferredGroup = null) {
+    isGroupBlacklisted(releaseGroup, preferredGroup = null, groupRules = null) {
       try {
         if (!releaseGroup) return false;
 
-        const disabledGroups = configOperations.get('disabled_fansub_groups') || '';
-        if (!disabledGroups) return false;
-
-        const blacklistedGroups = disabledGroups.split(',').map(g => g.trim().toLowerCase()).filter(g => g);
-        const isBlacklisted = blacklistedGroups.includes(releaseGroup.toLowerCase());
+        const { blacklisted } = groupRules || this.getGroupRules();
+        const isBlacklisted = blacklisted.has(releaseGroup.toLowerCase());
 
         // Check for manual override - if the whitelist entry specifically sets this group, allow it
         if (isBlacklisted && preferredGroup && preferredGroup !== 'any') {
@@ -92,20 +104,95 @@ function createRSSProcessor(notificationService = null, anilistService = null, a
       }
     },
 
+    /**
+     * Get the groups a whitelist entry is restricted to (falls back to the legacy preferred_group)
+     * @param {Object} entry - Whitelist entry
+     * @returns {Array<string>} - Group names, empty when the entry accepts any allowed group
+     */
+    getEntryAllowedGroups(entry) {
+      if (!entry) return [];
+
+      if (entry.allowed_groups) {
+        try {
+          const groups = Array.isArray(entry.allowed_groups) ? entry.allowed_groups : JSON.parse(entry.allowed_groups);
+          if (Array.isArray(groups)) {
+            return groups.filter(g => g);
+          }
+        } catch (error) {
+          console.warn(`⚠️ RSS: Invalid allowed_groups for whitelist entry "${entry.title}"`);
+        }
+      }
+
+      const preferredGroup = entry.preferred_group || entry.group;
+      return preferredGroup && preferredGroup !== 'any' ? [preferredGroup] : [];
+    },
+
     /**
      * Check if a fansub group is in the allowed list
      * @param {string} releaseGroup - The release group name
+     * @param {Array} whitelistEntries - Entries whose own group selection may opt into extra groups
+     * @param {Object} groupRules - From getGroupRules, loaded when not given
      * @returns {boolean} - True if group is allowed
      */
-    isGroupAllowed(releaseGroup) {
+    isGroupAllowed(releaseGroup, whitelistEntries = [], groupRules = null) {
       if (!releaseGroup) {
         return false;
       }
 
-      // Check if the group is in our allowed list
-      const isAllowed = ALLOWED_FANSUB_GROUPS.includes(releaseGroup);
+      const groupLower = releaseGroup.toLowerCase();
+      const { allowAll, allowed } = groupRules || this.getGroupRules();
+
+      // Check the global allowlist managed in Settings
+      if (allowAll || allowed.has(groupLower)) {
+        return true;
+      }
+
+      // Whitelist entries can opt into groups outside the global list
+      return whitelistEntries.some(entry =>
+        this.getEntryAllowedGroups(entry).some(group => group.toLowerCase() === groupLower)
+      );
+    },
+
+    /**
+     * Score a release against the other candidates for the same episode
+     * @param {Object} parsedData - Parsed filename data
+     * @param {string} title - Original release title
+     * @param {boolean} trusted - Whether the tracker marks the uploader as trusted
+     * @param {number|null} seeders - Seeders reported by the feed or indexer
+     * @returns {Object} - Score with total and per-factor breakdown
+     */
+    scoreCandidate(parsedData, title, trusted = false, seeders = null) {
+      const groups = fansubGroupOperations.getEnabled();
+      const releaseGroup = (parsedData?.releaseGroup || '').toLowerCase();
+      const groupRank = groups.findIndex(group => group.name.toLowerCase() === releaseGroup);
+
+      return scoreRelease(parsedData, {
+        title,
+        groupRank,
+        groupCount: groups.length,
+        trusted,
+        seeders
+      });
+    },
+
+    /**
+     * Check the seeder and size limits; releases without that information pass
+     * @param {Object} item - Feed item with seeders and size (bytes or "1.4 GiB")
+     * @returns {string|null} - Reason the release was filtered out, null if it passes
+     */
+    checkReleaseFilters(item) {
+      const minSeeders = parseInt(configOperations.get('min_seeders') || '0') || 0;
+      if (minSeeders > 0 && typeof item.seeders === 'number' && item.seeders < minSeeders) {
+        return `only ${item.seeders} seeder(s), minimum is ${minSeeders}`;
+      }
+
+      const maxSizeMb = parseInt(configOperations.get('max_release_size_mb') || '0') || 0;
+      const size = parseSize(item.size);
+      if (maxSizeMb > 0 && size && size > maxSizeMb * 1024 * 1024) {
+        return `size ${formatSize(size)} exceeds ${maxSizeMb} MB`;
+      }
 
-      return isAllowed;
+      return null;
     },
 
     /**
@@ -143,8 +230,8 @@ function createRSSProcessor(notificationService = null, anilistService = null, a
         variations.add(this.normalizeAnimeTitle(whitelistEntry.title));
       }
 
-      // If this is an AniList entry, get cached anime data for more title variations
-      if (whitelistEntry?.source_type === 'anilist' && whitelistEntry?.anilist_id) {
+      // If this is a list-synced entry matched to AniList, get cached anime data for more title variations
+      if (whitelistEntry?.source_type !== 'manual' && whitelistEntry?.anilist_id) {
         try {
           const cachedAnime = anilistAnimeCacheOperations.getByAnilistId(whitelistEntry.anilist_id);
           if (cachedAnime && cachedAnime.anime_data && cachedAnime.anime_data !== 'undefined') {
@@ -199,6 +286,55 @@ function createRSSProcessor(notificationService = null, anilistService = null, a
       return false;
     },
 
+    /**
+     * Get the processed file record for an episode using any title variation
+     * @param {string} episodeNumber - Episode number
+     * @param {Array<string>} titleVariations - Array of normalized title variations
+     * @returns {Object|null} - Processed file record if found, null otherwise
+     */
+    findProcessedEpisodeAnyVariation(episodeNumber, titleVariations) {
+      for (const titleVariation of titleVariations) {
+        const processedFile = processedFilesOperations.findByEpisode(episodeNumber, titleVariation);
+        if (processedFile) {
+          return processedFile;
+        }
+      }
+      return null;
+    },
+
+    /**
+     * Check whether a release should replace an already processed episode
+     * @param {Object} entry - Whitelist entry
+     * @param {Object} processedFile - Existing processed file record
+     * @param {Object} parsedData - Parsed data of the new release
+     * @param {string} title - Title of the new release
+     * @returns {Object|null} - Upgrade details if the new release is better, null otherwise
+     */
+    evaluateUpgrade(entry, processedFile, parsedData, title) {
+      if (!entry.upgrade_enabled || !processedFile) {
+        return null;
+      }
+
+      // Same release seen again (e.g. from another feed)
+      if (processedFile.original_filename === title) {
+        return null;
+      }
+
+      // Trusted status of the existing release is unknown, so compare both without it
+      const currentScore = this.scoreCandidate(parseFilename(processedFile.original_filename), processedFile.original_filename, false);
+      const newScore = this.scoreCandidate(parsedData, title, false);
+
+      if (newScore.total <= currentScore.total) {
+        return null;
+      }
+
+      return {
+        processedFile,
+        currentScore,
+        newScore
+      };
+    },
+
     /**
      * Check if episode is queued using any title variation
      * @param {string} episodeNumber - Episode number
@@ -313,6 +449,15 @@ function createRSSProcessor(notificationService = null, anilistService = null, a
       for (const [animeTitle, animeCandidates] of animeGroups) {
         console.log(`🎯 RSS: Selecting from ${animeCandidates.length} candidates for "${animeTitle}"`);
 
+        // Backfill mode: keep the best release of every missing episode instead of only the latest
+        const entry = animeCandidates[0].matchResult.entry;
+        if (entry.backfill_enabled) {
+          const backfillSelection = this.selectBestPerEpisode(animeCandidates, parseInt(entry.backfill_start_episode) || 1);
+          console.log(`📚 RSS: Backfill enabled for "${entry.title}" - selected episodes: ${backfillSelection.map(c => c.episodeNumber).join(', ') || 'none'}`);
+          selectedCandidates.push(...backfillSelection);
+          continue;
+        }
+
         // Get the highest episode already processed/queued for this anime
         const titleVariations = animeCandidates[0].titleVariations;
         const highestProcessedEpisode = this.getHighestProcessedEpisode(titleVariations);
@@ -339,24 +484,31 @@ function createRSSProcessor(notificationService = null, anilistService = null, a
           continue;
         }
 
-        // Sort valid candidates by episode number (descending) to get the latest episode first
+        // Sort valid candidates by episode number (descending) to get the latest episode first,
+        // then by release score so the best release of that episode wins
         const sortedCandidates = validCandidates.sort((a, b) => {
           const episodeA = parseInt(a.episodeNumber) || 0;
           const episodeB = parseInt(b.episodeNumber) || 0;
-          return episodeB - episodeA;
+          if (episodeA !== episodeB) {
+            return episodeB - episodeA;
+          }
+          return (b.score?.total || 0) - (a.score?.total || 0);
         });
 
         // Select the latest episode (first after sorting)
         const selected = sortedCandidates[0];
         selectedCandidates.push(selected);
 
-        console.log(`🎯 RSS: Selected Episode ${selected.episodeNumber} [${selected.releaseGroup}] for "${animeTitle}"`);
+        console.log(`🎯 RSS: Selected Episode ${selected.episodeNumber} [${selected.releaseGroup}] for "${animeTitle}" (score ${formatScore(selected.score)})`);
 
         // Log skipped candidates
         if (sortedCandidates.length > 1) {
           const skipped = sortedCandidates.slice(1);
           for (const skippedCandidate of skipped) {
-            console.log(`⏭️  RSS: Skipped Episode ${skippedCandidate.episodeNumber} [${skippedCandidate.releaseGroup}] (older than selected episode)`);
+            const reason = skippedCandidate.episodeNumber === selected.episodeNumber
+              ? `lower score ${formatScore(skippedCandidate.score)}`
+              : 'older than selected episode';
+            console.log(`⏭️  RSS: Skipped Episode ${skippedCandidate.episodeNumber} [${skippedCandidate.releaseGroup}] (${reason})`);
           }
         }
       }
@@ -364,24 +516,23 @@ function createRSSProcessor(notificationService = null, anilistService = null, a
       return selectedCandidates;
     },
 
-    async processFeed(rssUrl) {
+    /**
+     * Check a feed for new releases
+     * @param {string|Object} source - Feed URL or row of the feeds table
+     */
+    async processFeed(source) {
       try {
-        // Detect feed type for better logging and processing
-        const feedType = this.detectFeedType(rssUrl);
-        console.log(`📡 RSS: Processing ${feedType} feed: ${rssUrl}`);
+        // The provider knows how to poll the feed and which extra fields its items carry
+        const provider = getFeedProvider(source);
+        const feedType = provider.name;
+        const rssUrl = provider.getFeedUrl(typeof source === 'string' ? { url: source } : source);
+        console.log(`📡 RSS: Processing ${feedType} feed: ${redactApiKey(rssUrl)}`);
 
         // Fetch RSS feed
         const response = await get(rssUrl);
 
-        // Parse XML
-        const parser = new xml2js.Parser();
-        const parsedResult = await parser.parseStringPromise(response.data);
-
-        if (!parsedResult.rss || !parsedResult.rss.channel || !parsedResult.rss.channel[0].item) {
-          throw new Error('Invalid RSS feed format');
-        }
-
-        const items = parsedResult.rss.channel[0].item;
+        // RSS 2.0, Atom or JSON Feed
+        const { items } = await parseFeed(response.data, provider);
         console.log(`📡 RSS: Found ${items.length} items in ${feedType} feed`);
 
         let processedCount = 0;
@@ -399,21 +550,19 @@ function createRSSProcessor(notificationService = null, anilistService = null, a
           };
         }
 
+        const groupRules = this.getGroupRules();
+
         // Phase 1: Collect all download candidates
         console.log(`\n${'='.repeat(80)}`);
         console.log(`📋 RSS: Phase 1 - Collecting download candidates...`);
         console.log(`${'='.repeat(80)}`);
 
         const downloadCandidates = [];
+        const upgradeCandidates = [];
 
         for (const item of items) {
           try {
-            const guid = item.guid?.[0]?._ || item.guid?.[0] || item.link?.[0];
-            const title = item.title?.[0] || '';
-            const link = item.link?.[0] || '';
-            const pubDate = item.pubDate?.[0] || '';
-
-
+            const { guid, title, link, pubDate, trusted, seeders, size, infoHash } = item;
 
             if (!guid || !title || !link) {
               continue;
@@ -424,6 +573,22 @@ function createRSSProcessor(notificationService = null, anilistService = null, a
               continue;
             }
 
+            // First, parse the filename to get release group info
+            const parsedData = parseFilename(title);
+            const releaseGroup = parsedData?.releaseGroup;
+
+            // Filtered releases aren't marked as processed, so they are looked at again
+            // once the group is allowed or the release has gained enough seeders
+            if (!this.isGroupAllowed(releaseGroup, whitelistEntries, groupRules)) {
+              continue; // Skip silently for disallowed groups
+            }
+
+            const filterReason = this.checkReleaseFilters(item);
+            if (filterReason) {
+              console.log(`⏭️  RSS: Skipping "${title}": ${filterReason}`);
+              continue;
+            }
+
             // Mark GUID as processed
             processedGuidsOperations.add(guid);
             processedCount++;
@@ -432,17 +597,8 @@ function createRSSProcessor(notificationService = null, anilistService = null, a
             const rssResult = rssOperations.add(null, guid, title, link, pubDate);
             const rssId = rssResult.lastInsertRowid;
 
-            // First, parse the filename to get release group info
-            const parsedData = parseFilename(title);
-            const releaseGroup = parsedData?.releaseGroup;
-
-            // Check if the release group is in our allowed list BEFORE checking whitelist
-            if (!this.isGroupAllowed(releaseGroup)) {
-              continue; // Skip silently for disallowed groups
-            }
-
             // Check against whitelist with enhanced matching
-            const matchResult = await this.findMatchingWhitelistEntry(title, whitelistEntries);
+            const matchResult = await this.findMatchingWhitelistEntry(title, whitelistEntries, groupRules);
             if (matchResult.entry) {
               // IMPORTANT: Apply anime relations and episode mapping BEFORE duplicate checks
               let episodeNumber = matchResult.parsedData?.episodeNumber || '';
@@ -545,6 +701,11 @@ function createRSSProcessor(notificationService = null, anilistService = null, a
                   titleVariations,
                   releaseGroup,
                   parsedData,
+                  trusted,
+                  seeders,
+                  size,
+                  infoHash,
+                  score: this.scoreCandidate(parsedData, title, trusted, seeders),
                   // Flag to indicate if mapping was applied
                   episodeMappingApplied: mappedEpisodeNumber !== episodeNumber || mappedAnimeTitle !== animeTitle
                 });
@@ -555,14 +716,40 @@ function createRSSProcessor(notificationService = null, anilistService = null, a
                   console.log(`📋 RSS: Added candidate: "${mappedAnimeTitle}" Episode ${mappedEpisodeNumber} [${releaseGroup}]`);
                 }
               } else if (alreadyProcessed) {
-                console.log(`⏭️  RSS: Episode already processed: "${mappedAnimeTitle}" Episode ${mappedEpisodeNumber}`);
+                const upgrade = existingQueuedDownload ? null : this.evaluateUpgrade(
+                  matchResult.entry,
+                  this.findProcessedEpisodeAnyVariation(mappedEpisodeNumber, titleVariations),
+                  parsedData,
+                  title
+                );
+
+                if (upgrade) {
+                  upgradeCandidates.push({
+                    rssId,
+                    guid,
+                    title,
+                    link,
+                    pubDate,
+                    matchResult,
+                    episodeNumber: mappedEpisodeNumber,
+                    animeTitle: mappedAnimeTitle,
+                    primaryNormalizedTitle,
+                    releaseGroup,
+                    parsedData,
+                    score: upgrade.newScore,
+                    upgrade
+                  });
+                  console.log(`⬆️  RSS: Upgrade candidate: "${mappedAnimeTitle}" Episode ${mappedEpisodeNumber} [${releaseGroup}] (score ${upgrade.currentScore.total} → ${upgrade.newScore.total})`);
+                } else {
+                  console.log(`⏭️  RSS: Episode already processed: "${mappedAnimeTitle}" Episode ${mappedEpisodeNumber}`);
+                }
               } else if (existingQueuedDownload) {
                 console.log(`⏭️  RSS: Episode already queued: "${mappedAnimeTitle}" Episode ${mappedEpisodeNumber}`);
               }
 
               // Check if the release group is globally blacklisted
               const preferredGroup = matchResult.entry.preferred_group || matchResult.entry.group;
-              if (this.isGroupBlacklisted(releaseGroup, preferredGroup)) {
+              if (this.isGroupBlacklisted(releaseGroup, preferredGroup, groupRules)) {
                 console.log(`🚫 RSS: Skipping blacklisted group "${releaseGroup}" for: "${title}"`);
                 if (activityLogger) {
                   activityLogger.episodeSkipped(title, `Blacklisted group: ${releaseGroup}`);
@@ -593,67 +780,33 @@ function createRSSProcessor(notificationService = null, anilistService = null, a
 
         for (const candidate of selectedDownloads) {
           try {
-            console.log(`\n🎬 RSS: Processing episode: "${candidate.title}"`);
-            console.log(`✅ RSS: Found whitelist match: "${candidate.matchResult.entry.title}"`);
-            console.log(`📊 RSS: Episode ${candidate.episodeNumber} [${candidate.releaseGroup}]`);
-
-            // Log whitelist match
-            if (activityLogger) {
-              activityLogger.whitelistMatch(candidate.title, candidate.matchResult.entry.title, candidate.matchResult.parsedData);
-            }
-
-            // Create download using mapped episode information
-            const finalTitle = this.generateFinalTitle(candidate.title, candidate.matchResult.entry, {
-              ...candidate.matchResult.parsedData,
-              episodeNumber: candidate.episodeNumber,  // Use mapped episode number
-              animeTitle: candidate.animeTitle         // Use mapped anime title
-            });
-
-            const downloadData = {
-              rssEntryId: candidate.rssId,
-              torrentLink: candidate.link,
-              torrentTitle: candidate.title,
-              finalTitle: finalTitle,
-              status: 'queued'
-            };
-
-            try {
-              downloadOperations.add(downloadData);
+            if (this.queueCandidate(candidate)) {
               downloadedCount++;
-              console.log(`🎉 RSS: Successfully queued download: "${finalTitle}"`);
-            } catch (downloadError) {
-              console.error(`Failed to add download to database:`, downloadError);
-              throw downloadError;
             }
+          } catch (candidateError) {
+            console.error('💥 RSS: Error processing selected candidate:', candidateError);
+          }
+        }
 
-            // Track this file as processed (using MAPPED information for consistent duplicate detection)
-            const processedFileData = {
-              whitelist_entry_id: candidate.matchResult.entry.id,
-              original_filename: candidate.title,
-              final_title: finalTitle,
-              episode_number: candidate.episodeNumber,        // Use mapped episode number
-              anime_title: candidate.primaryNormalizedTitle,  // Use normalized mapped title
-              release_group: candidate.releaseGroup,
-              video_resolution: candidate.parsedData?.videoResolution || '',
-              file_checksum: candidate.parsedData?.fileChecksum || '',
-              torrent_link: candidate.link,
-              download_status: 'queued'
-            };
+        // Phase 4: Queue replacements for episodes with a better release
+        const selectedUpgrades = this.selectBestUpgrades(upgradeCandidates);
+        let upgradedCount = 0;
 
-            try {
-              processedFilesOperations.add(processedFileData);
-              console.log(`✅ RSS: Episode processing completed successfully`);
-            } catch (error) {
-              console.error(`Failed to track processed file:`, error);
+        for (const candidate of selectedUpgrades) {
+          try {
+            if (this.queueUpgrade(candidate)) {
+              downloadedCount++;
+              upgradedCount++;
             }
-          } catch (candidateError) {
-            console.error('💥 RSS: Error processing selected candidate:', candidateError);
+          } catch (upgradeError) {
+            console.error('💥 RSS: Error queueing release upgrade:', upgradeError);
           }
         }
 
         const processingResult = {
           processedCount,
           downloadedCount,
+          upgradedCount,
           newEntries: processedCount,
           totalItems: items.length,
           candidatesFound: downloadCandidates.length,
@@ -712,27 +865,19 @@ function createRSSProcessor(notificationService = null, anilistService = null, a
       }
     },
 
+    /**
+     * Search the enabled feeds' tracker, or Nyaa when none of them can search
+     * @param {string} query
+     */
     async searchFeed(query) {
+      let providerName = 'the search provider';
+
       try {
-        // Get the configured RSS URL and construct search URL based on feed type
-        const configuredUrl = configOperations.get('rss_feed_url') || 'https://nyaa.si/?page=rss&c=1_2&f=0';
-        const feedType = this.detectFeedType(configuredUrl);
-
-        let searchUrl;
-        if (feedType === 'Tokyo Toshokan') {
-          // For Tokyo Toshokan, use their search format
-          const encodedQuery = encodeURIComponent(query);
-          searchUrl = `https://www.tokyotosho.info/rss.php?filter=1&entries=750&terms=${encodedQuery}`;
-        } else {
-          // Default to nyaa.si format
-          const baseUrl = 'https://nyaa.si/?page=rss&c=1_2&f=0';
-          const encodedQuery = query.replace(/\s+/g, '+').replace(/[[\]]/g, (match) => {
-            return match === '[' ? '%5B' : '%5D';
-          });
-          searchUrl = `${baseUrl}&q=${encodedQuery}`;
-        }
+        const { feed, provider } = getSearchProvider(feedOperations.getEnabled());
+        providerName = provider.name;
 
-        console.log(`🔍 RSS: Searching ${feedType} with query: "${query}"`);
+        const searchUrl = provider.buildSearchUrl(feed, query);
+        console.log(`🔍 RSS: Searching ${provider.name} with query: "${query}"`);
 
         // Fetch the RSS feed
         const response = await get(searchUrl, {
@@ -745,56 +890,25 @@ function createRSSProcessor(notificationService = null, anilistService = null, a
           throw new Error(`HTTP ${response.status}: ${response.statusText}`);
         }
 
-        // Parse XML
-        const parser = new xml2js.Parser({
-          explicitArray: false,
-          ignoreAttrs: false,
-          mergeAttrs: true
-        });
-
-        const result = await parser.parseStringPromise(response.data);
-
-        if (!result.rss || !result.rss.channel || !result.rss.channel.item) {
-          return {
-            success: true,
-            query: query,
-            items: [],
-            total: 0
-          };
-        }
-
-        // Ensure items is always an array
-        const items = Array.isArray(result.rss.channel.item)
-          ? result.rss.channel.item
-          : [result.rss.channel.item];
+        const { items } = await parseFeed(response.data, provider);
 
         // Process each item and parse with anitomy
-        const processedItems = items.map(item => {
-          const title = item.title || '';
-          const parsedData = parseFilename(title);
-
-          // Handle GUID which might be an object with attributes due to XML parsing
-          let guid = item.guid || '';
-          if (typeof guid === 'object' && guid._) {
-            guid = guid._;
-          }
-
-          return {
-            title: title,
-            link: item.link || '',
-            guid: guid,
-            pubDate: item.pubDate || '',
-            seeders: parseInt(item['nyaa:seeders'] || '0'),
-            leechers: parseInt(item['nyaa:leechers'] || '0'),
-            downloads: parseInt(item['nyaa:downloads'] || '0'),
-            size: item['nyaa:size'] || '',
-            category: item['nyaa:category'] || '',
-            trusted: item['nyaa:trusted'] === 'Yes',
-            remake: item['nyaa:remake'] === 'Yes',
-            infoHash: item['nyaa:infoHash'] || '',
-            parsedData: parsedData
-          };
-        });
+        const processedItems = items.map(item => ({
+          title: item.title,
+          link: item.link,
+          guid: item.guid,
+          pubDate: item.pubDate,
+          seeders: item.seeders ?? 0,
+          leechers: item.leechers ?? 0,
+          downloads: item.downloads ?? 0,
+          size: formatSize(item.size),
+          category: item.category,
+          trusted: item.trusted,
+          remake: item.remake,
+          infoHash: item.infoHash,
+          infoUrl: provider.getInfoUrl(item),
+          parsedData: parseFilename(item.title)
+        }));
 
         return {
           success: true,
@@ -808,7 +922,7 @@ function createRSSProcessor(notificationService = null, anilistService = null, a
         // Create user-friendly error message
         let userFriendlyMessage = 'Failed to search RSS feed';
         if (error.code === 'ENOTFOUND') {
-          userFriendlyMessage = 'Unable to connect to nyaa.si. Please check your internet connection.';
+          userFriendlyMessage = `Unable to connect to ${providerName}. Please check your internet connection.`;
         } else if (error.code === 'ETIMEDOUT') {
           userFriendlyMessage = 'Search request timed out. Please try again.';
         } else if (error.response) {
@@ -824,7 +938,7 @@ function createRSSProcessor(notificationService = null, anilistService = null, a
       }
     },
 
-    async findMatchingWhitelistEntry(title, whitelistEntries) {
+    async findMatchingWhitelistEntry(title, whitelistEntries, groupRules = null) {
       // Parse the filename to extract metadata
       const parsedData = parseFilename(title);
       if (!parsedData) {
@@ -941,7 +1055,7 @@ function createRSSProcessor(notificationService = null, anilistService = null, a
 
       for (const entry of whitelistEntries) {
         // Try different matching strategies
-        const matchResult = await this.tryMatchEntry(entry, title, titleLower, animeTitle, episodeNumber, parsedData);
+        const matchResult = await this.tryMatchEntry(entry, title, titleLower, animeTitle, episodeNumber, parsedData, groupRules);
         if (matchResult) {
           // Update parsedData with transformed values for final title generation
           const updatedParsedData = {
@@ -984,24 +1098,24 @@ function createRSSProcessor(notificationService = null, anilistService = null, a
       return { entry: null, parsedData: updatedParsedData };
     },
 
-    async tryMatchEntry(entry, originalTitle, titleLower, animeTitle, episodeNumber, parsedData) {
+    async tryMatchEntry(entry, originalTitle, titleLower, animeTitle, episodeNumber, parsedData, groupRules = null) {
       // Strategy 1: Direct title matching (existing logic)
       if (titleLower.includes(entry.title.toLowerCase())) {
-        if (this.checkKeywordsAndQuality(entry, titleLower, parsedData)) {
+        if (this.checkKeywordsAndQuality(entry, titleLower, parsedData, groupRules)) {
           return true;
         }
       }
 
       // Strategy 2: Anime title matching (from parsed data)
       if (animeTitle && animeTitle.includes(entry.title.toLowerCase())) {
-        if (this.checkKeywordsAndQuality(entry, titleLower, parsedData)) {
+        if (this.checkKeywordsAndQuality(entry, titleLower, parsedData, groupRules)) {
           return true;
         }
       }
 
-    // Strategy 3: Enhanced AniList title matching for auto-synced entries
-    if (entry.source_type === 'anilist' && entry.auto_sync) {
-      if (await this.tryAniListTitleVariants(entry, animeTitle, titleLower, parsedData)) {
+    // Strategy 3: Enhanced title matching for entries auto-synced from AniList, MyAnimeList or Kitsu
+    if (entry.source_type !== 'manual' && entry.auto_sync) {
+      if (await this.tryAniListTitleVariants(entry, animeTitle, titleLower, parsedData, groupRules)) {
         return true;
       }
     }
@@ -1009,7 +1123,7 @@ function createRSSProcessor(notificationService = null, anilistService = null, a
       // Strategy 3: AniList-based matching with relations
       if (entry.anilist_id && animeRelationsManager) {
         const matchResult = await this.tryAniListMatching(entry, animeTitle, episodeNumber, parsedData);
-        if (matchResult && this.checkKeywordsAndQuality(entry, titleLower, parsedData)) {
+        if (matchResult && this.checkKeywordsAndQuality(entry, titleLower, parsedData, groupRules)) {
           return true;
         }
       }
@@ -1025,7 +1139,7 @@ function createRSSProcessor(notificationService = null, anilistService = null, a
      * @param {Object} parsedData - Parsed RSS data
      * @returns {boolean} - True if match found
      */
-    async tryAniListTitleVariants(entry, animeTitle, titleLower, parsedData) {
+    async tryAniListTitleVariants(entry, animeTitle, titleLower, parsedData, groupRules = null) {
       if (!animeTitle) {
         return false;
       }
@@ -1081,7 +1195,7 @@ function createRSSProcessor(notificationService = null, anilistService = null, a
           console.log(`🎯 RSS: AniList exact title match found: "${animeTitle}" matches "${variant}" for entry "${entry.title}"`);
 
           // Check keywords and quality constraints
-          if (this.checkKeywordsAndQuality(entry, titleLower, parsedData)) {
+          if (this.checkKeywordsAndQuality(entry, titleLower, parsedData, groupRules)) {
             return true;
           }
         }
@@ -1132,7 +1246,7 @@ function createRSSProcessor(notificationService = null, anilistService = null, a
       }
     },
 
-    checkKeywordsAndQuality(entry, titleLower, parsedData = null) {
+    checkKeywordsAndQuality(entry, titleLower, parsedData = null, groupRules = null) {
       // Check keywords if specified
       if (entry.keywords) {
         const keywords = entry.keywords.split(',').map(k => k.trim().toLowerCase());
@@ -1163,19 +1277,351 @@ function createRSSProcessor(notificationService = null, anilistService = null, a
       }
 
       // Check release group preference if specified
-      const preferredGroup = entry.preferred_group || entry.group; // Support both field names
-      if (preferredGroup && preferredGroup !== 'any' && parsedData && parsedData.releaseGroup) {
-        // If a specific group is preferred, check if it matches
-        if (parsedData.releaseGroup !== preferredGroup) {
+      if (parsedData && parsedData.releaseGroup) {
+        const entryGroups = this.getEntryAllowedGroups(entry);
+        if (entryGroups.length > 0) {
+          // The entry's own selection wins, even for groups outside the global allowlist
+          const releaseGroupLower = parsedData.releaseGroup.toLowerCase();
+          if (!entryGroups.some(group => group.toLowerCase() === releaseGroupLower)) {
+            return false;
+          }
+        } else if (!this.isGroupAllowed(parsedData.releaseGroup, [], groupRules)) {
+          // If preference is "any" or not specified, still check if the group is in our allowed list
           return false;
         }
-      } else if (parsedData && parsedData.releaseGroup) {
-        // If preference is "any" or not specified, still check if the group is in our allowed list
-        if (!this.isGroupAllowed(parsedData.releaseGroup)) {
-          return false;
+      }
+
+      return true;
+    },
+
+    /**
+     * Select the best-scoring candidate for each episode number
+     * @param {Array} candidates - Candidates for a single anime
+     * @param {number} startEpisode - Ignore episodes below this number
+     * @returns {Array} - One candidate per episode, ordered by episode number
+     */
+    selectBestPerEpisode(candidates, startEpisode = 1) {
+      const bestByEpisode = new Map();
+
+      for (const candidate of candidates) {
+        const episodeNum = parseInt(candidate.episodeNumber);
+        if (isNaN(episodeNum) || episodeNum < startEpisode) {
+          continue;
+        }
+
+        const current = bestByEpisode.get(episodeNum);
+        if (!current || (candidate.score?.total || 0) > (current.score?.total || 0)) {
+          bestByEpisode.set(episodeNum, candidate);
+        }
+      }
+
+      return Array.from(bestByEpisode.entries())
+        .sort(([a], [b]) => a - b)
+        .map(([, candidate]) => candidate);
+    },
+
+    /**
+     * Get every episode number already downloaded or queued for a whitelist entry
+     * @param {Object} entry - Whitelist entry
+     * @returns {Set<number>} - Known episode numbers
+     */
+    getKnownEpisodeNumbers(entry) {
+      const known = new Set();
+      const titleVariations = this.getAnimeTitleVariations(entry.title, entry);
+
+      for (const processedFile of processedFilesOperations.getByWhitelistEntry(entry.id)) {
+        const episodeNum = parseInt(processedFile.episode_number);
+        if (!isNaN(episodeNum)) known.add(episodeNum);
+      }
+
+      const db = getDatabase();
+      const stmt = db.prepare('SELECT episode_number FROM processed_files WHERE anime_title = ?');
+      for (const titleVariation of titleVariations) {
+        for (const row of stmt.all(titleVariation)) {
+          const episodeNum = parseInt(row.episode_number);
+          if (!isNaN(episodeNum)) known.add(episodeNum);
+        }
+      }
+
+      for (const download of downloadOperations.getAll()) {
+        if (download.status !== 'queued' && download.status !== 'downloading') {
+          continue;
+        }
+
+        const parsed = parseFilename(download.torrent_title);
+        if (parsed?.episodeNumber && titleVariations.includes(this.normalizeAnimeTitle(parsed.animeTitle))) {
+          const episodeNum = parseInt(parsed.episodeNumber);
+          if (!isNaN(episodeNum)) known.add(episodeNum);
+        }
+      }
+
+      return known;
+    },
+
+    /**
+     * Work out which episodes of a whitelist entry are missing
+     * @param {Object} entry - Whitelist entry
+     * @param {number} latestSeen - Highest episode known to be released (e.g. from search results)
+     * @returns {Object} - { startEpisode, latestEpisode, missing }
+     */
+    getMissingEpisodes(entry, latestSeen = 0) {
+      const startEpisode = parseInt(entry.backfill_start_episode) || 1;
+      const known = this.getKnownEpisodeNumbers(entry);
+      let latestEpisode = Math.max(latestSeen, ...known, 0);
+
+      // Finished shows have a known episode count
+      if (entry.anilist_id) {
+        const cachedAnime = anilistAnimeCacheOperations.getByAnilistId(entry.anilist_id);
+        if (cachedAnime?.status === 'FINISHED' && cachedAnime.episodes) {
+          latestEpisode = Math.max(latestEpisode, cachedAnime.episodes);
         }
       }
 
+      const missing = [];
+      for (let episode = startEpisode; episode <= latestEpisode; episode++) {
+        if (!known.has(episode)) {
+          missing.push(episode);
+        }
+      }
+
+      return { startEpisode, latestEpisode, missing };
+    },
+
+    /**
+     * Search for missing episodes of a backfill-enabled entry and queue the best release of each
+     * @param {Object} entry - Whitelist entry
+     * @returns {Promise<Object>} - { queued, missing }
+     */
+    async backfillEntry(entry) {
+      const startEpisode = parseInt(entry.backfill_start_episode) || 1;
+      const known = this.getKnownEpisodeNumbers(entry);
+      const query = entry.title_romaji || entry.title;
+
+      console.log(`📚 RSS: Backfilling "${entry.title}" from episode ${startEpisode} (search: "${query}")`);
+      const searchResult = await this.searchFeed(query);
+
+      const candidates = [];
+      let latestSeen = 0;
+      const groupRules = this.getGroupRules();
+
+      for (const item of searchResult.items) {
+        const matchResult = await this.findMatchingWhitelistEntry(item.title, [entry], groupRules);
+        if (!matchResult.entry) continue;
+
+        const parsedData = matchResult.parsedData || item.parsedData;
+        const releaseGroup = parsedData?.releaseGroup;
+        if (!this.isGroupAllowed(releaseGroup, [entry], groupRules) || this.isGroupBlacklisted(releaseGroup, entry.preferred_group, groupRules)) {
+          continue;
+        }
+        if (this.checkReleaseFilters(item)) {
+          continue;
+        }
+
+        let episodeNumber = parsedData?.episodeNumber || '';
+        let animeTitle = parsedData?.animeTitle || entry.title;
+
+        if (animeRelationsManager && episodeNumber && entry.anilist_id) {
+          const mapping = animeRelationsManager.getEpisodeMapping(entry.anilist_id, parseInt(episodeNumber));
+          if (mapping) {
+            episodeNumber = mapping.mappedEpisode.toString();
+            if (mapping.mappedAnime.title) {
+              animeTitle = mapping.mappedAnime.title;
+            }
+          }
+        }
+
+        const episodeNum = parseInt(episodeNumber);
+        if (isNaN(episodeNum)) continue;
+        latestSeen = Math.max(latestSeen, episodeNum);
+
+        if (episodeNum < startEpisode || known.has(episodeNum)) continue;
+
+        const titleVariations = this.getAnimeTitleVariations(animeTitle, entry);
+        const rssResult = rssOperations.add(null, item.guid || item.link, item.title, item.link, item.pubDate);
+
+        candidates.push({
+          rssId: rssResult.lastInsertRowid,
+          guid: item.guid,
+          title: item.title,
+          link: item.link,
+          pubDate: item.pubDate,
+          matchResult,
+          episodeNumber,
+          animeTitle,
+          primaryNormalizedTitle: titleVariations[0] || this.normalizeAnimeTitle(animeTitle),
+          titleVariations,
+          releaseGroup,
+          parsedData,
+          trusted: item.trusted,
+          seeders: item.seeders,
+          size: item.size,
+          infoHash: item.infoHash,
+          score: this.scoreCandidate(parsedData, item.title, item.trusted, item.seeders)
+        });
+      }
+
+      let queued = 0;
+      for (const candidate of this.selectBestPerEpisode(candidates, startEpisode)) {
+        try {
+          if (this.queueCandidate(candidate)) {
+            queued++;
+          }
+        } catch (error) {
+          console.error(`💥 RSS: Failed to queue backfill episode ${candidate.episodeNumber}:`, error);
+        }
+      }
+
+      const { missing } = this.getMissingEpisodes(entry, latestSeen);
+
+      console.log(`📚 RSS: Backfill for "${entry.title}" queued ${queued} episode(s), still missing: ${missing.join(', ') || 'none'}`);
+      if (activityLogger && queued > 0) {
+        activityLogger.rssEvent('Backfill', `Queued ${queued} missing episode(s) of "${entry.title}"`, {
+          whitelistEntry: entry.title,
+          queued,
+          stillMissing: missing
+        });
+      }
+
+      return { queued, missing };
+    },
+
+    /**
+     * Queue a selected candidate for download and record it as processed
+     * @param {Object} candidate - Download candidate
+     * @returns {boolean} - True if the download was queued
+     */
+    queueCandidate(candidate) {
+      console.log(`\n🎬 RSS: Processing episode: "${candidate.title}"`);
+      console.log(`✅ RSS: Found whitelist match: "${candidate.matchResult.entry.title}"`);
+      console.log(`📊 RSS: Episode ${candidate.episodeNumber} [${candidate.releaseGroup}]`);
+
+      // Log whitelist match
+      if (activityLogger) {
+        activityLogger.whitelistMatch(candidate.title, candidate.matchResult.entry.title, candidate.matchResult.parsedData);
+      }
+
+      // Create download using mapped episode information
+      const finalTitle = this.generateFinalTitle(candidate.title, candidate.matchResult.entry, {
+        ...candidate.matchResult.parsedData,
+        episodeNumber: candidate.episodeNumber,  // Use mapped episode number
+        animeTitle: candidate.animeTitle         // Use mapped anime title
+      });
+
+      const downloadData = {
+        rssEntryId: candidate.rssId,
+        torrentLink: candidate.link,
+        torrentTitle: candidate.title,
+        finalTitle: finalTitle,
+        status: 'queued',
+        whitelistEntryId: candidate.matchResult.entry.id
+      };
+
+      try {
+        downloadOperations.add(downloadData);
+        console.log(`🎉 RSS: Successfully queued download: "${finalTitle}"`);
+      } catch (downloadError) {
+        console.error(`Failed to add download to database:`, downloadError);
+        throw downloadError;
+      }
+
+      // Track this file as processed (using MAPPED information for consistent duplicate detection)
+      const processedFileData = {
+        whitelist_entry_id: candidate.matchResult.entry.id,
+        original_filename: candidate.title,
+        final_title: finalTitle,
+        episode_number: candidate.episodeNumber,        // Use mapped episode number
+        anime_title: candidate.primaryNormalizedTitle,  // Use normalized mapped title
+        release_group: candidate.releaseGroup,
+        video_resolution: candidate.parsedData?.videoResolution || '',
+        file_checksum: candidate.parsedData?.fileChecksum || '',
+        torrent_link: candidate.link,
+        download_status: 'queued'
+      };
+
+      try {
+        processedFilesOperations.add(processedFileData);
+        console.log(`✅ RSS: Episode processing completed successfully`);
+      } catch (error) {
+        console.error(`Failed to track processed file:`, error);
+      }
+
+      return true;
+    },
+
+    /**
+     * Keep only the best-scoring upgrade per episode
+     * @param {Array} candidates - Upgrade candidates
+     * @returns {Array} - Selected upgrade candidates
+     */
+    selectBestUpgrades(candidates) {
+      const best = new Map();
+
+      for (const candidate of candidates) {
+        const key = candidate.upgrade.processedFile.id;
+        const current = best.get(key);
+        if (!current || candidate.score.total > current.score.total) {
+          best.set(key, candidate);
+        }
+      }
+
+      return Array.from(best.values());
+    },
+
+    /**
+     * Queue a replacement download for an already processed episode
+     * @param {Object} candidate - Selected upgrade candidate
+     * @returns {boolean} - True if the replacement was queued
+     */
+    queueUpgrade(candidate) {
+      const entry = candidate.matchResult.entry;
+      const { processedFile, currentScore, newScore } = candidate.upgrade;
+      const supersededDownload = downloadOperations.findByTorrentLink(processedFile.torrent_link);
+
+      if (supersededDownload && !['completed', 'seeding'].includes(supersededDownload.status)) {
+        console.log(`⏭️  RSS: Not upgrading "${processedFile.final_title}" - current release is still ${supersededDownload.status}`);
+        return false;
+      }
+
+      const finalTitle = this.generateFinalTitle(candidate.title, entry, {
+        ...candidate.parsedData,
+        episodeNumber: candidate.episodeNumber,
+        animeTitle: candidate.animeTitle
+      });
+
+      downloadOperations.add({
+        rssEntryId: candidate.rssId,
+        torrentLink: candidate.link,
+        torrentTitle: candidate.title,
+        finalTitle,
+        status: 'queued',
+        replacesDownloadId: supersededDownload?.id || null,
+        replaceAction: entry.upgrade_action === 'archive' ? 'archive' : 'delete',
+        whitelistEntryId: entry.id
+      });
+
+      processedFilesOperations.replaceRelease(processedFile.id, {
+        original_filename: candidate.title,
+        final_title: finalTitle,
+        release_group: candidate.releaseGroup,
+        video_resolution: candidate.parsedData?.videoResolution || '',
+        file_checksum: candidate.parsedData?.fileChecksum || '',
+        torrent_link: candidate.link,
+        download_status: 'queued'
+      });
+
+      console.log(`⬆️  RSS: Queued upgrade "${processedFile.original_filename}" → "${candidate.title}"`);
+
+      if (activityLogger) {
+        activityLogger.log('download', 'Upgrade Queued', `Queued "${candidate.title}" to replace "${processedFile.original_filename}"`, {
+          whitelistEntry: entry.title,
+          episodeNumber: candidate.episodeNumber,
+          previousRelease: processedFile.original_filename,
+          previousScore: currentScore.total,
+          newScore: newScore.total,
+          supersededDownloadId: supersededDownload?.id || null
+        });
+      }
+
       return true;
     },
 
@@ -1233,26 +1679,34 @@ function createRSSProcessor(notificationService = null, anilistService = null, a
       return finalTitle;
     },
 
-    async testFeed(url) {
+    /**
+     * Fetch a feed and report what it contains
+     * @param {string} url - Feed URL, or the indexer endpoint of a Torznab feed
+     * @param {Object} feed - Optional feed settings ({ type, api_key, categories, search_query })
+     */
+    async testFeed(url, feed = null) {
       try {
-        const response = await get(url, { timeout: 10000 });
-
-        const parser = new xml2js.Parser();
-        const testResult = await parser.parseStringPromise(response.data);
+        const source = { ...feed, url };
+        const provider = getFeedProvider(source);
+        const response = await get(provider.getFeedUrl(source), { timeout: 10000 });
 
-        if (!testResult.rss || !testResult.rss.channel || !testResult.rss.channel[0].item) {
+        let parsed;
+        try {
+          parsed = await parseFeed(response.data, provider);
+        } catch (parseError) {
           return {
             success: false,
-            error: 'Invalid RSS feed format'
+            error: parseError.message
           };
         }
 
-        const items = testResult.rss.channel[0].item;
         return {
           success: true,
-          itemCount: items.length,
-          title: testResult.rss.channel[0].title?.[0] || 'Unknown',
-          description: testResult.rss.channel[0].description?.[0] || 'No description'
+          format: parsed.format,
+          provider: provider.name,
+          itemCount: parsed.items.length,
+          title: parsed.title || 'Unknown',
+          description: parsed.description || 'No description'
         };
       } catch (error) {
         // Create user-friendly error message
@@ -1293,32 +1747,21 @@ function createRSSProcessor(notificationService = null, anilistService = null, a
       try {
         // Fetch RSS feed using the same logic as processFeed
         const response = await get(rssUrl);
-
-        // Parse XML
-        const parser = new xml2js.Parser();
-        const parsedResult = await parser.parseStringPromise(response.data);
-
-        if (!parsedResult.rss || !parsedResult.rss.channel || !parsedResult.rss.channel[0].item) {
-          throw new Error('Invalid RSS feed format');
-        }
-
-        const items = parsedResult.rss.channel[0].item;
+        const { items } = await parseFeed(response.data, getFeedProvider(rssUrl));
         let processedCount = 0;
         let downloadedCount = 0;
         const testResults = [];
 
         // Get whitelist entries (same as real implementation)
         const whitelistEntries = whitelistOperations.getAll().filter(entry => entry.enabled);
+        const groupRules = this.getGroupRules();
 
         // Process items (limit to first few for testing if specified)
         const itemsToProcess = options.maxItems ? items.slice(0, options.maxItems) : items;
 
         for (const item of itemsToProcess) {
           try {
-            const guid = item.guid?.[0]?._ || item.guid?.[0] || item.link?.[0];
-            const title = item.title?.[0] || '';
-            const link = item.link?.[0] || '';
-            const pubDate = item.pubDate?.[0] || '';
+            const { guid, title, link, pubDate } = item;
 
             if (!guid || !title || !link) {
               testResults.push({
@@ -1340,7 +1783,7 @@ function createRSSProcessor(notificationService = null, anilistService = null, a
             processedCount++;
 
             // Check against whitelist with enhanced matching (same as real implementation)
-            const matchResult = await this.findMatchingWhitelistEntry(title, whitelistEntries);
+            const matchResult = await this.findMatchingWhitelistEntry(title, whitelistEntries, groupRules);
 
             const result = {
               originalTitle: title,
@@ -1349,6 +1792,9 @@ function createRSSProcessor(notificationService = null, anilistService = null, a
               pubDate,
               rssId,
               matchResult: matchResult,
+              score: matchResult.entry
+                ? this.scoreCandidate(matchResult.parsedData, title, item.trusted, item.seeders)
+                : null,
               status: 'processed',
               downloaded: false,
               downloadId: null,
@@ -1362,7 +1808,7 @@ function createRSSProcessor(notificationService = null, anilistService = null, a
 
               // Check if the release group is in our allowed list (same as real implementation)
               const releaseGroup = matchResult.parsedData?.releaseGroup;
-              if (!this.isGroupAllowed(releaseGroup)) {
+              if (!this.isGroupAllowed(releaseGroup, [matchResult.entry], groupRules)) {
                 console.log(`🚫 TEST: Skipping torrent from disallowed group "${releaseGroup}"`);
                 result.status = 'skipped';
                 result.reason = `Disallowed group: ${releaseGroup}`;
@@ -1372,7 +1818,7 @@ function createRSSProcessor(notificationService = null, anilistService = null, a
 
               // Check if the release group is globally blacklisted (same as real implementation)
               const preferredGroup = matchResult.entry.preferred_group || matchResult.entry.group;
-              if (this.isGroupBlacklisted(releaseGroup, preferredGroup)) {
+              if (this.isGroupBlacklisted(releaseGroup, preferredGroup, groupRules)) {
                 console.log(`🚫 TEST: Skipping blacklisted group "${releaseGroup}" for: "${title}"`);
                 result.status = 'skipped';
                 result.reason = `Blacklisted group: ${releaseGroup}`;
@@ -1469,7 +1915,8 @@ function createRSSProcessor(notificationService = null, anilistService = null, a
                     torrentLink: link,
                     torrentTitle: title,
                     finalTitle: finalTitle,
-                    status: 'queued'
+                    status: 'queued',
+                    whitelistEntryId: matchResult.entry.id
                   };
 
                 console.log(`💾 RSS: Adding download to database:`, {
@@ -1533,15 +1980,29 @@ function createRSSProcessor(notificationService = null, anilistService = null, a
           } catch (itemError) {
             console.error('💥 RSS: Error processing RSS item:', itemError);
             testResults.push({
-              originalTitle: item.title?.[0] || 'Unknown',
+              originalTitle: item.title || 'Unknown',
               status: 'error',
               error: itemError.message,
-              guid: item.guid?.[0]?._ || item.guid?.[0] || item.link?.[0],
-              link: item.link?.[0] || ''
+              guid: item.guid,
+              link: item.link
             });
           }
         }
 
+        // Flag the best-scoring release for each matched episode
+        const bestByEpisode = new Map();
+        for (const result of testResults) {
+          if (!result.score || !result.matchResult?.entry) continue;
+          const key = `${result.matchResult.entry.id}:${result.matchResult.parsedData?.episodeNumber || ''}`;
+          const best = bestByEpisode.get(key);
+          if (!best || result.score.total > best.score.total) {
+            bestByEpisode.set(key, result);
+          }
+        }
+        for (const best of bestByEpisode.values()) {
+          best.bestForEpisode = true;
+        }
+
         const processingResult = {
           success: true,
           rssUrl: rssUrl,
@@ -1636,23 +2097,14 @@ function createRSSProcessor(notificationService = null, anilistService = null, a
 
         // Fetch RSS feed
         const response = await get(rssUrl);
-
-        // Parse XML
-        const parser = new xml2js.Parser();
-        const parsedResult = await parser.parseStringPromise(response.data);
-
-        if (!parsedResult.rss || !parsedResult.rss.channel || !parsedResult.rss.channel[0].item) {
-          throw new Error('Invalid RSS feed format');
-        }
-
-        const items = parsedResult.rss.channel[0].item;
+        const { items } = await parseFeed(response.data, getFeedProvider(rssUrl));
         console.log(`🧪 TEST: Found ${items.length} items in RSS feed`);
 
         const testResults = [];
 
         // Process each item
         for (const item of items) {
-          const title = item.title?.[0] || '';
+          const { title } = item;
           console.log(`🧪 TEST: Processing: "${title}"`);
 
           // Parse filename using anitomy
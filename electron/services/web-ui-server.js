@@ -0,0 +1,477 @@
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const crypto = require('crypto');
+const { join, normalize, extname, sep } = require('path');
+const { configOperations } = require('../lib/database');
+const { sendJson, readBody, parseRequestUrl } = require('./api-server');
+
+// Reachable from the LAN, unlike the local API
+const WEB_UI_HOST = '0.0.0.0';
+const DEFAULT_WEB_UI_PORT = 8687;
+const SESSION_COOKIE = 'moe_session';
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const MIN_PASSWORD_LENGTH = 6;
+const MAX_FAILED_LOGINS = 5;
+const LOGIN_LOCKOUT_MS = 5 * 60 * 1000;
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// Channels that drive the desktop window, native dialogs or the server's shell,
+// expose every secret in the config or make the server fetch any URL
+const DESKTOP_ONLY_CHANNELS = new Set([
+  'window-minimize',
+  'window-maximize',
+  'window-close',
+  'window-hide-to-tray',
+  'window-show-from-tray',
+  'window-is-maximized',
+  'window-show',
+  'close-loader',
+  'select-directory',
+  'open-folder',
+  'open-external',
+  'open-download-file',
+  'get-all-config',
+  'test-rss-feed'
+]);
+
+// Config keys the renderer reads and writes directly; the rest, like the password hash
+// and the API key, can't be read or changed from a browser
+const REMOTE_CONFIG_KEYS = new Set([
+  'mal_client_id',
+  'anilist_sync_interval_hours'
+]);
+const CONFIG_CHANNELS = new Set(['get-config', 'set-config']);
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2'
+};
+
+/**
+ * Hash a password with a random salt
+ * @param {string} password
+ * @returns {string} - "salt:hash" in hex
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `${salt}:${hash}`;
+}
+
+/**
+ * Whether a request comes from a page served by this server; sandboxed pages send "Origin: null"
+ * @param {http.IncomingMessage} req
+ * @returns {boolean}
+ */
+function isSameOrigin(req) {
+  const origin = req.headers.origin;
+  if (!origin) return true;
+
+  try {
+    return new URL(origin).host === req.headers.host;
+  } catch (error) {
+    return false;
+  }
+}
+
+function verifyPassword(password, stored) {
+  const [salt, hash] = String(stored || '').split(':');
+  if (!salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(String(password || ''), salt, 64);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of String(header || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index > 0) {
+      const value = part.slice(index + 1).trim();
+      try {
+        cookies[part.slice(0, index).trim()] = decodeURIComponent(value);
+      } catch (error) {
+        // Malformed escapes can't be a session token we handed out
+        cookies[part.slice(0, index).trim()] = value;
+      }
+    }
+  }
+  return cookies;
+}
+
+/**
+ * LAN addresses the web UI can be opened from
+ * @param {number} port
+ * @returns {Array<string>}
+ */
+function getLanUrls(port) {
+  const urls = [];
+  for (const addresses of Object.values(os.networkInterfaces())) {
+    for (const address of addresses || []) {
+      if (address.family === 'IPv4' && !address.internal) {
+        urls.push(`http://${address.address}:${port}/`);
+      }
+    }
+  }
+  return urls.length > 0 ? urls : [`http://localhost:${port}/`];
+}
+
+/**
+ * Encode a single unmasked WebSocket text frame
+ * @param {string} text
+ * @returns {Buffer}
+ */
+function encodeTextFrame(text) {
+  const payload = Buffer.from(text);
+  let header;
+
+  if (payload.length < 126) {
+    header = Buffer.from([0x81, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x81;
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x81;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Remote Web UI Server
+ * Serves the built renderer to browsers on the LAN and forwards its calls to the shared handlers.
+ * Calls go over HTTP, backend events are pushed over a WebSocket.
+ * @param {Object} handlers - Handler implementations keyed by IPC channel
+ * @param {string} staticDir - Directory of the built renderer
+ * @param {Object} activityLogger
+ */
+function createWebUIServer(handlers, staticDir, activityLogger = null) {
+  let server = null;
+  let runningPort = null;
+  let lastError = null;
+  const sessions = new Map(); // token -> expiry timestamp
+  const failedLogins = new Map(); // remote address -> { count, lockedUntil }
+  const eventSockets = new Set();
+
+  const webUIServer = {
+    getSettings() {
+      return {
+        enabled: configOperations.get('web_ui_enabled') === 'true',
+        port: parseInt(configOperations.get('web_ui_port')) || DEFAULT_WEB_UI_PORT,
+        passwordHash: configOperations.get('web_ui_password_hash') || ''
+      };
+    },
+
+    /**
+     * Start, restart or stop the server so it matches the current settings
+     */
+    async apply() {
+      const settings = this.getSettings();
+
+      if (!settings.enabled) {
+        await this.stop();
+        lastError = null;
+        return this.getStatus();
+      }
+
+      if (!settings.passwordHash) {
+        await this.stop();
+        lastError = 'Set a password before enabling the web UI';
+        return this.getStatus();
+      }
+
+      if (server && runningPort === settings.port) {
+        return this.getStatus();
+      }
+
+      await this.stop();
+      await this.start(settings.port);
+      return this.getStatus();
+    },
+
+    start(port) {
+      return new Promise((resolve) => {
+        lastError = null;
+        const instance = http.createServer((req, res) => this.handleRequest(req, res));
+        instance.on('upgrade', (req, socket) => this.handleUpgrade(req, socket));
+
+        instance.once('error', (error) => {
+          lastError = error.code === 'EADDRINUSE' ? `Port ${port} is already in use` : error.message;
+          console.error(`❌ Web UI failed to start: ${lastError}`);
+          server = null;
+          runningPort = null;
+          resolve(false);
+        });
+
+        instance.listen(port, WEB_UI_HOST, () => {
+          server = instance;
+          runningPort = port;
+          console.log(`🌐 Web UI listening on port ${port}`);
+          resolve(true);
+        });
+      });
+    },
+
+    stop() {
+      return new Promise((resolve) => {
+        for (const socket of eventSockets) {
+          socket.destroy();
+        }
+        eventSockets.clear();
+
+        if (!server) {
+          resolve();
+          return;
+        }
+
+        const instance = server;
+        server = null;
+        runningPort = null;
+        instance.close(() => {
+          console.log('🌐 Web UI stopped');
+          resolve();
+        });
+        if (instance.closeAllConnections) {
+          instance.closeAllConnections();
+        }
+      });
+    },
+
+    /**
+     * Change the login password and sign out every remote session
+     * @param {string} password
+     */
+    async setPassword(password) {
+      if (!password || String(password).length < MIN_PASSWORD_LENGTH) {
+        throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+      }
+
+      configOperations.set('web_ui_password_hash', hashPassword(String(password)));
+      sessions.clear();
+      return this.apply();
+    },
+
+    getStatus() {
+      const settings = this.getSettings();
+      const port = runningPort || settings.port;
+      return {
+        enabled: settings.enabled,
+        running: Boolean(server),
+        port,
+        hasPassword: Boolean(settings.passwordHash),
+        urls: getLanUrls(port),
+        error: lastError
+      };
+    },
+
+    /**
+     * Push a backend event to every connected browser
+     * @param {string} channel - e.g. "app-notification"
+     * @param {*} payload
+     */
+    broadcast(channel, payload) {
+      if (eventSockets.size === 0) return;
+
+      const frame = encodeTextFrame(JSON.stringify({ channel, payload }));
+      for (const socket of eventSockets) {
+        socket.write(frame);
+      }
+    },
+
+    isAuthenticated(req) {
+      const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+      const expiresAt = token ? sessions.get(token) : null;
+      if (!expiresAt) return false;
+
+      if (expiresAt < Date.now()) {
+        sessions.delete(token);
+        return false;
+      }
+      return true;
+    },
+
+    async login(req, res) {
+      const address = req.socket.remoteAddress || 'unknown';
+      const attempts = failedLogins.get(address);
+      if (attempts && attempts.lockedUntil > Date.now()) {
+        sendJson(res, 429, { error: 'Too many failed attempts, try again later' });
+        return;
+      }
+
+      const { password } = await readBody(req);
+      if (!verifyPassword(password, this.getSettings().passwordHash)) {
+        const count = (attempts?.count || 0) + 1;
+        failedLogins.set(address, {
+          count: count >= MAX_FAILED_LOGINS ? 0 : count,
+          lockedUntil: count >= MAX_FAILED_LOGINS ? Date.now() + LOGIN_LOCKOUT_MS : 0
+        });
+        console.log(`🔒 Web UI: Failed login from ${address}`);
+
+        if (activityLogger) {
+          activityLogger.log('error', 'Web UI Login Failed', `Failed login attempt from ${address}`, { address });
+        }
+
+        sendJson(res, 401, { error: 'Wrong password' });
+        return;
+      }
+
+      failedLogins.delete(address);
+      const token = crypto.randomBytes(32).toString('hex');
+      sessions.set(token, Date.now() + SESSION_TTL_MS);
+      console.log(`🔓 Web UI: Login from ${address}`);
+
+      res.setHeader('Set-Cookie', `${SESSION_COOKIE}=${token}; HttpOnly; SameSite=Strict; Path=/; Max-Age=${SESSION_TTL_MS / 1000}`);
+      sendJson(res, 200, { authenticated: true });
+    },
+
+    logout(req, res) {
+      const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+      if (token) {
+        sessions.delete(token);
+      }
+      res.setHeader('Set-Cookie', `${SESSION_COOKIE}=; HttpOnly; SameSite=Strict; Path=/; Max-Age=0`);
+      sendJson(res, 200, { authenticated: false });
+    },
+
+    async invoke(req, res) {
+      // JSON bodies force a CORS preflight, so other sites can't post here
+      if (!String(req.headers['content-type'] || '').startsWith('application/json')) {
+        sendJson(res, 415, { error: 'Expected a JSON body' });
+        return;
+      }
+
+      const { channel, args = [] } = await readBody(req);
+      const handler = handlers[channel];
+      if (!handler) {
+        sendJson(res, 404, { error: `Unknown channel "${channel}"` });
+        return;
+      }
+      if (DESKTOP_ONLY_CHANNELS.has(channel)) {
+        sendJson(res, 403, { error: `"${channel}" is only available in the desktop app` });
+        return;
+      }
+
+      const handlerArgs = Array.isArray(args) ? args : [args];
+      if (CONFIG_CHANNELS.has(channel) && !REMOTE_CONFIG_KEYS.has(handlerArgs[0])) {
+        sendJson(res, 403, { error: `The "${handlerArgs[0]}" setting is only available in the desktop app` });
+        return;
+      }
+
+      const result = await handler(...handlerArgs);
+      sendJson(res, 200, { result: result === undefined ? null : result });
+    },
+
+    serveStatic(pathname, res) {
+      const relativePath = normalize(decodeURIComponent(pathname === '/' ? '/index.html' : pathname)).replace(/^([\\/]|\.\.[\\/])+/, '');
+      const filePath = join(staticDir, relativePath);
+
+      if (!filePath.startsWith(staticDir + sep) && filePath !== staticDir) {
+        sendJson(res, 403, { error: 'Forbidden' });
+        return;
+      }
+
+      fs.readFile(filePath, (error, content) => {
+        if (error) {
+          if (relativePath === 'index.html') {
+            res.writeHead(503, { 'Content-Type': 'text/plain; charset=utf-8' });
+            res.end('The web UI has not been built. Run "npm run build:renderer" first.');
+          } else {
+            sendJson(res, 404, { error: 'Not found' });
+          }
+          return;
+        }
+
+        res.writeHead(200, { 'Content-Type': CONTENT_TYPES[extname(filePath).toLowerCase()] || 'application/octet-stream' });
+        res.end(content);
+      });
+    },
+
+    async handleRequest(req, res) {
+      const url = parseRequestUrl(req);
+      if (!url) {
+        sendJson(res, 400, { error: 'Bad request' });
+        return;
+      }
+
+      try {
+        if (url.pathname === '/rpc/session' && req.method === 'GET') {
+          sendJson(res, 200, { authenticated: this.isAuthenticated(req) });
+        } else if (url.pathname === '/rpc/login' && req.method === 'POST') {
+          await this.login(req, res);
+        } else if (url.pathname === '/rpc/logout' && req.method === 'POST') {
+          this.logout(req, res);
+        } else if (url.pathname.startsWith('/rpc/')) {
+          if (!this.isAuthenticated(req)) {
+            sendJson(res, 401, { error: 'Not logged in' });
+          } else if (url.pathname === '/rpc/invoke' && req.method === 'POST') {
+            await this.invoke(req, res);
+          } else {
+            sendJson(res, 404, { error: 'Not found' });
+          }
+        } else if (req.method === 'GET') {
+          // The renderer itself is public, it shows the login form
+          this.serveStatic(url.pathname, res);
+        } else {
+          sendJson(res, 405, { error: 'Method not allowed' });
+        }
+      } catch (error) {
+        const statusCode = error.statusCode || 500;
+        console.error(`❌ Web UI ${req.method} ${url.pathname} failed:`, error.message);
+        sendJson(res, statusCode, { error: error.message || 'Internal error' });
+      }
+    },
+
+    /**
+     * Accept the event WebSocket; it only carries server-to-browser messages
+     */
+    handleUpgrade(req, socket) {
+      const url = parseRequestUrl(req);
+      const key = req.headers['sec-websocket-key'];
+
+      if (!url || url.pathname !== '/rpc/events' || !key || !isSameOrigin(req) || !this.isAuthenticated(req)) {
+        socket.end('HTTP/1.1 401 Unauthorized\r\n\r\n');
+        return;
+      }
+
+      const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+      socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', ''
+      ].join('\r\n'));
+
+      eventSockets.add(socket);
+
+      socket.on('data', (data) => {
+        const opcode = data[0] & 0x0f;
+        if (opcode === 0x8) {
+          // Close frame
+          socket.end(Buffer.from([0x88, 0x00]));
+        }
+      });
+      socket.on('close', () => eventSockets.delete(socket));
+      socket.on('error', () => eventSockets.delete(socket));
+    }
+  };
+
+  return webUIServer;
+}
+
+module.exports = { createWebUIServer, DESKTOP_ONLY_CHANNELS, getLanUrls };
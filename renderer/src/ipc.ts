@@ -1,10 +1,139 @@
 import type { CONTEXT_BRIDGE } from "../../electron/preload";
 
+type Bridge = typeof CONTEXT_BRIDGE;
+
 declare global {
   interface Window {
-    bridge: typeof CONTEXT_BRIDGE;
+    bridge: Bridge;
+  }
+}
+
+// The preload script only exists inside Electron; in a normal browser we talk to the remote web UI server
+export const isRemote = !window.bridge;
+
+// Desktop window calls that are meaningless in a browser
+const DESKTOP_ONLY_METHODS = new Set([
+  "windowMinimize",
+  "windowMaximize",
+  "windowClose",
+  "windowIsMaximized",
+  "windowShow",
+  "windowHideToTray",
+  "windowShowFromTray",
+  "closeLoader",
+  "openDownloadFile",
+]);
+
+/**
+ * Bridge method names follow the IPC channel names, e.g. processRSSFeed -> process-rss-feed
+ */
+function toChannel(method: string): string {
+  return method
+    .replace(/([a-z0-9])([A-Z])/g, "$1-$2")
+    .replace(/([A-Z]+)([A-Z][a-z])/g, "$1-$2")
+    .toLowerCase();
+}
+
+async function invoke(channel: string, args: any[]): Promise<any> {
+  const response = await fetch("/rpc/invoke", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    credentials: "same-origin",
+    body: JSON.stringify({ channel, args }),
+  });
+
+  if (response.status === 401) {
+    // Session expired, reload to show the login form
+    window.location.reload();
+    throw new Error("Not logged in");
+  }
+
+  const payload = await response.json();
+  if (!response.ok) {
+    throw new Error(payload.error || `Request failed (${response.status})`);
   }
+  return payload.result;
 }
 
-const ipc = window.bridge;
+const notificationListeners: Array<(notification: any) => void> = [];
+let eventSocket: WebSocket | null = null;
+
+function connectEvents() {
+  const protocol = window.location.protocol === "https:" ? "wss:" : "ws:";
+  eventSocket = new WebSocket(`${protocol}//${window.location.host}/rpc/events`);
+
+  eventSocket.onmessage = (event) => {
+    const { channel, payload } = JSON.parse(event.data);
+    if (channel === "app-notification") {
+      notificationListeners.forEach((listener) => listener(payload));
+    }
+  };
+
+  eventSocket.onclose = () => {
+    // Reconnect after server restarts or network drops
+    setTimeout(connectEvents, 5000);
+  };
+}
+
+function createRemoteBridge(): Bridge {
+  const overrides: Record<string, any> = {
+    openExternal: async (url: string) => {
+      window.open(url, "_blank", "noopener");
+    },
+    // Files can only be opened on the desktop itself, a browser just marks the episode watched
+    openDownloadFile: async (id: number) => {
+      return invoke("mark-download-watched", [id, true]);
+    },
+    // The server won't fetch arbitrary URLs for a browser
+    testRSSFeed: async () => {
+      return { success: false, error: "feeds can only be tested in the desktop app" };
+    },
+    onAppNotification: (callback: (notification: any) => void) => {
+      notificationListeners.push(callback);
+      if (!eventSocket) {
+        connectEvents();
+      }
+    },
+  };
+
+  return new Proxy({} as Bridge, {
+    get(_, method) {
+      if (typeof method !== "string" || method === "then") return undefined;
+      if (method in overrides) return overrides[method];
+      if (DESKTOP_ONLY_METHODS.has(method)) return async () => undefined;
+      return (...args: any[]) => invoke(toChannel(method), args);
+    },
+  });
+}
+
+/**
+ * Login state of the remote web UI
+ */
+export const remoteSession = {
+  async check(): Promise<boolean> {
+    const response = await fetch("/rpc/session", { credentials: "same-origin" });
+    const payload = await response.json();
+    return Boolean(payload.authenticated);
+  },
+
+  async login(password: string): Promise<void> {
+    const response = await fetch("/rpc/login", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      credentials: "same-origin",
+      body: JSON.stringify({ password }),
+    });
+    if (!response.ok) {
+      const payload = await response.json();
+      throw new Error(payload.error || "Login failed");
+    }
+  },
+
+  async logout(): Promise<void> {
+    await fetch("/rpc/logout", { method: "POST", credentials: "same-origin" });
+    window.location.reload();
+  },
+};
+
+const ipc = isRemote ? createRemoteBridge() : window.bridge;
 export default ipc;
@@ -62,6 +62,12 @@ export const isRSSMonitoring = writable(false);
 export const activeDownloads = writable<any[]>([]);
 export const recentDownloads = writable<any[]>([]);
 
+// Notification inbox state
+export const unreadNotifications = writable(0);
+
+// Item to reveal after navigating from the inbox, e.g. { page: 'downloads', id: 12 }
+export const focusTarget = writable<{ page: string; id: number } | null>(null);
+
 // Stats
 export const stats = writable({
 	whitelistCount: 0,
@@ -0,0 +1,344 @@
+const http = require('http');
+const path = require('path');
+const assert = require('assert');
+
+// Runs the qBittorrent and Transmission adapters against small stand-in servers that
+// keep their torrents in memory, so no real client is needed:
+//   node scripts/test-download-backends.js
+
+// The adapters only read the database through getBackendSettings(), which isn't used here.
+// Registering an empty config keeps better-sqlite3 and Electron out of this plain Node process.
+const databasePath = require.resolve(path.join(__dirname, '../electron/lib/database'));
+require.cache[databasePath] = {
+  id: databasePath,
+  filename: databasePath,
+  loaded: true,
+  exports: { configOperations: { get: () => null } }
+};
+
+const { createQBittorrentBackend } = require('../electron/services/download-backend-qbittorrent');
+const { createTransmissionBackend } = require('../electron/services/download-backend-transmission');
+
+const HASH = '0123456789abcdef0123456789abcdef01234567';
+const MAGNET = `magnet:?xt=urn:btih:${HASH}&dn=Test%20Episode`;
+const TORRENT_SIZE = 1000;
+
+function readBody(req) {
+  return new Promise((resolve) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+  });
+}
+
+function listen(handler) {
+  return new Promise((resolve) => {
+    const server = http.createServer(handler);
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+/**
+ * qBittorrent Web API v2 stand-in, answering like qBittorrent 5 (pause/resume renamed to stop/start)
+ */
+function createQBittorrentStandIn() {
+  const state = { torrents: new Map(), limits: { download: 2048, upload: 512 } };
+
+  const handler = async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const form = new URLSearchParams(req.method === 'POST' ? await readBody(req) : '');
+    const query = url.searchParams;
+    const send = (status, body) => {
+      res.writeHead(status, { 'Content-Type': typeof body === 'string' ? 'text/plain' : 'application/json' });
+      res.end(typeof body === 'string' ? body : JSON.stringify(body));
+    };
+
+    if (url.pathname === '/api/v2/auth/login') {
+      res.setHeader('Set-Cookie', 'SID=standin; HttpOnly; path=/');
+      send(200, form.get('password') === 'secret' ? 'Ok.' : 'Fails.');
+      return;
+    }
+    if (req.headers.cookie !== 'SID=standin') {
+      send(403, 'Forbidden');
+      return;
+    }
+
+    const hashes = (form.get('hashes') || query.get('hashes') || '').split('|');
+    switch (url.pathname) {
+      case '/api/v2/app/version':
+        send(200, 'v5.0.0');
+        break;
+      case '/api/v2/torrents/info': {
+        const infos = [...state.torrents.values()].filter(info =>
+          (!query.get('hashes') || hashes.includes(info.hash)) &&
+          (!query.get('tag') || info.tags === query.get('tag')) &&
+          (!query.get('category') || info.category === query.get('category')));
+        send(200, infos);
+        break;
+      }
+      case '/api/v2/torrents/add': {
+        const link = form.get('urls');
+        const hash = /btih:([a-f0-9]{40})/.exec(link)[1];
+        state.torrents.set(hash, {
+          hash,
+          name: new URL(link).searchParams.get('dn'),
+          size: TORRENT_SIZE,
+          progress: 0,
+          dlspeed: 0,
+          upspeed: 0,
+          downloaded: 0,
+          uploaded: 0,
+          state: 'downloading',
+          save_path: form.get('savepath'),
+          category: form.get('category'),
+          tags: form.get('tags')
+        });
+        send(200, 'Ok.');
+        break;
+      }
+      case '/api/v2/torrents/stop':
+      case '/api/v2/torrents/start':
+        for (const hash of hashes) {
+          const info = state.torrents.get(hash);
+          if (info) info.state = url.pathname.endsWith('stop') ? 'stoppedDL' : 'downloading';
+        }
+        send(200, '');
+        break;
+      case '/api/v2/torrents/delete':
+        hashes.forEach(hash => state.torrents.delete(hash));
+        send(200, '');
+        break;
+      case '/api/v2/transfer/downloadLimit':
+        send(200, String(state.limits.download));
+        break;
+      case '/api/v2/transfer/uploadLimit':
+        send(200, String(state.limits.upload));
+        break;
+      case '/api/v2/transfer/setDownloadLimit':
+        state.limits.download = Number(form.get('limit'));
+        send(200, '');
+        break;
+      case '/api/v2/transfer/setUploadLimit':
+        state.limits.upload = Number(form.get('limit'));
+        send(200, '');
+        break;
+      default:
+        // Includes /torrents/pause and /torrents/resume, which qBittorrent 5 no longer has
+        send(404, 'Not Found');
+    }
+  };
+
+  const setProgress = (hash, progress) => {
+    const info = state.torrents.get(hash);
+    info.progress = progress;
+    info.downloaded = Math.round(TORRENT_SIZE * progress);
+    if (progress >= 1) info.state = 'stalledUP';
+  };
+
+  return { state, handler, setProgress };
+}
+
+/**
+ * Transmission RPC stand-in, including the X-Transmission-Session-Id handshake
+ * @param {number} rpcVersion
+ */
+function createTransmissionStandIn(rpcVersion) {
+  const state = {
+    torrents: new Map(),
+    session: { 'speed-limit-down-enabled': true, 'speed-limit-down': 300, 'speed-limit-up-enabled': false, 'speed-limit-up': 50 }
+  };
+  let nextId = 1;
+
+  const handler = async (req, res) => {
+    if (req.headers['x-transmission-session-id'] !== 'standin') {
+      res.writeHead(409, { 'X-Transmission-Session-Id': 'standin' });
+      res.end();
+      return;
+    }
+
+    const { method, arguments: args = {} } = JSON.parse(await readBody(req));
+    const send = (result) => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ result: 'success', arguments: result }));
+    };
+    const selected = () => [...state.torrents.values()].filter(info => !args.ids || args.ids.includes(info.hashString));
+
+    switch (method) {
+      case 'session-get':
+        send({ version: rpcVersion >= 17 ? '4.0.5' : '3.00', 'rpc-version': rpcVersion, ...state.session });
+        break;
+      case 'session-set':
+        Object.assign(state.session, args);
+        send({});
+        break;
+      case 'torrent-get':
+        send({ torrents: selected() });
+        break;
+      case 'torrent-add': {
+        const hash = /btih:([a-f0-9]{40})/.exec(args.filename)[1];
+        const info = {
+          id: nextId++,
+          hashString: hash,
+          name: new URL(args.filename).searchParams.get('dn'),
+          totalSize: TORRENT_SIZE,
+          percentDone: 0,
+          rateDownload: 0,
+          rateUpload: 0,
+          downloadedEver: 0,
+          uploadedEver: 0,
+          peersConnected: 0,
+          status: 4,
+          error: 0,
+          errorString: '',
+          downloadDir: args['download-dir'],
+          labels: args.labels || []
+        };
+        state.torrents.set(hash, info);
+        send({ 'torrent-added': { id: info.id, hashString: hash, name: info.name } });
+        break;
+      }
+      case 'torrent-stop':
+      case 'torrent-start':
+        selected().forEach(info => { info.status = method === 'torrent-stop' ? 0 : 4; });
+        send({});
+        break;
+      case 'torrent-remove':
+        selected().forEach(info => state.torrents.delete(info.hashString));
+        send({});
+        break;
+      default:
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ result: `method name not recognized: ${method}` }));
+    }
+  };
+
+  const setProgress = (hash, progress) => {
+    const info = state.torrents.get(hash);
+    info.percentDone = progress;
+    info.downloadedEver = Math.round(TORRENT_SIZE * progress);
+    if (progress >= 1) info.status = 6;
+  };
+
+  return { state, handler, setProgress };
+}
+
+/**
+ * Walk an adapter through add, progress, completion, pause, resume and remove
+ */
+async function exerciseBackend(backend, standIn) {
+  await backend.initialize();
+
+  const torrent = await backend.add(MAGNET, { path: '/downloads' });
+  assert.strictEqual(torrent.infoHash, HASH);
+
+  standIn.setProgress(HASH, 0.5);
+  await backend.poll();
+  assert.strictEqual(torrent.progress, 0.5, 'progress is polled');
+  assert.strictEqual(torrent.ready, true, 'handle is ready once name and size are known');
+  assert.strictEqual(torrent.done, false);
+
+  await backend.pause(torrent);
+  assert.strictEqual(torrent.paused, true);
+  const found = await backend.find(MAGNET);
+  assert.strictEqual(found.paused, true, 'client reports the torrent as paused');
+
+  const resumed = await backend.add(MAGNET, { path: '/downloads' });
+  assert.strictEqual(resumed.paused, false, 'adding a paused torrent resumes it');
+  assert.strictEqual(standIn.state.torrents.size, 1, 'resuming does not add a second torrent');
+
+  // Paused torrents aren't tracked, resuming hands out a fresh handle
+  let done = false;
+  resumed.on('done', () => { done = true; });
+
+  standIn.setProgress(HASH, 1);
+  await backend.poll();
+  assert.strictEqual(done, true, 'completion is detected');
+
+  const managed = await backend.list();
+  assert.deepStrictEqual(managed.map(handle => handle.infoHash), [HASH], 'managed torrents are listed');
+
+  await backend.remove(resumed);
+  assert.strictEqual(standIn.state.torrents.size, 0, 'torrent is removed');
+}
+
+async function testQBittorrent() {
+  const standIn = createQBittorrentStandIn();
+  const server = await listen(standIn.handler);
+  const backend = createQBittorrentBackend({
+    url: `http://127.0.0.1:${server.address().port}`,
+    username: 'admin',
+    password: 'secret'
+  });
+
+  try {
+    await exerciseBackend(backend, standIn);
+    assert.strictEqual([...standIn.state.torrents.values()].length, 0);
+
+    // The client's own limits stay until MoeDownloader limits something
+    await backend.setSpeedLimits({ downloadLimit: -1, uploadLimit: -1 });
+    assert.deepStrictEqual(standIn.state.limits, { download: 2048, upload: 512 });
+
+    await backend.setSpeedLimits({ downloadLimit: 4096, uploadLimit: -1 });
+    assert.deepStrictEqual(standIn.state.limits, { download: 4096, upload: 512 }, 'only the limited direction changes');
+
+    await backend.setSpeedLimits({ downloadLimit: -1, uploadLimit: -1 });
+    assert.deepStrictEqual(standIn.state.limits, { download: 2048, upload: 512 }, 'own limits are restored');
+
+    await backend.setSpeedLimits({ downloadLimit: 1024, uploadLimit: 1024 });
+    await backend.destroy();
+    assert.deepStrictEqual(standIn.state.limits, { download: 2048, upload: 512 }, 'own limits are restored on destroy');
+  } finally {
+    await backend.destroy();
+    server.close();
+  }
+
+  console.log('✅ qBittorrent adapter');
+}
+
+async function testTransmission() {
+  const standIn = createTransmissionStandIn(17);
+  const server = await listen(standIn.handler);
+  const backend = createTransmissionBackend({ url: `http://127.0.0.1:${server.address().port}/transmission/rpc` });
+  const ownLimits = { ...standIn.state.session };
+
+  try {
+    await exerciseBackend(backend, standIn);
+
+    await backend.setSpeedLimits({ downloadLimit: -1, uploadLimit: -1 });
+    assert.deepStrictEqual(standIn.state.session, ownLimits);
+
+    await backend.setSpeedLimits({ downloadLimit: -1, uploadLimit: 100 * 1024 });
+    assert.strictEqual(standIn.state.session['speed-limit-up-enabled'], true);
+    assert.strictEqual(standIn.state.session['speed-limit-up'], 100);
+    assert.strictEqual(standIn.state.session['speed-limit-down'], 300, 'only the limited direction changes');
+
+    await backend.setSpeedLimits({ downloadLimit: -1, uploadLimit: -1 });
+    assert.deepStrictEqual(standIn.state.session, ownLimits, 'own limits are restored');
+  } finally {
+    await backend.destroy();
+    server.close();
+  }
+
+  // Transmission 3.x drops labels, so torrents could never be found again
+  const oldStandIn = createTransmissionStandIn(16);
+  const oldServer = await listen(oldStandIn.handler);
+  const oldBackend = createTransmissionBackend({ url: `http://127.0.0.1:${oldServer.address().port}/transmission/rpc` });
+  try {
+    await assert.rejects(oldBackend.initialize(), /needs Transmission 4\.0 or newer/);
+  } finally {
+    await oldBackend.destroy();
+    oldServer.close();
+  }
+
+  console.log('✅ Transmission adapter');
+}
+
+(async () => {
+  try {
+    await testQBittorrent();
+    await testTransmission();
+  } catch (error) {
+    console.error('❌ Download backend test failed:', error);
+    process.exitCode = 1;
+  }
+})();